@@ -1,7 +1,7 @@
 /**
  * ai-framing.js - AI-powered frame suggestions using Claude
  *
- * Dependencies: state.js, framing.js, utils.js
+ * Dependencies: state.js, framing.js, utils.js, history.js
  *
  * Analyzes uploaded artwork images with Claude and automatically applies
  * a suggested frame and matte. The image upload is never blocked — analysis
@@ -104,17 +104,19 @@ function applyFramingSuggestion(artwork, suggestion) {
     const previouslySelected = selectedArtwork;
     selectedArtwork = artwork;
 
-    // Sync sidebar dimension inputs to this artwork before calling updateSelectedArtwork()
-    updateControlsFromArtwork(artwork);
+    withArtworkHistory('AI framing suggestion', [artwork], () => {
+        // Sync sidebar dimension inputs to this artwork before calling updateSelectedArtwork()
+        updateControlsFromArtwork(artwork);
 
-    document.getElementById('sidebarHasFrame').checked = true;
-    document.getElementById('sidebarFrameColor').value = suggestion.frameColor;
-    document.getElementById('sidebarFrameSize').value = suggestion.frameWidth;
-    document.getElementById('sidebarHasMatte').checked = suggestion.hasMatte;
-    document.getElementById('sidebarMatteColor').value = suggestion.matteColor;
-    document.getElementById('sidebarMatteSize').value = suggestion.matteWidth;
+        document.getElementById('sidebarHasFrame').checked = true;
+        document.getElementById('sidebarFrameColor').value = suggestion.frameColor;
+        document.getElementById('sidebarFrameSize').value = suggestion.frameWidth;
+        document.getElementById('sidebarHasMatte').checked = suggestion.hasMatte;
+        document.getElementById('sidebarMatteColor').value = suggestion.matteColor;
+        document.getElementById('sidebarMatteSize').value = suggestion.matteWidth;
 
-    updateSelectedArtwork();
+        updateSelectedArtwork();
+    });
 
     selectedArtwork = previouslySelected;
     if (previouslySelected) updateControlsFromArtwork(previouslySelected);
@@ -0,0 +1,181 @@
+/**
+ * align.js - Align and distribute tools for Wallspace
+ *
+ * Dependencies: utils.js, state.js, selection.js, history.js,
+ *               distance-guides.js, obstacles.js, position.js, layers.js,
+ *               wall-shape.js
+ *
+ * Lines up the selected artworks by their outer edges: the box each artwork
+ * covers on the wall, frame and matte included as sized by applyArtworkSpec()
+ * and widened by any rotation (see getArtworkBounds()). Aligning
+ * uses the bounding box of the selection as the reference (the leftmost left
+ * edge, the middle of the selection, ...). Distributing keeps the two outer
+ * pieces in place and evens out the gaps between them, or starts from the
+ * first piece and uses an exact gap typed in the artwork units. Each command
+ * is one undo step.
+ *
+ * A command that would put a piece off the wall, outside a shaped wall's
+ * outline or (when overlaps are prevented) into an obstacle is refused as a
+ * whole, the same way rotation.js refuses a turn that does not fit.
+ *
+ * Key functions:
+ * - alignArtworks(edge) - 'left', 'right', 'top', 'bottom', 'hcenter' or 'vcenter'
+ * - centerArtworksOnWall() - Center the selection (or the one piece) on the wall
+ * - distributeArtworks(axis) - Equal gaps along 'horizontal' or 'vertical'
+ * - distributeArtworksByGap(axis) - Gaps of the size in #distributeGap
+ */
+
+const ALIGN_LABELS = {
+    left:    'Align left',
+    right:   'Align right',
+    top:     'Align top',
+    bottom:  'Align bottom',
+    hcenter: 'Align horizontal centers',
+    vcenter: 'Align vertical centers',
+};
+
+// ─── BOXES ───────────────────────────────────────────────────────────────────
+
+// Outer box of an artwork in wall pixels, rotation included
+function artworkBox(artwork) {
+    return { artwork: artwork, ...getArtworkBounds(artwork) };
+}
+
+function boundingBox(boxes) {
+    const left = Math.min(...boxes.map(box => box.left));
+    const top = Math.min(...boxes.map(box => box.top));
+    const right = Math.max(...boxes.map(box => box.left + box.width));
+    const bottom = Math.max(...boxes.map(box => box.top + box.height));
+    return { left, top, right, bottom, width: right - left, height: bottom - top };
+}
+
+// Whether a box may sit on the wall: inside its edges and outline, and clear
+// of obstacles when overlaps are prevented
+function isBoxOnWall(box, outline) {
+    const wallContainer = document.getElementById('wallContainer');
+    if (box.left < -0.5 || box.top < -0.5 ||
+        box.left + box.width > wallContainer.offsetWidth + 0.5 ||
+        box.top + box.height > wallContainer.offsetHeight + 0.5) return false;
+    if (!isRectInsideWallOutline(box.left, box.top, box.width, box.height, outline)) return false;
+    return !isObstacleOverlapPrevented() ||
+        findOverlappingObstacles(box.left, box.top, box.width, box.height).length === 0;
+}
+
+// Move the boxes to their new left/top as one undo step, or refuse with
+// message if a piece would leave the wall or run into an obstacle. A piece
+// already off the wall or on an obstacle does not block the move.
+// Locked pieces stay put, though they still count as references
+function placeArtworkBoxes(label, boxes, message) {
+    boxes = boxes.filter(box => !isArtworkLocked(box.artwork));
+    const outline = getWallOutline();
+    if (boxes.some(box => !isBoxOnWall(box, outline) && isBoxOnWall(artworkBox(box.artwork), outline))) {
+        alert(message || `❌ ${boxes.length > 1 ? 'Some of the pieces' : 'The piece'} would not fit on the wall that way.`);
+        return;
+    }
+    withArtworkHistory(label, boxes.map(box => box.artwork), () => {
+        boxes.forEach(box => {
+            box.artwork.style.left = (box.left - box.offsetX) + 'px';
+            box.artwork.style.top = (box.top - box.offsetY) + 'px';
+        });
+    });
+    updateDistanceGuides();
+    updateObstacleWarnings();
+    updatePositionFields();
+}
+
+function selectedArtworkBoxes(minimum) {
+    const artworks = getSelectedArtworks();
+    if (artworks.length < minimum) {
+        alert(`Select at least ${minimum} artwork${minimum > 1 ? 's' : ''} first (shift-click to add more).`);
+        return null;
+    }
+    return artworks.map(artworkBox);
+}
+
+// ─── ALIGN ───────────────────────────────────────────────────────────────────
+
+function alignArtworks(edge) {
+    const boxes = selectedArtworkBoxes(2);
+    if (!boxes) return;
+    const bounds = boundingBox(boxes);
+
+    boxes.forEach(box => {
+        if (edge === 'left') box.left = bounds.left;
+        if (edge === 'right') box.left = bounds.right - box.width;
+        if (edge === 'hcenter') box.left = bounds.left + (bounds.width - box.width) / 2;
+        if (edge === 'top') box.top = bounds.top;
+        if (edge === 'bottom') box.top = bounds.bottom - box.height;
+        if (edge === 'vcenter') box.top = bounds.top + (bounds.height - box.height) / 2;
+    });
+    placeArtworkBoxes(ALIGN_LABELS[edge], boxes);
+}
+
+// Center the selection as a whole, keeping the pieces' spacing
+function centerArtworksOnWall() {
+    const boxes = selectedArtworkBoxes(1);
+    if (!boxes) return;
+    const wallContainer = document.getElementById('wallContainer');
+    const bounds = boundingBox(boxes);
+    const dx = (wallContainer.offsetWidth - bounds.width) / 2 - bounds.left;
+    const dy = (wallContainer.offsetHeight - bounds.height) / 2 - bounds.top;
+
+    boxes.forEach(box => {
+        box.left += dx;
+        box.top += dy;
+    });
+    placeArtworkBoxes('Center on wall', boxes);
+}
+
+// ─── DISTRIBUTE ──────────────────────────────────────────────────────────────
+
+// Property names for measuring along an axis
+function axisKeys(axis) {
+    return axis === 'vertical'
+        ? { start: 'top', size: 'height' }
+        : { start: 'left', size: 'width' };
+}
+
+// Keep the first and last piece where they are and make every gap equal
+function distributeArtworks(axis) {
+    const boxes = selectedArtworkBoxes(3);
+    if (!boxes) return;
+    const { start, size } = axisKeys(axis);
+    boxes.sort((a, b) => a[start] - b[start]);
+
+    const first = boxes[0];
+    const last = boxes[boxes.length - 1];
+    const span = last[start] + last[size] - first[start];
+    const gap = (span - boxes.reduce((sum, box) => sum + box[size], 0)) / (boxes.length - 1);
+
+    let position = first[start];
+    boxes.forEach(box => {
+        box[start] = position;
+        position += box[size] + gap;
+    });
+    placeArtworkBoxes(`Distribute ${axis}ly`, boxes);
+}
+
+// Space the pieces by an exact gap, starting from the first one
+function distributeArtworksByGap(axis) {
+    const boxes = selectedArtworkBoxes(2);
+    if (!boxes) return;
+    const units = document.getElementById('sidebarArtworkUnits').value;
+    const gapValue = parseFloat(document.getElementById('distributeGap').value);
+    if (!(gapValue >= 0)) {
+        alert('Enter a gap of zero or more.');
+        return;
+    }
+
+    const { start, size } = axisKeys(axis);
+    const gap = unitsToPixels(gapValue, units);
+    boxes.sort((a, b) => a[start] - b[start]);
+
+    let position = boxes[0][start];
+    boxes.forEach(box => {
+        box[start] = position;
+        position += box[size] + gap;
+    });
+
+    placeArtworkBoxes(`Distribute ${axis}ly, ${gapValue} ${units} apart`, boxes,
+        `❌ The pieces do not fit on the wall with a ${gapValue} ${units} gap.`);
+}
@@ -1,20 +1,32 @@
 /**
  * app.js - Application initialization for Wallspace
  *
- * Dependencies: All other modules (utils, state, wall, artwork, framing,
- *               distance-guides, room-view, storage, ui)
+ * Dependencies: All other modules (utils, state, wall, wall-shape, artwork, framing,
+ *               distance-guides, room-view, asset-store, zip, walls, obstacles,
+ *               photo-calibration, validation, layout-manager,
+ *               storage, history, session, project-bundle, share-link, keyboard, ui)
  *
  * This file initializes the application on page load:
+ * - Moves legacy localStorage images into the asset store
  * - Sets up the wall display
  * - Initializes unit displays
  * - Loads saved layouts
+ * - Shows a layout from a share link read-only, or offers to restore the
+ *   autosaved session
  * - Sets up UI event handlers
  *
  * This must be the last script loaded.
  */
 
 // Initialize the application
-function initApp() {
+async function initApp() {
+    // Move images embedded in old localStorage data into IndexedDB first, so
+    // everything loaded below only sees asset references
+    await migrateLegacyImages();
+    // The catalog replaced the collection panel, but saved collection images
+    // still move into the asset store and must be kept when it is pruned
+    loadCollection();
+
     // Restore saved wall dimensions before updateWall() reads them
     restoreWallSettings();
 
@@ -25,6 +37,14 @@ function initApp() {
     // Set up the wall display
     updateWall();
 
+    // The project starts with this one wall; layouts and sessions may add more
+    initWalls();
+    initWallShape();
+    initObstacles();
+    initPhotoCalibration();
+    initGrid();
+    initSelection();
+
     // Set initial pan/zoom — centered at 1:1 scale (20px/inch)
     initViewTransform();
 
@@ -34,11 +54,26 @@ function initApp() {
     // Set up all UI event handlers
     initUIEventHandlers();
 
+    // Undo/redo shortcuts and the history list
+    initHistory();
+
+    // Nudging, clipboard and the other keyboard shortcuts
+    initKeyboard();
+
+    // Eye-level centerline and the wall's hanging height
+    initHanging();
+
     // Initialize collapsible sections
     initCollapsibleSections();
 
     // Initialize artwork catalog (replaces collection)
     initCatalog();
+    initArrangement();
+    initTemplates();
+
+    // A share link shows that layout read-only and leaves the session alone;
+    // otherwise offer to restore the previous session, then start autosaving
+    if (!(await openShareLinkFromUrl())) initSession();
 
     // Restore saved API key into the field
     const savedKey = localStorage.getItem('anthropicApiKey');
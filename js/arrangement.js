@@ -0,0 +1,497 @@
+/**
+ * arrangement.js - Gallery-wall arrangement generator for Wallspace
+ *
+ * Dependencies: utils.js, state.js, framing.js, catalog.js, layout-schema.js,
+ *               selection.js, history.js, obstacles.js, validation.js, hanging.js
+ *
+ * Tick pieces in the catalog and "Arrange selected" lays them out in several
+ * styles at once: a tight grid, a salon cluster, a single row on a shared
+ * centerline, a mirror-symmetric layout and an ascending staircase. The
+ * candidates are previewed one at a time on a small picture of the wall and
+ * the chosen one is added to the wall as a single undo step.
+ *
+ * Every style keeps the typed gap between neighbouring frames and aims for
+ * the area: a box of the typed size, centered across the wall with its
+ * middle at the typed height above the floor (by default the wall's hanging
+ * target, see hanging.js). Where the pieces cannot fit, the preview says by
+ * how much.
+ *
+ * Pieces are laid out at their real outer size. A piece the catalog lists as
+ * framed is measured with its frame already; the others get the typed frame
+ * and matte widths (none by default) and are hung with that framing.
+ * Catalog items without a size (plain image uploads) are left out.
+ *
+ * Layouts are worked out in millimetres around the origin, with each piece
+ * placed by its middle ({ piece, x, y }), and then moved into the area.
+ *
+ * Key functions:
+ * - openArrangeDialog() - Generate candidates for the ticked catalog pieces
+ * - generateArrangements(pieces, options) - One placed candidate per style
+ * - applyArrangement() - Add the candidate on show to the wall
+ * - initArrangement() - Wire up the dialog
+ */
+
+const ARRANGE_STAIR_SLOPE = 0.7;           // Steepest staircase rise per unit across (about 35°)
+const ARRANGE_PREVIEW_WIDTH = 460;         // px, wall picture in the dialog
+const ARRANGE_PREVIEW_HEIGHT = 260;
+
+let arrangeSettings = { gapMm: 50.8, frameMm: 0, matteMm: 0 };  // 2" gap, no added framing
+let arrangement = null;                    // { items, skipped, candidates, index } while the dialog is open
+
+// ─── PIECES ──────────────────────────────────────────────────────────────────
+
+// Outer size of each catalog item as it will hang
+function arrangementPieces(items, frameMm, matteMm) {
+    return items.map(item => {
+        const frame = item.hasFrame ? 0 : frameMm;
+        const matte = item.hasFrame ? 0 : matteMm;
+        return {
+            item:    item,
+            frameMm: frame,
+            matteMm: matte,
+            w:       item.widthMm + 2 * (frame + matte),
+            h:       item.heightMm + 2 * (frame + matte),
+        };
+    });
+}
+
+function byAreaDescending(pieces) {
+    return pieces.slice().sort((a, b) => b.w * b.h - a.w * a.h);
+}
+
+// Box around placed pieces
+function placementBox(placements) {
+    const box = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    placements.forEach(({ piece, x, y }) => {
+        box.left = Math.min(box.left, x - piece.w / 2);
+        box.right = Math.max(box.right, x + piece.w / 2);
+        box.top = Math.min(box.top, y - piece.h / 2);
+        box.bottom = Math.max(box.bottom, y + piece.h / 2);
+    });
+    box.width = box.right - box.left;
+    box.height = box.bottom - box.top;
+    return box;
+}
+
+// How far placements would have to shrink to fit the area: at most 1 fits
+function areaFit(placements, area) {
+    const box = placementBox(placements);
+    return Math.max(box.width / area.width, box.height / area.height);
+}
+
+// ─── STYLES ──────────────────────────────────────────────────────────────────
+
+// Rows and columns sized to their largest piece, with the column count that
+// best fills the area. Pieces go in tallest first so each row is even, and
+// a short last row is centered.
+function arrangeGrid(pieces, gap, area) {
+    const sorted = pieces.slice().sort((a, b) => b.h - a.h);
+    let best = null;
+    for (let columns = 1; columns <= sorted.length; columns++) {
+        const rows = Math.ceil(sorted.length / columns);
+        const widths = new Array(columns).fill(0);
+        const heights = new Array(rows).fill(0);
+        sorted.forEach((piece, i) => {
+            widths[i % columns] = Math.max(widths[i % columns], piece.w);
+            heights[Math.floor(i / columns)] = Math.max(heights[Math.floor(i / columns)], piece.h);
+        });
+        const offset = (list, count) => list.slice(0, count).reduce((sum, size) => sum + size + gap, 0);
+        const fullWidth = offset(widths, columns) - gap;
+        const lastCount = sorted.length - (rows - 1) * columns;
+
+        const placements = sorted.map((piece, i) => {
+            const column = i % columns;
+            const row = Math.floor(i / columns);
+            const shift = row === rows - 1 ? (fullWidth - (offset(widths, lastCount) - gap)) / 2 : 0;
+            return {
+                piece: piece,
+                x:     shift + offset(widths, column) + widths[column] / 2,
+                y:     offset(heights, row) + heights[row] / 2,
+            };
+        });
+        const fit = areaFit(placements, area);
+        if (!best || fit < best.fit) best = { fit, placements };
+    }
+    return best.placements;
+}
+
+// Spots beside, above and below a placed piece, lined up with its middle or edges
+function salonSpots(piece, other, gap) {
+    const edges = {
+        left:   other.x - other.piece.w / 2,
+        right:  other.x + other.piece.w / 2,
+        top:    other.y - other.piece.h / 2,
+        bottom: other.y + other.piece.h / 2,
+    };
+    const ys = [other.y, edges.top + piece.h / 2, edges.bottom - piece.h / 2];
+    const xs = [other.x, edges.left + piece.w / 2, edges.right - piece.w / 2];
+    return [
+        ...ys.map(y => ({ x: edges.right + gap + piece.w / 2, y })),
+        ...ys.map(y => ({ x: edges.left - gap - piece.w / 2, y })),
+        ...xs.map(x => ({ x, y: edges.top - gap - piece.h / 2 })),
+        ...xs.map(x => ({ x, y: edges.bottom + gap + piece.h / 2 })),
+    ];
+}
+
+// Closer than the gap on both axes
+function piecesCrowd(a, b, gap) {
+    const apartX = Math.abs(a.x - b.x) - (a.piece.w + b.piece.w) / 2;
+    const apartY = Math.abs(a.y - b.y) - (a.piece.h + b.piece.h) / 2;
+    return apartX < gap - 0.01 && apartY < gap - 0.01;
+}
+
+// Largest piece in the middle, then each next-largest in the free spot next
+// to a placed piece that keeps the cluster tightest for the area's shape
+function arrangeSalon(pieces, gap, area) {
+    const placed = [];
+    byAreaDescending(pieces).forEach(piece => {
+        if (!placed.length) {
+            placed.push({ piece, x: 0, y: 0 });
+            return;
+        }
+        let best = null;
+        placed.forEach(other => {
+            salonSpots(piece, other, gap).forEach(spot => {
+                const candidate = { piece, x: spot.x, y: spot.y };
+                if (placed.some(p => piecesCrowd(p, candidate, gap))) return;
+                // Prefer spots near the middle between equally tight ones
+                const score = areaFit([...placed, candidate], area) +
+                    0.05 * Math.hypot(spot.x / area.width, spot.y / area.height);
+                if (!best || score < best.score) best = { score, candidate };
+            });
+        });
+        // Beside the outermost piece is always free, so best is never empty
+        placed.push(best.candidate);
+    });
+    return placed;
+}
+
+// Side by side in the given order, middles on one line
+function placeInRow(pieces, gap) {
+    let left = 0;
+    return pieces.map(piece => {
+        const placement = { piece, x: left + piece.w / 2, y: 0 };
+        left += piece.w + gap;
+        return placement;
+    });
+}
+
+// One row on a shared centerline, largest in the middle and the rest
+// alternating outwards
+function arrangeRow(pieces, gap) {
+    const order = [];
+    byAreaDescending(pieces).forEach((piece, i) => {
+        if (i % 2) order.unshift(piece);
+        else order.push(piece);
+    });
+    return placeInRow(order, gap);
+}
+
+// Mirrored about a vertical axis: the largest piece on the axis when the
+// count is odd, the rest in pairs of similar size, one on each side, in
+// columns stacked as deep as best fills the area
+function arrangeSymmetric(pieces, gap, area) {
+    const sorted = byAreaDescending(pieces);
+    const center = sorted.length % 2 ? sorted.shift() : null;
+    const pairs = [];
+    for (let i = 0; i < sorted.length; i += 2) pairs.push([sorted[i], sorted[i + 1]]);
+
+    let best = null;
+    for (let perColumn = 1; perColumn <= Math.max(1, pairs.length); perColumn++) {
+        const placements = center ? [{ piece: center, x: 0, y: 0 }] : [];
+        // Inner edge of the next column on the right of the axis
+        let edge = center ? center.w / 2 + gap : gap / 2;
+        for (let c = 0; c < pairs.length; c += perColumn) {
+            const column = pairs.slice(c, c + perColumn);
+            const width = Math.max(...column.map(([a, b]) => Math.max(a.w, b.w)));
+            const heights = column.map(([a, b]) => Math.max(a.h, b.h));
+            let top = -(heights.reduce((sum, h) => sum + h, 0) + gap * (column.length - 1)) / 2;
+            column.forEach(([a, b], row) => {
+                const y = top + heights[row] / 2;
+                placements.push({ piece: a, x: -(edge + width / 2), y }, { piece: b, x: edge + width / 2, y });
+                top += heights[row] + gap;
+            });
+            edge += width + gap;
+        }
+        const fit = areaFit(placements, area);
+        if (!best || fit < best.fit) best = { fit, placements };
+    }
+    return best.placements;
+}
+
+// Catalog order left to right, each piece higher than the last: the first
+// sits low in the area and the last high, no steeper than a staircase
+function arrangeStaircase(pieces, gap, area) {
+    const placements = placeInRow(pieces, gap);
+    if (placements.length < 2) return placements;
+    const first = placements[0];
+    const last = placements[placements.length - 1];
+    const span = last.x - first.x;
+    const rise = Math.max(0, Math.min(area.height - (first.piece.h + last.piece.h) / 2, span * ARRANGE_STAIR_SLOPE));
+    placements.forEach(placement => {
+        placement.y = -(placement.x - first.x) / span * rise;
+    });
+    return placements;
+}
+
+const ARRANGEMENT_STYLES = [
+    { id: 'grid',      label: 'Tight grid',                 build: arrangeGrid },
+    { id: 'salon',     label: 'Salon',                      build: arrangeSalon },
+    { id: 'row',       label: 'Single row on a centerline', build: arrangeRow },
+    { id: 'symmetric', label: 'Symmetric',                  build: arrangeSymmetric },
+    { id: 'staircase', label: 'Staircase, ascending',       build: arrangeStaircase },
+];
+
+// ─── CANDIDATES ──────────────────────────────────────────────────────────────
+
+// options: { gapMm, area: { left, top, width, height } } in wall mm.
+// Each candidate: { style, placements: [{ piece, leftMm, topMm }], overflow: { width, height } }
+function generateArrangements(pieces, options) {
+    const area = options.area;
+    return ARRANGEMENT_STYLES.map(style => {
+        const placements = style.build(pieces, options.gapMm, area);
+        const box = placementBox(placements);
+        // Center the layout in the area
+        const shiftX = area.left + area.width / 2 - (box.left + box.width / 2);
+        const shiftY = area.top + area.height / 2 - (box.top + box.height / 2);
+        return {
+            style: style,
+            placements: placements.map(({ piece, x, y }) => ({
+                piece:  piece,
+                leftMm: x + shiftX - piece.w / 2,
+                topMm:  y + shiftY - piece.h / 2,
+            })),
+            overflow: {
+                width:  Math.max(0, box.width - area.width),
+                height: Math.max(0, box.height - area.height),
+            },
+        };
+    });
+}
+
+// ─── DIALOG ──────────────────────────────────────────────────────────────────
+
+// Typed values in wall units, as mm; the area is centered across the wall
+function readArrangeOptions() {
+    const read = id => unitsToMm(parseFloat(document.getElementById(id).value) || 0, currentUnits);
+    const wallContainer = document.getElementById('wallContainer');
+    const wallWidthMm = pixelsToMm(wallContainer.offsetWidth);
+    const wallHeightMm = pixelsToMm(wallContainer.offsetHeight);
+    const width = Math.max(read('arrangeAreaWidth'), 1);
+    const height = Math.max(read('arrangeAreaHeight'), 1);
+    return {
+        gapMm:   Math.max(read('arrangeGap'), 0),
+        frameMm: Math.max(read('arrangeFrame'), 0),
+        matteMm: Math.max(read('arrangeMatte'), 0),
+        area: {
+            left:   (wallWidthMm - width) / 2,
+            top:    wallHeightMm + wallFloorMm() - read('arrangeCenterHeight') - height / 2,
+            width:  width,
+            height: height,
+        },
+    };
+}
+
+// Start from the remembered gap and framing, and an area that suits the wall
+function writeArrangeControls() {
+    const wallContainer = document.getElementById('wallContainer');
+    const wallWidthMm = pixelsToMm(wallContainer.offsetWidth);
+    const wallHeightMm = pixelsToMm(wallContainer.offsetHeight);
+    const areaWidth = wallWidthMm - 2 * Math.min(304.8, wallWidthMm * 0.1);
+    const areaHeight = Math.min(wallHeightMm * 0.6, 1524);
+    // The wall's hanging target, or its middle where the area would not fit under the top
+    const hanging = getWallHanging();
+    const floorMm = hanging.floorMm;
+    const targetCenter = hanging.aboveFurniture
+        ? hanging.furnitureTopMm + hanging.clearanceMm + areaHeight / 2
+        : hanging.centerHeightMm;
+    const centerHeight = targetCenter + areaHeight / 2 <= wallHeightMm + floorMm
+        ? targetCenter
+        : floorMm + wallHeightMm / 2;
+
+    const show = (id, mm) => {
+        document.getElementById(id).value = parseFloat(mmToUnits(mm, currentUnits).toFixed(1));
+    };
+    show('arrangeGap', arrangeSettings.gapMm);
+    show('arrangeFrame', arrangeSettings.frameMm);
+    show('arrangeMatte', arrangeSettings.matteMm);
+    show('arrangeAreaWidth', areaWidth);
+    show('arrangeAreaHeight', areaHeight);
+    show('arrangeCenterHeight', centerHeight);
+    document.getElementById('arrangeUnit').textContent = currentUnits;
+}
+
+function openArrangeDialog() {
+    if (isShareView) return;
+    const items = catalogItems.filter(item => selectedCatalogIds.has(item.id));
+    if (items.length === 0) {
+        alert('Tick the catalog pieces to arrange first.');
+        return;
+    }
+    const sized = items.filter(item => item.widthMm && item.heightMm);
+    if (sized.length === 0) {
+        alert('❌ None of the ticked pieces has a size. Import their sizes with a catalog CSV first.');
+        return;
+    }
+
+    arrangement = { items: sized, skipped: items.length - sized.length, candidates: [], index: 0 };
+    writeArrangeControls();
+    regenerateArrangements();
+    document.getElementById('arrangeDialog').classList.add('active');
+}
+
+function closeArrangeDialog() {
+    arrangement = null;
+    document.getElementById('arrangeDialog').classList.remove('active');
+}
+
+// Rebuild the candidates from the typed options, keeping the style on show
+function regenerateArrangements() {
+    if (!arrangement) return;
+    const options = readArrangeOptions();
+    arrangeSettings = { gapMm: options.gapMm, frameMm: options.frameMm, matteMm: options.matteMm };
+    const pieces = arrangementPieces(arrangement.items, options.frameMm, options.matteMm);
+    arrangement.candidates = generateArrangements(pieces, options);
+    arrangement.area = options.area;
+
+    const count = arrangement.items.length;
+    document.getElementById('arrangeSummary').textContent =
+        `${count} piece${count !== 1 ? 's' : ''}` +
+        (arrangement.skipped ? ` (${arrangement.skipped} without a size left out)` : '');
+    renderArrangePreview();
+}
+
+function showArrangement(step) {
+    if (!arrangement) return;
+    const count = arrangement.candidates.length;
+    arrangement.index = (arrangement.index + step + count) % count;
+    renderArrangePreview();
+}
+
+// What to know about a candidate before using it
+function arrangementNote(candidate) {
+    const format = mm => `${Number(mmToUnits(mm, currentUnits).toFixed(1))} ${currentUnits}`;
+    const notes = [];
+    const { width, height } = candidate.overflow;
+    if (width > 0.5 || height > 0.5) {
+        const parts = [];
+        if (width > 0.5) parts.push(`${format(width)} wider`);
+        if (height > 0.5) parts.push(`${format(height)} taller`);
+        notes.push(`${parts.join(' and ')} than the area.`);
+    } else {
+        notes.push('Fits the area.');
+    }
+
+    const wallContainer = document.getElementById('wallContainer');
+    const wallWidthMm = pixelsToMm(wallContainer.offsetWidth);
+    const wallHeightMm = pixelsToMm(wallContainer.offsetHeight);
+    const offWall = candidate.placements.filter(({ piece, leftMm, topMm }) =>
+        leftMm < 0 || topMm < 0 || leftMm + piece.w > wallWidthMm || topMm + piece.h > wallHeightMm).length;
+    if (offWall) notes.push(`${offWall} piece${offWall > 1 ? 's run' : ' runs'} off the wall.`);
+
+    if (typeof findOverlappingObstacles === 'function') {
+        const blocked = candidate.placements.filter(({ piece, leftMm, topMm }) =>
+            findOverlappingObstacles(mmToPixels(leftMm), mmToPixels(topMm), mmToPixels(piece.w), mmToPixels(piece.h)).length).length;
+        if (blocked) notes.push(`${blocked} piece${blocked > 1 ? 's overlap' : ' overlaps'} an obstacle.`);
+    }
+    return notes.join(' ');
+}
+
+// The wall, the area and the candidate's pieces, drawn in wall mm
+function renderArrangePreview() {
+    const candidate = arrangement.candidates[arrangement.index];
+    const wallContainer = document.getElementById('wallContainer');
+    const wallWidthMm = pixelsToMm(wallContainer.offsetWidth);
+    const wallHeightMm = pixelsToMm(wallContainer.offsetHeight);
+    const scale = Math.min(ARRANGE_PREVIEW_WIDTH / wallWidthMm, ARRANGE_PREVIEW_HEIGHT / wallHeightMm);
+
+    const svg = document.getElementById('arrangePreview');
+    svg.setAttribute('viewBox', `0 0 ${wallWidthMm} ${wallHeightMm}`);
+    svg.style.width = (wallWidthMm * scale) + 'px';
+    svg.style.height = (wallHeightMm * scale) + 'px';
+    svg.innerHTML = '';
+    const add = (tag, attributes, parent = svg) => {
+        const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+        parent.appendChild(el);
+        return el;
+    };
+
+    add('rect', { x: 0, y: 0, width: wallWidthMm, height: wallHeightMm,
+        fill: document.getElementById('wallColor').value, class: 'arrange-wall' });
+    const area = arrangement.area;
+    add('rect', { x: area.left, y: area.top, width: area.width, height: area.height,
+        class: 'arrange-area', 'stroke-width': 1.5 / scale, 'stroke-dasharray': `${4 / scale} ${3 / scale}` });
+
+    candidate.placements.forEach(({ piece, leftMm, topMm }) => {
+        const border = piece.frameMm + piece.matteMm;
+        if (border > 0) {
+            add('rect', { x: leftMm, y: topMm, width: piece.w, height: piece.h,
+                fill: piece.frameMm > 0 ? DEFAULT_FRAME_COLOR : DEFAULT_MATTE_COLOR });
+        }
+        if (piece.frameMm > 0 && piece.matteMm > 0) {
+            add('rect', { x: leftMm + piece.frameMm, y: topMm + piece.frameMm,
+                width: piece.w - 2 * piece.frameMm, height: piece.h - 2 * piece.frameMm, fill: DEFAULT_MATTE_COLOR });
+        }
+        const image = { x: leftMm + border, y: topMm + border, width: piece.item.widthMm, height: piece.item.heightMm };
+        // Names show on hover; set as text so they never become markup
+        const group = add('g', {});
+        add('title', {}, group).textContent = piece.item.name;
+        add('rect', { ...image, class: 'arrange-piece', 'stroke-width': 1 / scale }, group);
+        if (isSafeImageUrl(piece.item.src)) {
+            add('image', { ...image, href: piece.item.src, preserveAspectRatio: 'xMidYMid slice' }, group);
+        }
+    });
+
+    document.getElementById('arrangeStyleName').textContent =
+        `${candidate.style.label} · ${arrangement.index + 1} of ${arrangement.candidates.length}`;
+    document.getElementById('arrangeNote').textContent = arrangementNote(candidate);
+}
+
+// ─── APPLY ───────────────────────────────────────────────────────────────────
+
+// Add the pieces on show to the wall, selected, as one undo step
+function applyArrangement() {
+    if (!arrangement) return;
+    const candidate = arrangement.candidates[arrangement.index];
+    const artworks = candidate.placements.map(({ piece, leftMm, topMm }) => {
+        const item = piece.item;
+        return deserializeArtwork({
+            assetId:       item.assetId || null,
+            src:           item.assetId ? null : item.src || buildPlaceholderSrc(item.name),
+            catalogId:     item.id,
+            xMm:           roundMm(leftMm),
+            yMm:           roundMm(topMm),
+            imageWidthMm:  item.widthMm,
+            imageHeightMm: item.heightMm,
+            frame: { enabled: piece.frameMm > 0, color: DEFAULT_FRAME_COLOR, widthMm: piece.frameMm || DEFAULT_FRAMING_WIDTH_MM },
+            matte: { enabled: piece.matteMm > 0, color: DEFAULT_MATTE_COLOR, widthMm: piece.matteMm || DEFAULT_FRAMING_WIDTH_MM },
+            rotation:      0,
+            units:         currentArtworkUnits,
+            aspectRatio:   item.widthMm / item.heightMm,
+        });
+    });
+
+    document.querySelectorAll('.artwork.selected').forEach(artwork => artwork.classList.remove('selected'));
+    artworks.forEach(artwork => artwork.classList.add('selected'));
+    selectedArtwork = artworks[artworks.length - 1];
+    if (typeof deselectObstacle === 'function') deselectObstacle();
+
+    const after = captureArtworkStates(artworks);
+    recordArtworkChange(`Arrange ${artworks.length} piece${artworks.length !== 1 ? 's' : ''} (${candidate.style.label})`,
+        absentArtworkStates(after), after);
+    closeArrangeDialog();
+    showArtworkSelection();
+    updateObstacleWarnings();
+}
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+
+function initArrangement() {
+    ['arrangeGap', 'arrangeFrame', 'arrangeMatte', 'arrangeAreaWidth', 'arrangeAreaHeight', 'arrangeCenterHeight']
+        .forEach(id => document.getElementById(id).addEventListener('input', regenerateArrangements));
+    document.getElementById('arrangePrev').addEventListener('click', () => showArrangement(-1));
+    document.getElementById('arrangeNext').addEventListener('click', () => showArrangement(1));
+    document.getElementById('arrangeApply').addEventListener('click', applyArrangement);
+    document.getElementById('arrangeCancel').addEventListener('click', closeArrangeDialog);
+}
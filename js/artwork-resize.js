@@ -0,0 +1,258 @@
+/**
+ * artwork-resize.js - Resize handles on artworks for Wallspace
+ *
+ * Dependencies: utils.js, state.js, framing.js, artwork.js, history.js,
+ *               distance-guides.js, obstacles.js, layers.js, wall-shape.js
+ *
+ * A selected artwork shows a handle on each corner and edge. Dragging one
+ * scales the image area while the frame and matte keep their width, so the
+ * result is the same as typing the new image size into the sidebar. The edge
+ * or corner opposite the handle stays put; with "Maintain ratio" on, corner
+ * handles keep the image proportions and edge handles grow the other side
+ * evenly about the middle. Pointer movement is divided by viewZoom, so a
+ * handle tracks the mouse at any zoom, and the image size is shown next to
+ * the pointer in the artwork units while dragging. On a rotated piece the
+ * handles work along the piece's own sides and the opposite side still stays
+ * put on the wall. Like a drag, a resize stops at a shaped wall's outline and,
+ * when overlaps are prevented, at obstacles. A whole gesture is one undo step.
+ *
+ * Key functions:
+ * - addResizeHandles(artwork) - Give an artwork its eight handles
+ * - startArtworkResize(artwork, handle, e) - Begin a resize from a handle
+ * - moveArtworkResize(e) / endArtworkResize() - Follow and finish the gesture
+ */
+
+const RESIZE_HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+const MIN_RESIZE_IMAGE_MM = 25.4; // Smallest image side a handle can make (1")
+
+let artworkResize = null;         // The resize in progress, see startArtworkResize()
+
+// ─── HANDLES ─────────────────────────────────────────────────────────────────
+
+// Artwork templates carry a single bottom-right handle; add the other seven
+function addResizeHandles(artwork) {
+    const existing = Array.from(artwork.querySelectorAll('.resize-handle'));
+    if (existing.length === 1 && !existing[0].dataset.handle) existing[0].dataset.handle = 'se';
+
+    RESIZE_HANDLES.forEach(handle => {
+        if (artwork.querySelector(`.resize-handle[data-handle="${handle}"]`)) return;
+        const el = document.createElement('div');
+        el.className = 'resize-handle';
+        el.dataset.handle = handle;
+        artwork.appendChild(el);
+    });
+}
+
+// ─── GESTURE ─────────────────────────────────────────────────────────────────
+
+// Frame plus matte on one side, in wall pixels
+function framingWidthPx(spec) {
+    return mmToPixels((spec.hasFrame ? spec.frameWidthMm : 0) + (spec.hasMatte ? spec.matteWidthMm : 0));
+}
+
+function startArtworkResize(artwork, handle, e) {
+    if (isArtworkLocked(artwork)) return;
+    const spec = getArtworkSpec(artwork);
+    const maintainRatio = document.getElementById('sidebarMaintainRatio').checked;
+    const left = parseFloat(artwork.style.left) || 0;
+    const top = parseFloat(artwork.style.top) || 0;
+    const width = parseFloat(artwork.style.width) || artwork.offsetWidth;
+    const height = parseFloat(artwork.style.height) || artwork.offsetHeight;
+
+    artworkResize = {
+        artwork: artwork,
+        handle:  handle,
+        spec:    spec,
+        startX:  e.clientX,
+        startY:  e.clientY,
+        box:     { left, top, right: left + width, bottom: top + height },
+        framing: framingWidthPx(spec),
+        ratio:   maintainRatio
+            ? artworkAspectRatios.get(artwork.id) || spec.imageWidthMm / spec.imageHeightMm
+            : null,
+        before:  captureArtworkStates([artwork]),
+    };
+    isResizing = true;
+}
+
+// Largest outer size the artwork can reach along one axis without leaving the
+// wall: from the fixed edge when one side moves, or about the middle
+function maxOuterSize(start, end, limit, movesStart, movesEnd) {
+    if (movesStart && !movesEnd) return end;
+    if (movesEnd && !movesStart) return limit - start;
+    const middle = (start + end) / 2;
+    return 2 * Math.min(middle, limit - middle);
+}
+
+// Whether an outer box (wall pixels, before rotating) lies inside a shaped
+// wall's outline and, when overlaps are prevented, clear of obstacles
+function isResizedBoxAllowed(left, top, width, height, rotation) {
+    const bounds = rotatedBounds(left, top, width, height, rotation);
+    if (!isRectInsideWallOutline(bounds.left, bounds.top, bounds.width, bounds.height)) return false;
+    return !isObstacleOverlapPrevented() ||
+        findOverlappingObstacles(bounds.left, bounds.top, bounds.width, bounds.height).length === 0;
+}
+
+// Where a point of the unrotated box ends up once the box is rotated about its middle
+function rotatePointInBox(x, y, box, rotation) {
+    const angle = rotation * Math.PI / 180;
+    const centerX = (box.left + box.right) / 2;
+    const centerY = (box.top + box.bottom) / 2;
+    return {
+        x: centerX + (x - centerX) * Math.cos(angle) - (y - centerY) * Math.sin(angle),
+        y: centerY + (x - centerX) * Math.sin(angle) + (y - centerY) * Math.cos(angle),
+    };
+}
+
+function moveArtworkResize(e) {
+    if (!artworkResize) return;
+    const { artwork, handle, spec, box, framing, ratio } = artworkResize;
+    const wallContainer = document.getElementById('wallContainer');
+    const rotation = spec.rotation || 0;
+    const angle = rotation * Math.PI / 180;
+
+    // Pointer movement along the piece's own sides
+    const screenDx = (e.clientX - artworkResize.startX) / viewZoom;
+    const screenDy = (e.clientY - artworkResize.startY) / viewZoom;
+    const dx = screenDx * Math.cos(angle) + screenDy * Math.sin(angle);
+    const dy = -screenDx * Math.sin(angle) + screenDy * Math.cos(angle);
+
+    const movesW = handle.includes('w');
+    const movesE = handle.includes('e');
+    const movesN = handle.includes('n');
+    const movesS = handle.includes('s');
+    const horizontal = movesW || movesE;
+    const vertical = movesN || movesS;
+
+    const startImageW = box.right - box.left - framing * 2;
+    const startImageH = box.bottom - box.top - framing * 2;
+    let imageW = startImageW + (movesE ? dx : movesW ? -dx : 0);
+    let imageH = startImageH + (movesS ? dy : movesN ? -dy : 0);
+    imageW = Math.max(imageW, 1);
+    imageH = Math.max(imageH, 1);
+
+    // Keep the proportions, following whichever side the pointer moved most
+    if (ratio) {
+        if (horizontal && (!vertical || imageW / ratio > imageH)) imageH = imageW / ratio;
+        else imageW = imageH * ratio;
+    }
+
+    // A ratio-locked edge handle grows the other axis on both sides
+    const centerX = !horizontal && !!ratio;
+    const centerY = !vertical && !!ratio;
+    const maxW = maxOuterSize(box.left, box.right, wallContainer.offsetWidth,
+        movesW || centerX, movesE || centerX) - framing * 2;
+    const maxH = maxOuterSize(box.top, box.bottom, wallContainer.offsetHeight,
+        movesN || centerY, movesS || centerY) - framing * 2;
+    const minSize = mmToPixels(MIN_RESIZE_IMAGE_MM);
+
+    if (rotation && ratio) {
+        // The wall limits a rotated piece by its rotated box, checked below
+        const grow = Math.max(1, minSize / imageW, minSize / imageH);
+        imageW *= grow;
+        imageH *= grow;
+    } else if (rotation) {
+        imageW = Math.max(minSize, imageW);
+        imageH = Math.max(minSize, imageH);
+    } else if (ratio) {
+        const shrink = Math.min(1, maxW / imageW, maxH / imageH);
+        const grow = Math.max(1, minSize / (imageW * shrink), minSize / (imageH * shrink));
+        imageW *= shrink * grow;
+        imageH *= shrink * grow;
+    } else {
+        imageW = Math.max(minSize, Math.min(imageW, maxW));
+        imageH = Math.max(minSize, Math.min(imageH, maxH));
+    }
+
+    const outerW = imageW + framing * 2;
+    const outerH = imageH + framing * 2;
+    let left = movesW ? box.right - outerW
+        : movesE ? box.left
+        : (box.left + box.right - outerW) / 2;
+    let top = movesN ? box.bottom - outerH
+        : movesS ? box.top
+        : (box.top + box.bottom - outerH) / 2;
+
+    if (rotation) {
+        // Shift the new box so the fixed point (the opposite side or corner)
+        // stays where it is on the wall after rotating about the new middle
+        const anchorX = movesW ? box.right : movesE ? box.left : (box.left + box.right) / 2;
+        const anchorY = movesN ? box.bottom : movesS ? box.top : (box.top + box.bottom) / 2;
+        const newBox = { left, top, right: left + outerW, bottom: top + outerH };
+        const was = rotatePointInBox(anchorX, anchorY, box, rotation);
+        const now = rotatePointInBox(anchorX, anchorY, newBox, rotation);
+        left += was.x - now.x;
+        top += was.y - now.y;
+
+        const bounds = rotatedBounds(left, top, outerW, outerH, rotation);
+        if (bounds.left < -0.5 || bounds.top < -0.5 ||
+            bounds.right > wallContainer.offsetWidth + 0.5 ||
+            bounds.bottom > wallContainer.offsetHeight + 0.5) return;
+    }
+
+    // Stop at the outline or an obstacle: the largest step of the way from the
+    // starting box that still fits. A piece that started out of bounds (e.g.
+    // an obstacle was placed over it later) resizes freely.
+    const startBox = { left: box.left, top: box.top, width: startImageW, height: startImageH };
+    const fits = b => isResizedBoxAllowed(b.left, b.top, b.width + framing * 2, b.height + framing * 2, rotation);
+    const target = { left: left, top: top, width: imageW, height: imageH };
+    if (!fits(target) && fits(startBox)) {
+        const between = t => ({
+            left:   startBox.left + (target.left - startBox.left) * t,
+            top:    startBox.top + (target.top - startBox.top) * t,
+            width:  startBox.width + (target.width - startBox.width) * t,
+            height: startBox.height + (target.height - startBox.height) * t,
+        });
+        let lo = 0, hi = 1;
+        for (let i = 0; i < 12; i++) {
+            const mid = (lo + hi) / 2;
+            if (fits(between(mid))) lo = mid;
+            else hi = mid;
+        }
+        ({ left, top, width: imageW, height: imageH } = between(lo));
+    }
+
+    applyArtworkSpec(artwork, {
+        ...spec,
+        imageWidthMm:  pixelsToMm(imageW),
+        imageHeightMm: pixelsToMm(imageH),
+        xMm:           pixelsToMm(left),
+        yMm:           pixelsToMm(top),
+    });
+
+    updateControlsFromArtwork(artwork);
+    updateDistanceGuides();
+    updateObstacleWarnings();
+    showResizeReadout(e, getArtworkSpec(artwork));
+}
+
+// One undo step for the whole gesture
+function endArtworkResize() {
+    if (!artworkResize) return;
+    const { artwork, before } = artworkResize;
+    artworkResize = null;
+    isResizing = false;
+    hideResizeReadout();
+    if (artwork.isConnected) {
+        recordArtworkChange('Resize artwork', before, captureArtworkStates([artwork]));
+    }
+}
+
+// ─── READOUT ─────────────────────────────────────────────────────────────────
+
+function showResizeReadout(e, spec) {
+    const readout = document.getElementById('resizeReadout');
+    if (!readout) return;
+    const units = document.getElementById('sidebarArtworkUnits').value;
+    const label = units === 'cm' ? 'cm' : 'in';
+    readout.textContent = `${mmToUnits(spec.imageWidthMm, units).toFixed(1)} × ` +
+        `${mmToUnits(spec.imageHeightMm, units).toFixed(1)} ${label}`;
+    readout.style.left = (e.clientX + 16) + 'px';
+    readout.style.top = (e.clientY + 16) + 'px';
+    readout.classList.add('active');
+}
+
+function hideResizeReadout() {
+    const readout = document.getElementById('resizeReadout');
+    if (readout) readout.classList.remove('active');
+}
@@ -1,7 +1,9 @@
 /**
  * artwork.js - Artwork management for Wallspace
  *
- * Dependencies: utils.js, state.js, wall.js, framing.js
+ * Dependencies: utils.js, state.js, wall.js, framing.js, asset-store.js, history.js,
+ *               artwork-resize.js, selection.js, rotation.js, position.js,
+ *               layers.js
  *
  * This file handles artwork creation, selection, and manipulation:
  * - Image upload and placement on wall
@@ -12,11 +14,13 @@
  * Key functions:
  * - handleImageUpload(event) - Process uploaded artwork images
  * - addToWall(imageSrc) - Add single artwork to wall
- * - setupArtworkEvents(artwork) - Attach mouse event handlers
+ * - setArtworkAsset(artwork, hash) - Point an artwork's images at a stored asset
+ * - setupArtworkEvents(artwork) - Attach pointer event handlers
  * - selectArtwork(artwork) - Select and show dialog for artwork
- * - updateControlsFromArtwork(artwork) - Sync dialog controls with artwork state
+ * - updateControlsFromArtwork(artwork) - Sync sidebar controls with artwork spec
  * - updateArtworkSize() - Handle dimension changes with aspect ratio lock
- * - deleteSelected() - Remove selected artwork from wall
+ * - updateGroupSize(artworks) - Apply a typed width/height to a multi-selection
+ * - deleteSelected() - Remove the selected artworks from the wall
  * - updateArtworkUnits() - Handle unit conversion for artwork measurements
  */
 
@@ -43,6 +47,8 @@ function updateArtworkUnits() {
     document.getElementById('sidebarArtworkHeightUnit').textContent = newUnits;
     document.getElementById('sidebarFrameUnit').textContent = newUnits;
     document.getElementById('sidebarMatteUnit').textContent = newUnits;
+    document.getElementById('distributeGapUnit').textContent = newUnits;
+    document.getElementById('sidebarHangerUnit').textContent = newUnits;
 
     // Update artwork if one is selected
     if (selectedArtwork) {
@@ -123,6 +129,8 @@ function handleImageUpload(event) {
 
             wallContainer.appendChild(artwork);
             setupArtworkEvents(artwork);
+            rememberArtworkImage(artwork, e.target.result);
+            recordArtworkAdded(artwork);
             // analyzeArtworkForFraming(artwork, e.target.result);
         };
         reader.readAsDataURL(file);
@@ -174,46 +182,96 @@ function addToWall(imageSrc) {
 
     wallContainer.appendChild(artwork);
     setupArtworkEvents(artwork);
+    rememberArtworkImage(artwork, imageSrc);
+    recordArtworkAdded(artwork);
 }
 
-// Setup mouse event handlers for artwork
+// Store an uploaded image in the asset store and tag the artwork with its hash
+// so saved layouts reference the image instead of embedding it
+function rememberArtworkImage(artwork, dataUrl) {
+    storeAsset(dataUrl)
+        .then(hash => { artwork.dataset.assetId = hash; })
+        .catch(e => console.warn('Storing artwork image failed, layout will embed it:', e));
+}
+
+// Point an artwork's images at a stored asset, resolving the URL if needed
+function setArtworkAsset(artwork, hash) {
+    artwork.dataset.assetId = hash;
+    const applySrc = url => {
+        artwork.querySelectorAll('img').forEach(img => { img.src = url; });
+    };
+    const cached = getCachedAssetUrl(hash);
+    if (cached) {
+        applySrc(cached);
+        return;
+    }
+    getAssetUrl(hash)
+        .then(url => { if (url && artwork.dataset.assetId === hash) applySrc(url); })
+        .catch(e => console.warn('Artwork image unavailable:', e));
+}
+
+// Setup pointer event handlers for artwork (mouse, touch and pen alike)
 function setupArtworkEvents(artwork) {
-    artwork.addEventListener('mousedown', function(e) {
-        // Prevent interactions in preview mode
-        if (isPreviewMode) return;
+    addResizeHandles(artwork);
+    // The browser's own image dragging would take over from ours
+    artwork.addEventListener('dragstart', e => e.preventDefault());
+    artwork.addEventListener('pointerdown', function(e) {
+        // Prevent interactions in preview mode, in a read-only shared layout
+        // and while two fingers pinch the view
+        if (isPreviewMode || isShareView || pinchGesture) return;
 
         if (e.target.classList.contains('resize-handle')) {
-            // Resize functionality disabled - use sidebar dimension inputs instead
-            // isResizing = true;
+            startArtworkResize(artwork, e.target.dataset.handle || 'se', e);
+        } else if (e.shiftKey || e.ctrlKey || e.metaKey) {
+            // Add to or remove from the selection, no drag
+            toggleArtworkSelection(artwork);
+            e.preventDefault();
             return;
         } else {
+            // Dragging a selected piece moves the whole selection; a locked
+            // piece in it holds the whole selection still
+            const group = artwork.classList.contains('selected') ? getSelectedArtworks() : [artwork];
+            if (group.some(isArtworkLocked)) {
+                selectArtwork(artwork, true);
+                e.preventDefault();
+                return;
+            }
             isDragging = true;
+            dragStartStates = captureArtworkStates(group.includes(artwork) ? group : [artwork]);
             const rect = artwork.getBoundingClientRect();
             // Convert screen-space offset to wall-coordinate space
             dragOffset.x = (e.clientX - rect.left) / viewZoom;
             dragOffset.y = (e.clientY - rect.top) / viewZoom;
 
-            // Show custom animated cursor
-            const cursor = document.getElementById('custom-drag-cursor');
-            cursor.style.left = e.clientX + 'px';
-            cursor.style.top = e.clientY + 'px';
-            cursor.classList.add('active');
-            document.body.classList.add('dragging-artwork');
+            // Show custom animated cursor; a finger or pen needs none
+            if (e.pointerType === 'mouse') {
+                const cursor = document.getElementById('custom-drag-cursor');
+                cursor.style.left = e.clientX + 'px';
+                cursor.style.top = e.clientY + 'px';
+                cursor.classList.add('active');
+                document.body.classList.add('dragging-artwork');
+            }
         }
 
-        selectArtwork(artwork);
+        selectArtwork(artwork, true);
         e.preventDefault();
     });
 }
 
-// Select artwork and show settings in sidebar
-function selectArtwork(artwork) {
+// Select artwork and show settings in sidebar. With keepGroup, a piece that
+// is already part of a multi-selection becomes its lead and the rest stay selected.
+function selectArtwork(artwork, keepGroup) {
+    const inGroup = keepGroup && artwork.classList.contains('selected') && getSelectedArtworks().length > 1;
+
     // Remove selection from all artworks
-    document.querySelectorAll('.artwork').forEach(art => {
-        art.classList.remove('selected');
-    });
+    if (!inGroup) {
+        document.querySelectorAll('.artwork').forEach(art => {
+            art.classList.remove('selected');
+        });
+    }
 
     // Select the clicked artwork
+    if (typeof deselectObstacle === 'function') deselectObstacle();
     artwork.classList.add('selected');
     selectedArtwork = artwork;
 
@@ -228,65 +286,167 @@ function selectArtwork(artwork) {
     updateDistanceGuides();
 }
 
-// Sync sidebar controls with current artwork state
+// Sync sidebar controls with current artwork state. When the artwork is part
+// of a multi-selection, controls on which the pieces differ show as mixed.
 function updateControlsFromArtwork(artwork) {
-    const frame = artwork.querySelector('.frame');
-    const matte = artwork.querySelector('.matte');
+    const selection = getSelectedArtworks();
+    const artworks = selection.includes(artwork) ? selection : [artwork];
+    const specs = artworks.map(getArtworkSpec);
+    const units = document.getElementById('sidebarArtworkUnits').value;
+    const toUnits = mm => mmToUnits(mm, units).toFixed(1);
+    // The value all pieces share, or null when they differ
+    const shared = read => {
+        const values = specs.map(read);
+        return values.every(value => value === values[0]) ? values[0] : null;
+    };
 
-    document.getElementById('sidebarHasMatte').checked = matte.style.display !== 'none' && matte.style.backgroundColor !== 'transparent';
-    document.getElementById('sidebarHasFrame').checked = frame.style.display !== 'none' && frame.style.backgroundColor !== 'transparent';
+    setMixedCheckbox('sidebarHasMatte', shared(spec => spec.hasMatte));
+    setMixedCheckbox('sidebarHasFrame', shared(spec => spec.hasFrame));
+    setMixedCheckbox('sidebarLocked', shared(spec => spec.locked));
+    setMixedSelect(document.getElementById('sidebarFrameColor'), shared(spec => spec.frameColor));
+    setMixedSelect(document.getElementById('sidebarMatteColor'), shared(spec => spec.matteColor));
+    setMixedInput('sidebarFrameSize', shared(spec => toUnits(spec.frameWidthMm)));
+    setMixedInput('sidebarMatteSize', shared(spec => toUnits(spec.matteWidthMm)));
+
+    // Width/height always describe the image area, excluding frame and matte
+    setMixedInput('sidebarArtworkWidth', shared(spec => toUnits(spec.imageWidthMm)));
+    setMixedInput('sidebarArtworkHeight', shared(spec => toUnits(spec.imageHeightMm)));
+    setMixedInput('sidebarRotation', shared(spec => spec.rotation || 0));
+    updatePositionFields();
+
+    const count = document.getElementById('selectionCount');
+    if (count) {
+        count.textContent = `${artworks.length} artworks selected`;
+        count.style.display = artworks.length > 1 ? '' : 'none';
+    }
+    // Aligning and spacing need more than one piece
+    ['alignButtons', 'distributeGapGroup'].forEach(id => {
+        const group = document.getElementById(id);
+        if (group) group.style.display = artworks.length > 1 ? '' : 'none';
+    });
+}
 
-    // For artwork with frames/mattes, we need to calculate the actual image size
-    // by subtracting the frame and matte dimensions
-    const units = document.getElementById('sidebarArtworkUnits').value;
-    let totalWidth = artwork.offsetWidth;
-    let totalHeight = artwork.offsetHeight;
-
-    // If there's framing, we need to get the image container size instead
-    const imageContainer = artwork.querySelector('.image-container');
-    if (imageContainer && imageContainer.style.width) {
-        const widthInUnits = pixelsToUnits(parseFloat(imageContainer.style.width), units);
-        const heightInUnits = pixelsToUnits(parseFloat(imageContainer.style.height), units);
-        document.getElementById('sidebarArtworkWidth').value = widthInUnits.toFixed(1);
-        document.getElementById('sidebarArtworkHeight').value = heightInUnits.toFixed(1);
-    } else {
-        // No framing, use total dimensions
-        const widthInUnits = pixelsToUnits(totalWidth, units);
-        const heightInUnits = pixelsToUnits(totalHeight, units);
-        document.getElementById('sidebarArtworkWidth').value = widthInUnits.toFixed(1);
-        document.getElementById('sidebarArtworkHeight').value = heightInUnits.toFixed(1);
+// Mixed values: an indeterminate checkbox, a blank input with a "Mixed"
+// placeholder, or a "Mixed" option. Inputs remember what they showed so a
+// size change can tell which field was edited.
+function setMixedCheckbox(id, value) {
+    const checkbox = document.getElementById(id);
+    checkbox.indeterminate = value === null;
+    checkbox.checked = !!value;
+}
+
+function setMixedInput(id, value) {
+    const input = document.getElementById(id);
+    input.value = value === null ? '' : value;
+    input.placeholder = value === null ? 'Mixed' : '';
+    input.dataset.shown = input.value;
+}
+
+function setMixedSelect(select, value) {
+    let mixed = select.querySelector('option[data-mixed]');
+    if (value !== null) {
+        if (mixed) mixed.remove();
+        setSelectValue(select, value);
+        return;
+    }
+    if (!mixed) {
+        mixed = document.createElement('option');
+        mixed.value = '';
+        mixed.textContent = 'Mixed';
+        mixed.dataset.mixed = 'true';
+        select.insertBefore(mixed, select.firstChild);
+    }
+    select.value = '';
+}
+
+// Select a value in a <select>, adding a "Custom" option for colors that are
+// not in the list (e.g. from layouts saved with an older palette)
+function setSelectValue(select, value) {
+    if (!value) return;
+    if (!Array.from(select.options).some(option => option.value === value)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = `Custom (${value})`;
+        select.appendChild(option);
     }
+    select.value = value;
 }
 
 // Handle artwork dimension changes with aspect ratio lock
 function updateArtworkSize() {
     if (!selectedArtwork) return;
+    if (getSelectedArtworks().length > 1) {
+        // Locked pieces keep their size
+        updateGroupSize(getSelectedArtworks().filter(artwork => !isArtworkLocked(artwork)));
+        return;
+    }
+    if (isArtworkLocked(selectedArtwork)) {
+        updateControlsFromArtwork(selectedArtwork);
+        return;
+    }
 
-    const maintainRatio = document.getElementById('sidebarMaintainRatio').checked;
-    const units = document.getElementById('sidebarArtworkUnits').value;
-    const width = parseFloat(document.getElementById('sidebarArtworkWidth').value);
-    const height = parseFloat(document.getElementById('sidebarArtworkHeight').value);
+    withArtworkHistory('Resize artwork', [selectedArtwork], () => {
+        const maintainRatio = document.getElementById('sidebarMaintainRatio').checked;
+        const units = document.getElementById('sidebarArtworkUnits').value;
+        const width = parseFloat(document.getElementById('sidebarArtworkWidth').value);
+        const height = parseFloat(document.getElementById('sidebarArtworkHeight').value);
+
+        if (maintainRatio && artworkAspectRatios.has(selectedArtwork.id)) {
+            const aspectRatio = artworkAspectRatios.get(selectedArtwork.id);
+            const expectedHeight = width / aspectRatio;
+
+            if (Math.abs(height - expectedHeight) > 0.1) {
+                // Height was changed, adjust width
+                const newWidth = height * aspectRatio;
+                document.getElementById('sidebarArtworkWidth').value = newWidth.toFixed(1);
+            }
+        }
 
-    if (maintainRatio && artworkAspectRatios.has(selectedArtwork.id)) {
-        const aspectRatio = artworkAspectRatios.get(selectedArtwork.id);
-        const expectedHeight = width / aspectRatio;
+        // When updating artwork size, we need to recalculate the total dimensions
+        // including frame and matte
+        updateSelectedArtwork();
+    }, 'size:' + selectedArtwork.id);
+}
 
-        if (Math.abs(height - expectedHeight) > 0.1) {
-            // Height was changed, adjust width
-            const newWidth = height * aspectRatio;
-            document.getElementById('sidebarArtworkWidth').value = newWidth.toFixed(1);
-        }
-    }
+// Give every selected piece the width and/or height typed into the sidebar.
+// Only the field that was edited is applied; with the ratio locked, the other
+// side of each piece follows its own proportions.
+function updateGroupSize(artworks) {
+    const widthInput = document.getElementById('sidebarArtworkWidth');
+    const heightInput = document.getElementById('sidebarArtworkHeight');
+    const maintainRatio = document.getElementById('sidebarMaintainRatio').checked;
+    const units = document.getElementById('sidebarArtworkUnits').value;
+    const width = parseFloat(widthInput.value);
+    const height = parseFloat(heightInput.value);
+    const widthChanged = widthInput.value !== widthInput.dataset.shown && width > 0;
+    const heightChanged = heightInput.value !== heightInput.dataset.shown && height > 0;
+    if (!widthChanged && !heightChanged) return;
+
+    withArtworkHistory('Resize artworks', artworks, () => {
+        artworks.forEach(artwork => {
+            const spec = getArtworkSpec(artwork);
+            const ratio = artworkAspectRatios.get(artwork.id) || spec.imageWidthMm / spec.imageHeightMm;
+            if (widthChanged) spec.imageWidthMm = unitsToMm(width, units);
+            if (heightChanged) spec.imageHeightMm = unitsToMm(height, units);
+            if (maintainRatio && widthChanged && !heightChanged) spec.imageHeightMm = spec.imageWidthMm / ratio;
+            if (maintainRatio && heightChanged && !widthChanged) spec.imageWidthMm = spec.imageHeightMm * ratio;
+            delete spec.xMm;
+            delete spec.yMm;
+            applyArtworkSpec(artwork, spec);
+        });
+    });
 
-    // When updating artwork size, we need to recalculate the total dimensions
-    // including frame and matte
-    updateSelectedArtwork();
+    updateControlsFromArtwork(selectedArtwork);
+    updateDistanceGuides();
 }
 
-// Delete selected artwork from wall
+// Delete the selected artworks from the wall
 function deleteSelected() {
     if (selectedArtwork) {
-        selectedArtwork.remove();
+        const artworks = getSelectedArtworks();
+        const recordRemoval = captureRemoval(artworks);
+        artworks.forEach(artwork => artwork.remove());
+        recordRemoval();
         selectedArtwork = null;
         // Hide sidebar artwork panel
         document.getElementById('artworkPanel').style.display = 'none';
@@ -0,0 +1,224 @@
+/**
+ * asset-store.js - Content-addressed image store for Wallspace
+ *
+ * Dependencies: state.js
+ *
+ * Images are kept in IndexedDB keyed by the SHA-256 hash of their bytes, so
+ * layouts, catalog items and wall settings only persist a short hash in
+ * localStorage. The same image is stored once no matter how many layouts or
+ * catalog entries use it.
+ *
+ * Key functions:
+ * - openAssetStore() - Open (or create) the IndexedDB database
+ * - storeAsset(source) - Store a Blob or data URL, resolves to its hash
+ * - loadAsset(hash) - Read the stored Blob for a hash
+ * - getAssetUrl(hash) - Resolve a hash to an object URL usable in <img>/CSS
+ * - getCachedAssetUrl(hash) - Synchronous lookup of an already resolved URL
+ * - deleteUnusedAssets(keepHashes) - Remove images that nothing references
+ * - migrateLegacyImages() - Move data URLs out of localStorage (runs once)
+ */
+
+const ASSET_DB_NAME = 'wallspace_assets';
+const ASSET_DB_VERSION = 1;
+const ASSET_STORE_NAME = 'images';
+const ASSET_MIGRATION_KEY = 'wallspace_assets_migrated';
+
+let assetDBPromise = null;
+
+// ─── DATABASE ────────────────────────────────────────────────────────────────
+
+// Open the asset database once and share the connection
+function openAssetStore() {
+    if (assetDBPromise) return assetDBPromise;
+    assetDBPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+        const request = indexedDB.open(ASSET_DB_NAME, ASSET_DB_VERSION);
+        request.onupgradeneeded = function() {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(ASSET_STORE_NAME)) {
+                db.createObjectStore(ASSET_STORE_NAME, { keyPath: 'hash' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Allow a later retry if opening failed
+    assetDBPromise.catch(() => { assetDBPromise = null; });
+    return assetDBPromise;
+}
+
+// Run a single request against the images store and resolve with its result
+async function assetRequest(mode, makeRequest) {
+    const db = await openAssetStore();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(ASSET_STORE_NAME, mode);
+        const request = makeRequest(tx.objectStore(ASSET_STORE_NAME));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// ─── HASHING ─────────────────────────────────────────────────────────────────
+
+// Decode a data URL into a Blob without going through fetch()
+function dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const header = dataUrl.slice(5, comma);
+    const body = dataUrl.slice(comma + 1);
+    const type = header.split(';')[0] || 'application/octet-stream';
+    if (header.includes(';base64')) {
+        const binary = atob(body);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Blob([bytes], { type });
+    }
+    return new Blob([decodeURIComponent(body)], { type });
+}
+
+// Read a Blob into an ArrayBuffer (Blob.arrayBuffer is missing in older Safari)
+function blobToArrayBuffer(blob) {
+    if (blob.arrayBuffer) return blob.arrayBuffer();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+// SHA-256 hex digest of a Blob's bytes
+async function hashBlob(blob) {
+    const buffer = await blobToArrayBuffer(blob);
+    if (window.crypto && crypto.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+    // crypto.subtle only exists in secure contexts — fall back to a 64-bit
+    // FNV-1a hash when the app is served over plain http
+    const bytes = new Uint8Array(buffer);
+    let h1 = 0x811c9dc5, h2 = 0x01000193 ^ bytes.length;
+    for (let i = 0; i < bytes.length; i++) {
+        h1 = Math.imul(h1 ^ bytes[i], 0x01000193);
+        h2 = Math.imul(h2 ^ bytes[i], 0x5bd1e995);
+    }
+    return 'fnv-' + (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+}
+
+// ─── STORE / LOAD ────────────────────────────────────────────────────────────
+
+// Store a Blob or data URL and resolve to its content hash.
+// Storing the same bytes twice is a no-op and returns the same hash.
+async function storeAsset(source) {
+    const blob = typeof source === 'string' ? dataUrlToBlob(source) : source;
+    const hash = await hashBlob(blob);
+    const existing = await assetRequest('readonly', store => store.getKey(hash));
+    if (existing === undefined) {
+        await assetRequest('readwrite', store => store.put({
+            hash:    hash,
+            blob:    blob,
+            type:    blob.type,
+            size:    blob.size,
+            created: Date.now(),
+        }));
+    }
+    return hash;
+}
+
+// Read the stored Blob for a hash (null if it is missing)
+async function loadAsset(hash) {
+    const record = await assetRequest('readonly', store => store.get(hash));
+    return record ? record.blob : null;
+}
+
+// Resolve a hash to an object URL, reusing one URL per hash for the session
+async function getAssetUrl(hash) {
+    if (!hash) return null;
+    if (assetUrls.has(hash)) return assetUrls.get(hash);
+    const blob = await loadAsset(hash);
+    if (!blob) return null;
+    // Another caller may have resolved the same hash while we were waiting
+    if (!assetUrls.has(hash)) assetUrls.set(hash, URL.createObjectURL(blob));
+    return assetUrls.get(hash);
+}
+
+// Synchronous lookup for a hash that has already been resolved
+function getCachedAssetUrl(hash) {
+    return assetUrls.get(hash) || null;
+}
+
+// Delete every stored image whose hash is not in keepHashes
+async function deleteUnusedAssets(keepHashes) {
+    const keep = new Set(keepHashes);
+    const allHashes = await assetRequest('readonly', store => store.getAllKeys());
+    const unused = allHashes.filter(hash => !keep.has(hash));
+    if (!unused.length) return 0;
+    await assetRequest('readwrite', store => {
+        let request;
+        unused.forEach(hash => { request = store.delete(hash); });
+        return request;
+    });
+    unused.forEach(hash => {
+        if (assetUrls.has(hash)) {
+            URL.revokeObjectURL(assetUrls.get(hash));
+            assetUrls.delete(hash);
+        }
+    });
+    return unused.length;
+}
+
+// ─── MIGRATION ───────────────────────────────────────────────────────────────
+
+function isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:');
+}
+
+// Move every data URL that older versions wrote into localStorage into the
+// asset store, replacing it with a hash reference. Runs once per browser.
+async function migrateLegacyImages() {
+    if (localStorage.getItem(ASSET_MIGRATION_KEY)) return;
+
+    try {
+        const storedLayouts = localStorage.getItem('wallArtLayouts');
+        if (storedLayouts) {
+            const layouts = JSON.parse(storedLayouts);
+            for (const layout of layouts) {
+                for (const artwork of layout.artworks || []) {
+                    if (isDataUrl(artwork.src)) {
+                        artwork.assetId = await storeAsset(artwork.src);
+                        delete artwork.src;
+                    }
+                }
+                // Layouts are still in the pre-versioned format at this point
+                const wall = layout.wallSettings;
+                if (wall && isDataUrl(wall.backgroundImage)) {
+                    wall.backgroundAssetId = await storeAsset(wall.backgroundImage);
+                    wall.backgroundImage = null;
+                }
+            }
+            localStorage.setItem('wallArtLayouts', JSON.stringify(layouts));
+        }
+
+        const storedCatalog = localStorage.getItem('wallspace_catalog');
+        if (storedCatalog) {
+            const catalog = JSON.parse(storedCatalog);
+            for (const item of catalog.items || []) {
+                if (isDataUrl(item.src)) {
+                    item.assetId = await storeAsset(item.src);
+                    item.src = null;
+                }
+            }
+            localStorage.setItem('wallspace_catalog', JSON.stringify(catalog));
+        }
+
+        localStorage.setItem(ASSET_MIGRATION_KEY, String(Date.now()));
+    } catch (e) {
+        // Leave the flag unset so the migration is retried on the next load
+        console.warn('migrateLegacyImages failed:', e);
+    }
+}
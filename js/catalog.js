@@ -1,11 +1,16 @@
 /**
  * catalog.js - Artwork catalog for Wallspace
  *
- * Dependencies: utils.js, state.js, wall.js, framing.js, artwork.js
+ * Dependencies: utils.js, state.js, wall.js, framing.js, artwork.js, asset-store.js, history.js,
+ *               validation.js, walls.js, wall-shape.js, templates.js
  *
  * Manages a persistent catalog of physical artwork with dimensions and metadata.
  * Users import a CSV file once and point to their image folder. Catalog items
- * can be dragged onto the wall and are placed at their correct physical dimensions.
+ * can be dragged onto the wall (with a mouse, finger or pen) and are placed at
+ * their correct physical dimensions.
+ *
+ * Item images live in the asset store: `assetId` is persisted, while `src` is
+ * the object URL resolved for the current session.
  *
  * CSV format (header row required):
  *   name,width_mm,height_mm,has_frame,is_art
@@ -17,29 +22,73 @@
  * - handleCSVReplace() - clear catalog then import fresh CSV
  * - selectImageFolder() - File System Access API folder picker (Chrome/Edge)
  * - createArtworkFromCatalog(item, x, y) - place artwork on wall
+ * - dropCatalogItem(id, clientX, clientY) - place an item dropped at a screen point,
+ *   or fit it into the layout template slot there
+ * - toggleCatalogSelection(id, ticked) - tick or untick an item for arranging
  */
 
 // ─── CSV PARSING ─────────────────────────────────────────────────────────────
 
+// Split one CSV line, honouring "quoted, fields" with "" escapes
+function splitCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    fields.push(field);
+    return fields.map(s => s.trim());
+}
+
+// Parse catalog CSV text. Returns { items, errors } where errors lists the
+// rows that were skipped and why ("Row 4: width_mm is not a number").
 function parseCatalogCSV(text) {
     const lines = text.trim().split(/\r?\n/);
-    if (lines.length < 2) return [];
-    return lines.slice(1).map(line => {
-        const parts = line.split(',').map(s => s.trim());
-        const [name, widthMm, heightMm, hasFrame, isArt] = parts;
-        if (!name || !widthMm || !heightMm) return null;
+    const items = [];
+    const errors = [];
+    lines.slice(1).forEach((line, i) => {
+        if (!line.trim()) return;
+        const [name, widthMm, heightMm, hasFrame, isArt] = splitCSVLine(line);
+        const rowErrors = [];
         const w = parseFloat(widthMm);
         const h = parseFloat(heightMm);
-        if (isNaN(w) || isNaN(h)) return null;
-        return {
-            name,
+        if (!cleanText(name, MAX_NAME_LENGTH)) rowErrors.push('name is missing');
+        if (!(w > 0 && w <= MAX_LENGTH_MM)) rowErrors.push('width_mm is not a positive number');
+        if (!(h > 0 && h <= MAX_LENGTH_MM)) rowErrors.push('height_mm is not a positive number');
+        if (rowErrors.length) {
+            // Line numbers count the header row, as spreadsheets do
+            errors.push(`Row ${i + 2}: ${rowErrors.join(', ')}`);
+            return;
+        }
+        items.push({
+            name:     cleanText(name, MAX_NAME_LENGTH),
             widthMm:  w,
             heightMm: h,
             hasFrame: hasFrame?.toLowerCase() === 'yes',
             isArt:    isArt?.toLowerCase()    !== 'no',
+            assetId:  null,
             src:      null,
-        };
-    }).filter(Boolean);
+        });
+    });
+    return { items, errors };
 }
 
 // ─── FILENAME NORMALIZATION ───────────────────────────────────────────────────
@@ -109,23 +158,32 @@ function compressAndAssign(file, catalogItem) {
             canvas.width  = Math.round(img.width  * scale);
             canvas.height = Math.round(img.height * scale);
             canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
-            catalogItem.src = canvas.toDataURL('image/jpeg', 0.75);
-            try {
-                saveCatalog();
-            } catch (e) {
-                setCatalogStatus('Storage full — delete saved layouts or collection images to free space.');
-            }
-            renderCatalogList();
+            assignCatalogImage(catalogItem, canvas.toDataURL('image/jpeg', 0.75)).then(() => {
+                try {
+                    saveCatalog();
+                } catch (e) {
+                    setCatalogStatus('Storage full — delete saved layouts or collection images to free space.');
+                }
+                renderCatalogList();
+            });
         };
         img.src = e.target.result;
     };
     reader.readAsDataURL(file);
 }
 
-// ─── DIMENSION CONVERSION ────────────────────────────────────────────────────
-
-function mmToPixels(mm) {
-    return unitsToPixels(mm / 25.4, 'inches');
+// Store a compressed image for a catalog item. Falls back to keeping the data
+// URL inline when the asset store is unavailable.
+async function assignCatalogImage(catalogItem, dataUrl) {
+    try {
+        const hash = await storeAsset(dataUrl);
+        catalogItem.assetId = hash;
+        catalogItem.src = await getAssetUrl(hash);
+    } catch (e) {
+        console.warn('Storing catalog image failed, keeping it inline:', e);
+        catalogItem.assetId = null;
+        catalogItem.src = dataUrl;
+    }
 }
 
 // ─── PLACE ARTWORK ON WALL ───────────────────────────────────────────────────
@@ -147,6 +205,7 @@ function createArtworkFromCatalog(item, x, y) {
     artwork.className = 'artwork';
     artwork.id = 'artwork-' + (++artworkCounter);
     artwork.dataset.catalogId = item.id;
+    if (item.assetId) artwork.dataset.assetId = item.assetId;
 
     if (item.widthMm && item.heightMm) {
         artworkAspectRatios.set(artwork.id, item.widthMm / item.heightMm);
@@ -158,13 +217,18 @@ function createArtworkFromCatalog(item, x, y) {
         <div class="frame" style="display:none;">
             <div class="matte" style="display:none;">
                 <div class="image-container">
-                    <img src="${imgSrc}" alt="${item.name}">
+                    <img>
                 </div>
             </div>
         </div>
-        <img src="${imgSrc}" alt="${item.name}" class="direct-img">
+        <img class="direct-img">
         <div class="resize-handle"></div>
     `;
+    // Set through properties so catalog text never becomes markup
+    artwork.querySelectorAll('img').forEach(img => {
+        img.src = imgSrc;
+        img.alt = item.name;
+    });
 
     const totalWidthPx  = imgWidthPx;
     const totalHeightPx = imgHeightPx;
@@ -185,14 +249,17 @@ function createArtworkFromCatalog(item, x, y) {
 
     const left = Math.max(0, Math.min(x - totalWidthPx / 2, wallContainer.offsetWidth  - totalWidthPx));
     const top  = Math.max(0, Math.min(y - totalHeightPx / 2, wallContainer.offsetHeight - totalHeightPx));
+    // On a shaped wall, move the piece in from a cut-off corner
+    const position = fitInsideWallOutline(left, top, totalWidthPx, totalHeightPx);
 
-    artwork.style.left   = left + 'px';
-    artwork.style.top    = top  + 'px';
+    artwork.style.left   = position.x + 'px';
+    artwork.style.top    = position.y + 'px';
     artwork.style.width  = totalWidthPx  + 'px';
     artwork.style.height = totalHeightPx + 'px';
 
     wallContainer.appendChild(artwork);
     setupArtworkEvents(artwork);
+    recordArtworkAdded(artwork, `Add "${item.name}"`);
 
     if (item.src && typeof analyzeArtworkForFraming === 'function') {
         analyzeArtworkForFraming(artwork, item.src);
@@ -200,7 +267,7 @@ function createArtworkFromCatalog(item, x, y) {
 }
 
 function buildPlaceholderSrc(name) {
-    const label = name.length > 22 ? name.slice(0, 20) + '…' : name;
+    const label = escapeHtml(name.length > 22 ? name.slice(0, 20) + '…' : name);
     const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200">
         <rect width="200" height="200" fill="#e0d8d0"/>
         <text x="100" y="105" text-anchor="middle" font-family="sans-serif" font-size="13" fill="#7a6a5a">${label}</text>
@@ -208,6 +275,23 @@ function buildPlaceholderSrc(name) {
     return 'data:image/svg+xml,' + encodeURIComponent(svg);
 }
 
+// True only for an SVG that buildPlaceholderSrc() made, so imported layouts
+// can keep their placeholders without letting any other SVG in
+function isPlaceholderImageUrl(url) {
+    if (typeof url !== 'string' || !url.startsWith('data:image/svg+xml,')) return false;
+    let svg;
+    try {
+        svg = decodeURIComponent(url.slice('data:image/svg+xml,'.length));
+    } catch (e) {
+        return false;
+    }
+    const match = svg.match(/<text [^>]*>([^<]*)<\/text>/);
+    if (!match) return false;
+    const label = match[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+    return buildPlaceholderSrc(label) === url;
+}
+
 // ─── DRAG HANDLERS ───────────────────────────────────────────────────────────
 
 function handleCatalogDragStart(e) {
@@ -221,8 +305,71 @@ function handleCatalogDragEnd(e) {
     e.currentTarget.classList.remove('dragging');
 }
 
+// ─── TOUCH DRAG ──────────────────────────────────────────────────────────────
+
+// HTML drag and drop only works with a mouse. A finger or pen drags an item
+// by moving sideways out of the list (moving up or down still scrolls it, see
+// touch-action in styles.css); its thumbnail follows along and lifting over
+// the wall places the piece there.
+
+const CATALOG_TOUCH_DRAG_START = 10;   // px the finger moves before the drag starts
+
+let catalogTouchDrag = null;           // { id, item, pointerId, startX, startY, ghost } while dragging
+
+function startCatalogTouchDrag(e) {
+    if (e.pointerType === 'mouse' || isShareView) return;
+    catalogTouchDrag = {
+        id:        e.currentTarget.dataset.catalogId,
+        item:      e.currentTarget,
+        pointerId: e.pointerId,
+        startX:    e.clientX,
+        startY:    e.clientY,
+        ghost:     null,
+    };
+}
+
+function moveCatalogTouchDrag(e) {
+    const drag = catalogTouchDrag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    if (!drag.ghost) {
+        if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < CATALOG_TOUCH_DRAG_START) return;
+        drag.ghost = drag.item.querySelector('.catalog-item-thumb').cloneNode(true);
+        drag.ghost.classList.add('catalog-drag-ghost');
+        document.body.appendChild(drag.ghost);
+        drag.item.classList.add('dragging');
+    }
+    drag.ghost.style.left = e.clientX + 'px';
+    drag.ghost.style.top = e.clientY + 'px';
+    e.preventDefault();
+}
+
+function endCatalogTouchDrag(e) {
+    const drag = catalogTouchDrag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    catalogTouchDrag = null;
+    if (!drag.ghost) return;
+    drag.ghost.remove();
+    drag.item.classList.remove('dragging');
+
+    const target = e.type === 'pointerup' && document.elementFromPoint(e.clientX, e.clientY);
+    if (target && target.closest('#wallContainer')) dropCatalogItem(drag.id, e.clientX, e.clientY);
+}
+
 // ─── DROP ZONE ───────────────────────────────────────────────────────────────
 
+// Place a catalog item centered where it was dropped, in screen coordinates
+function dropCatalogItem(id, clientX, clientY) {
+    const item = catalogItems.find(i => i.id === id);
+    if (!item) return;
+    const rect = document.getElementById('wallContainer').getBoundingClientRect();
+    const x = (clientX - rect.left) / viewZoom;
+    const y = (clientY - rect.top) / viewZoom;
+    // Over an empty template slot the piece is fitted into the slot instead
+    const slot = typeof findTemplateSlotAt === 'function' ? findTemplateSlotAt(x, y) : null;
+    if (slot) placeCatalogItemInSlot(item, slot);
+    else createArtworkFromCatalog(item, x, y);
+}
+
 function initCatalogDropZone() {
     const wallContainer = document.getElementById('wallContainer');
 
@@ -232,17 +379,17 @@ function initCatalogDropZone() {
     });
 
     wallContainer.addEventListener('drop', function(e) {
+        if (isShareView) return;
         const id = e.dataTransfer.getData('text/plain');
         if (!id || !id.startsWith('catalog-')) return;
 
         e.preventDefault();
-
-        const item = catalogItems.find(i => i.id === id);
-        if (!item) return;
-
-        const rect = wallContainer.getBoundingClientRect();
-        createArtworkFromCatalog(item, (e.clientX - rect.left) / viewZoom, (e.clientY - rect.top) / viewZoom);
+        dropCatalogItem(id, e.clientX, e.clientY);
     });
+
+    document.addEventListener('pointermove', moveCatalogTouchDrag, { passive: false });
+    document.addEventListener('pointerup', endCatalogTouchDrag);
+    document.addEventListener('pointercancel', endCatalogTouchDrag);
 }
 
 // ─── RENDER CATALOG LIST ─────────────────────────────────────────────────────
@@ -250,29 +397,65 @@ function initCatalogDropZone() {
 function renderCatalogList() {
     const list = document.getElementById('catalogList');
     if (!list) return;
+    // Forget ticks on items that were removed or replaced
+    selectedCatalogIds.forEach(id => {
+        if (!catalogItems.some(item => item.id === id)) selectedCatalogIds.delete(id);
+    });
+    updateArrangeButton();
     if (!catalogItems.length) {
         list.innerHTML = '<div style="color:#999;font-size:12px;padding:8px 0;">No catalog items. Import a CSV file above.</div>';
         return;
     }
     list.innerHTML = catalogItems.map(item => {
-        const thumbStyle = item.src
-            ? `background-image:url('${item.src}')`
-            : '';
         const dims = `${item.widthMm}×${item.heightMm}mm${item.hasFrame ? ' · framed' : ''}`;
-        return `<div class="catalog-item" draggable="true" data-catalog-id="${item.id}">
-            <div class="catalog-item-thumb" style="${thumbStyle}"></div>
+        const ticked = selectedCatalogIds.has(item.id) ? ' checked' : '';
+        return `<div class="catalog-item" draggable="true" data-catalog-id="${escapeHtml(item.id)}">
+            <input type="checkbox" class="catalog-item-check" title="Tick to arrange"${ticked}>
+            <div class="catalog-item-thumb"></div>
             <div class="catalog-item-info">
-                <span class="catalog-item-name" title="${item.name}">${item.name}</span>
-                <span class="catalog-item-dims">${dims}</span>
+                <span class="catalog-item-name" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</span>
+                <span class="catalog-item-dims">${escapeHtml(dims)}</span>
+                <span class="catalog-item-walls"></span>
             </div>
-            <span class="catalog-item-delete" onclick="deleteFromCatalog('${item.id}')" title="Remove">&times;</span>
+            <span class="catalog-item-delete" onclick="deleteFromCatalog(${escapeHtml(JSON.stringify(item.id))})" title="Remove">&times;</span>
         </div>`;
     }).join('');
 
+    // Thumbnails are set as styles rather than markup, and only for image URLs
+    list.querySelectorAll('.catalog-item').forEach(el => {
+        const item = catalogItems.find(i => i.id === el.dataset.catalogId);
+        if (item && isSafeImageUrl(item.src)) {
+            el.querySelector('.catalog-item-thumb').style.backgroundImage = `url(${JSON.stringify(item.src)})`;
+        }
+    });
+
     list.querySelectorAll('.catalog-item').forEach(el => {
+        el.querySelector('.catalog-item-check').addEventListener('change', e => {
+            toggleCatalogSelection(el.dataset.catalogId, e.target.checked);
+        });
         el.addEventListener('dragstart', handleCatalogDragStart);
         el.addEventListener('dragend',   handleCatalogDragEnd);
+        el.addEventListener('pointerdown', startCatalogTouchDrag);
     });
+
+    if (typeof updateCatalogPlacements === 'function') updateCatalogPlacements();
+}
+
+// ─── SELECTION ───────────────────────────────────────────────────────────────
+
+// Ticked items are what "Arrange selected" lays out (see arrangement.js)
+function toggleCatalogSelection(id, ticked) {
+    if (ticked) selectedCatalogIds.add(id);
+    else selectedCatalogIds.delete(id);
+    updateArrangeButton();
+}
+
+function updateArrangeButton() {
+    const button = document.getElementById('arrangeCatalogButton');
+    if (!button) return;
+    const count = selectedCatalogIds.size;
+    button.disabled = count === 0;
+    button.textContent = count ? `Arrange selected (${count})` : 'Arrange selected';
 }
 
 // ─── DELETE ──────────────────────────────────────────────────────────────────
@@ -281,13 +464,15 @@ function deleteFromCatalog(id) {
     catalogItems = catalogItems.filter(i => i.id !== id);
     saveCatalog();
     renderCatalogList();
+    if (typeof pruneUnusedAssets === 'function') pruneUnusedAssets();
 }
 
 // ─── STORAGE ─────────────────────────────────────────────────────────────────
 
 function saveCatalog() {
     localStorage.setItem('wallspace_catalog', JSON.stringify({
-        items:   catalogItems,
+        // Object URLs are session-only; stored images are referenced by assetId
+        items:   catalogItems.map(item => item.assetId ? { ...item, src: null } : item),
         counter: catalogCounter,
     }));
 }
@@ -304,6 +489,21 @@ function loadCatalog() {
         console.warn('Failed to load catalog:', e);
     }
     renderCatalogList();
+    resolveCatalogImages();
+}
+
+// Resolve stored images to object URLs, then re-render with thumbnails
+async function resolveCatalogImages() {
+    const pending = catalogItems.filter(item => item.assetId && !item.src);
+    if (!pending.length) return;
+    await Promise.all(pending.map(async item => {
+        try {
+            item.src = await getAssetUrl(item.assetId);
+        } catch (e) {
+            console.warn('Catalog image unavailable:', item.name, e);
+        }
+    }));
+    renderCatalogList();
 }
 
 // ─── CSV IMPORT ──────────────────────────────────────────────────────────────
@@ -333,10 +533,13 @@ function readCSVFile(file, replace) {
     reader.onload = function(e) {
         const raw = e.target.result;
         console.log('[Catalog] CSV raw (first 200 chars):', raw.slice(0, 200));
-        const parsed = parseCatalogCSV(raw);
+        const { items: parsed, errors } = parseCatalogCSV(raw);
         console.log('[Catalog] Parsed rows:', parsed.length, parsed);
+        const skipped = errors.length
+            ? ` Skipped ${errors.length} row${errors.length !== 1 ? 's' : ''}: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? '; …' : ''}`
+            : '';
         if (!parsed.length) {
-            setCatalogStatus('No valid rows found. Check the console (F12) for details and make sure the CSV has a header row.');
+            setCatalogStatus('No valid rows found. Make sure the CSV has a header row.' + skipped);
             return;
         }
         const newItems = parsed.map(p => ({
@@ -355,7 +558,7 @@ function readCSVFile(file, replace) {
             return;
         }
         renderCatalogList();
-        setCatalogStatus(`${replace ? 'Replaced catalog with' : 'Imported'} ${newItems.length} piece${newItems.length !== 1 ? 's' : ''}.`);
+        setCatalogStatus(`${replace ? 'Replaced catalog with' : 'Imported'} ${newItems.length} piece${newItems.length !== 1 ? 's' : ''}.${skipped}`);
     };
     reader.readAsText(file);
 }
@@ -394,17 +597,20 @@ function handleManualUpload(event) {
                     heightMm: null,
                     hasFrame: false,
                     isArt:    true,
-                    src:      canvas.toDataURL('image/jpeg', 0.75),
+                    assetId:  null,
+                    src:      null,
                 };
                 catalogItems.push(item);
-                added++;
-                try { saveCatalog(); } catch (e) {
-                    setCatalogStatus('Storage full — free space and try again.');
-                }
-                renderCatalogList();
-                if (added === imageFiles.length) {
-                    setCatalogStatus(`Added ${added} image${added !== 1 ? 's' : ''}.`);
-                }
+                assignCatalogImage(item, canvas.toDataURL('image/jpeg', 0.75)).then(() => {
+                    added++;
+                    try { saveCatalog(); } catch (e) {
+                        setCatalogStatus('Storage full — free space and try again.');
+                    }
+                    renderCatalogList();
+                    if (added === imageFiles.length) {
+                        setCatalogStatus(`Added ${added} image${added !== 1 ? 's' : ''}.`);
+                    }
+                });
             };
             img.src = e.target.result;
         };
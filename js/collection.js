@@ -1,7 +1,7 @@
 /**
  * collection.js - Collection management for Wallspace
  *
- * Dependencies: utils.js, state.js, artwork.js
+ * Dependencies: utils.js, state.js, artwork.js, validation.js, asset-store.js
  *
  * This file handles the collection feature:
  * - Upload images to collection (not directly to wall)
@@ -10,6 +10,11 @@
  * - Delete items from collection
  * - Persist collection to localStorage
  *
+ * Images live in the asset store like catalog and layout images: `assetId` is
+ * persisted, while `src` is the object URL resolved for the current session.
+ * Entries saved by older versions with the image inline are moved into the
+ * store when the collection loads.
+ *
  * Key functions:
  * - handleCollectionUpload(event) - Process uploaded collection images
  * - renderCollectionList() - Display collection items in sidebar
@@ -26,13 +31,15 @@ function handleCollectionUpload(event) {
 
     Array.from(files).forEach(file => {
         const reader = new FileReader();
-        reader.onload = function(e) {
+        reader.onload = async function(e) {
             const item = {
                 id: 'collection-' + (++collectionCounter),
+                assetId: null,
                 src: e.target.result,
                 name: file.name,
                 dateAdded: Date.now()
             };
+            await storeCollectionImage(item);
             collectionItems.push(item);
             renderCollectionList();
             saveCollection();
@@ -44,9 +51,23 @@ function handleCollectionUpload(event) {
     event.target.value = '';
 }
 
+// Move an item's inline image into the asset store. Falls back to keeping the
+// data URL inline when the asset store is unavailable.
+async function storeCollectionImage(item) {
+    if (item.assetId || !isDataUrl(item.src)) return;
+    try {
+        const dataUrl = item.src;
+        item.assetId = await storeAsset(dataUrl);
+        item.src = await getAssetUrl(item.assetId);
+    } catch (e) {
+        console.warn('Storing collection image failed, keeping it inline:', e);
+    }
+}
+
 // Render the collection list in sidebar
 function renderCollectionList() {
     const list = document.getElementById('collectionList');
+    if (!list) return;
 
     if (collectionItems.length === 0) {
         list.innerHTML = '<div style="color: #999; font-size: 13px; padding: 10px 0;">No images in collection. Upload images above.</div>';
@@ -56,10 +77,10 @@ function renderCollectionList() {
     list.innerHTML = collectionItems.map(item => `
         <div class="collection-item"
              draggable="true"
-             data-collection-id="${item.id}">
-            <img class="collection-item-thumbnail" src="${item.src}" alt="${item.name}">
-            <span class="collection-item-name" title="${item.name}">${item.name}</span>
-            <span class="collection-item-delete" onclick="deleteFromCollection('${item.id}')" title="Remove from collection">&times;</span>
+             data-collection-id="${escapeHtml(item.id)}">
+            <img class="collection-item-thumbnail" src="${isSafeImageUrl(item.src) ? escapeHtml(item.src) : ''}" alt="${escapeHtml(item.name)}">
+            <span class="collection-item-name" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</span>
+            <span class="collection-item-delete" onclick="deleteFromCollection(${escapeHtml(JSON.stringify(item.id))})" title="Remove from collection">&times;</span>
         </div>
     `).join('');
 
@@ -93,7 +114,8 @@ function deleteFromCollection(itemId) {
 function saveCollection() {
     try {
         localStorage.setItem('wallspace_collection', JSON.stringify({
-            items: collectionItems,
+            // Object URLs are session-only; stored images are referenced by assetId
+            items: collectionItems.map(item => item.assetId ? { ...item, src: null } : item),
             counter: collectionCounter
         }));
     } catch (e) {
@@ -118,6 +140,26 @@ function loadCollection() {
     }
     // Always render the list (shows empty state if no items)
     renderCollectionList();
+    resolveCollectionImages();
+}
+
+// Move inline images left by older versions into the asset store, resolve
+// stored ones to object URLs, then re-render with thumbnails
+async function resolveCollectionImages() {
+    const legacy = collectionItems.filter(item => !item.assetId && isDataUrl(item.src));
+    const pending = collectionItems.filter(item => item.assetId && !item.src);
+    if (!legacy.length && !pending.length) return;
+
+    await Promise.all(legacy.map(storeCollectionImage));
+    await Promise.all(pending.map(async item => {
+        try {
+            item.src = await getAssetUrl(item.assetId);
+        } catch (e) {
+            console.warn('Collection image unavailable:', item.name, e);
+        }
+    }));
+    if (legacy.some(item => item.assetId)) saveCollection();
+    renderCollectionList();
 }
 
 // Initialize drop zone on wall container
@@ -167,6 +209,7 @@ function createArtworkFromCollection(item, x, y) {
     const artwork = document.createElement('div');
     artwork.className = 'artwork';
     artwork.id = 'artwork-' + (++artworkCounter);
+    if (item.assetId) artwork.dataset.assetId = item.assetId;
 
     // Default size: 11 inches height with proportionate width
     const defaultHeight = 11;
@@ -1,12 +1,14 @@
 /**
  * distance-guides.js - Distance measurement guides for Wallspace
  *
- * Dependencies: utils.js, state.js
+ * Dependencies: utils.js, state.js, framing.js, obstacles.js, wall-shape.js
  *
  * This file handles distance measurement guides that show spacing:
- * - Between selected artwork and walls
- * - Between selected artwork and other artworks
+ * - Between selected artwork (or obstacle) and the wall's edge, following
+ *   the outline of sloped or stepped walls
+ * - Between selected artwork and other artworks and obstacles
  * - Real-time updates during drag/resize
+ * Rotated artworks are measured by the box they cover on the wall.
  *
  * Key functions:
  * - toggleDistanceGuides() - Enable/disable distance guides display
@@ -19,41 +21,48 @@ function toggleDistanceGuides() {
     const enabled = document.getElementById('showDistanceGuides').checked;
     const svg = document.getElementById('distanceGuidesSVG');
 
-    if (enabled && selectedArtwork) {
+    if (enabled) {
         updateDistanceGuides();
     } else {
         svg.innerHTML = ''; // Clear guides
     }
 }
 
-// Update all distance guides for selected artwork
+// Box an artwork (rotation included) or obstacle covers, in wall pixels
+function guideBox(el) {
+    if (el.classList.contains('artwork')) return getArtworkBounds(el);
+    const left = parseFloat(el.style.left) || 0;
+    const top = parseFloat(el.style.top) || 0;
+    const width = parseFloat(el.style.width) || el.offsetWidth;
+    const height = parseFloat(el.style.height) || el.offsetHeight;
+    return { left, top, width, height, right: left + width, bottom: top + height };
+}
+
+// Update all distance guides for the selected artwork or obstacle
 function updateDistanceGuides() {
     const svg = document.getElementById('distanceGuidesSVG');
     const enabled = document.getElementById('showDistanceGuides').checked;
+    const selected = selectedArtwork ||
+        (typeof getSelectedObstacleElement === 'function' ? getSelectedObstacleElement() : null);
 
     // Clear existing guides
     svg.innerHTML = '';
 
-    // Only show guides if enabled and artwork is selected
-    if (!enabled || !selectedArtwork) {
+    // Only show guides if enabled and something is selected
+    if (!enabled || !selected) {
         return;
     }
 
-    const wallContainer = document.getElementById('wallContainer');
-    const wallWidth = wallContainer.offsetWidth;
-    const wallHeight = wallContainer.offsetHeight;
+    // Get artwork bounds in wall-pixel space
+    const artworkRect = guideBox(selected);
 
-    // Get artwork bounds in wall-pixel space (divide screen coords by viewZoom)
-    const artworkRect = selectedArtwork.getBoundingClientRect();
-    const wallRect = wallContainer.getBoundingClientRect();
+    const artworkLeft   = artworkRect.left;
+    const artworkTop    = artworkRect.top;
+    const artworkRight  = artworkRect.right;
+    const artworkBottom = artworkRect.bottom;
 
-    const artworkLeft   = (artworkRect.left   - wallRect.left) / viewZoom;
-    const artworkTop    = (artworkRect.top    - wallRect.top)  / viewZoom;
-    const artworkRight  = artworkLeft + artworkRect.width  / viewZoom;
-    const artworkBottom = artworkTop  + artworkRect.height / viewZoom;
-
-    const centerX = artworkLeft + artworkRect.width  / viewZoom / 2;
-    const centerY = artworkTop  + artworkRect.height / viewZoom / 2;
+    const centerX = artworkLeft + artworkRect.width  / 2;
+    const centerY = artworkTop  + artworkRect.height / 2;
     const leftCenterX = artworkLeft;
     const leftCenterY = centerY;
     const rightCenterX = artworkRight;
@@ -63,17 +72,23 @@ function updateDistanceGuides() {
     const bottomCenterX = centerX;
     const bottomCenterY = artworkBottom;
 
-    // Find nearest artworks in each direction
-    const otherArtworks = Array.from(document.querySelectorAll('.artwork')).filter(art => art !== selectedArtwork);
+    // Distances to the wall's edge straight out from each side
+    const wallLeftDist = distanceToWallOutline(leftCenterX, leftCenterY, -1, 0);
+    const wallRightDist = distanceToWallOutline(rightCenterX, rightCenterY, 1, 0);
+    const wallTopDist = distanceToWallOutline(topCenterX, topCenterY, 0, -1);
+    const wallBottomDist = distanceToWallOutline(bottomCenterX, bottomCenterY, 0, 1);
+
+    // Find nearest artworks or obstacles in each direction
+    const otherArtworks = Array.from(document.querySelectorAll('.artwork, .obstacle')).filter(art => art !== selected);
     let nearestLeft = null, nearestRight = null, nearestTop = null, nearestBottom = null;
     let nearestLeftDist = Infinity, nearestRightDist = Infinity, nearestTopDist = Infinity, nearestBottomDist = Infinity;
 
     otherArtworks.forEach(otherArt => {
-        const otherRect = otherArt.getBoundingClientRect();
-        const otherLeft   = (otherRect.left - wallRect.left) / viewZoom;
-        const otherTop    = (otherRect.top  - wallRect.top)  / viewZoom;
-        const otherRight  = otherLeft + otherRect.width  / viewZoom;
-        const otherBottom = otherTop  + otherRect.height / viewZoom;
+        const otherRect = guideBox(otherArt);
+        const otherLeft   = otherRect.left;
+        const otherTop    = otherRect.top;
+        const otherRight  = otherRect.right;
+        const otherBottom = otherRect.bottom;
 
         // Check if artwork is to the left (with vertical overlap)
         if (otherRight <= artworkLeft) {
@@ -121,14 +136,14 @@ function updateDistanceGuides() {
     if (nearestLeft) {
         const distInches = pixelsToUnits(nearestLeftDist, 'inches');
         const distCm = pixelsToUnits(nearestLeftDist, 'cm');
-        const otherCenterY = nearestLeft.otherTop + nearestLeft.otherRect.height / viewZoom / 2;
+        const otherCenterY = nearestLeft.otherTop + nearestLeft.otherRect.height / 2;
         const guideY = (centerY + otherCenterY) / 2;
         drawGuide(svg, nearestLeft.otherRight, guideY, leftCenterX, guideY,
                  distInches, distCm, 'horizontal');
-    } else if (artworkLeft > 0) {
-        const distInches = pixelsToUnits(artworkLeft, 'inches');
-        const distCm = pixelsToUnits(artworkLeft, 'cm');
-        drawGuide(svg, 0, leftCenterY, leftCenterX, leftCenterY,
+    } else if (wallLeftDist > 0 && isFinite(wallLeftDist)) {
+        const distInches = pixelsToUnits(wallLeftDist, 'inches');
+        const distCm = pixelsToUnits(wallLeftDist, 'cm');
+        drawGuide(svg, leftCenterX - wallLeftDist, leftCenterY, leftCenterX, leftCenterY,
                  distInches, distCm, 'horizontal');
     }
 
@@ -136,14 +151,14 @@ function updateDistanceGuides() {
     if (nearestRight) {
         const distInches = pixelsToUnits(nearestRightDist, 'inches');
         const distCm = pixelsToUnits(nearestRightDist, 'cm');
-        const otherCenterY = nearestRight.otherTop + nearestRight.otherRect.height / viewZoom / 2;
+        const otherCenterY = nearestRight.otherTop + nearestRight.otherRect.height / 2;
         const guideY = (centerY + otherCenterY) / 2;
         drawGuide(svg, rightCenterX, guideY, nearestRight.otherLeft, guideY,
                  distInches, distCm, 'horizontal');
-    } else if (artworkRight < wallWidth) {
-        const distInches = pixelsToUnits(wallWidth - artworkRight, 'inches');
-        const distCm = pixelsToUnits(wallWidth - artworkRight, 'cm');
-        drawGuide(svg, rightCenterX, rightCenterY, wallWidth, rightCenterY,
+    } else if (wallRightDist > 0 && isFinite(wallRightDist)) {
+        const distInches = pixelsToUnits(wallRightDist, 'inches');
+        const distCm = pixelsToUnits(wallRightDist, 'cm');
+        drawGuide(svg, rightCenterX, rightCenterY, rightCenterX + wallRightDist, rightCenterY,
                  distInches, distCm, 'horizontal');
     }
 
@@ -151,14 +166,14 @@ function updateDistanceGuides() {
     if (nearestTop) {
         const distInches = pixelsToUnits(nearestTopDist, 'inches');
         const distCm = pixelsToUnits(nearestTopDist, 'cm');
-        const otherCenterX = nearestTop.otherLeft + nearestTop.otherRect.width / viewZoom / 2;
+        const otherCenterX = nearestTop.otherLeft + nearestTop.otherRect.width / 2;
         const guideX = (centerX + otherCenterX) / 2;
         drawGuide(svg, guideX, nearestTop.otherBottom, guideX, topCenterY,
                  distInches, distCm, 'vertical');
-    } else if (artworkTop > 0) {
-        const distInches = pixelsToUnits(artworkTop, 'inches');
-        const distCm = pixelsToUnits(artworkTop, 'cm');
-        drawGuide(svg, topCenterX, 0, topCenterX, topCenterY,
+    } else if (wallTopDist > 0 && isFinite(wallTopDist)) {
+        const distInches = pixelsToUnits(wallTopDist, 'inches');
+        const distCm = pixelsToUnits(wallTopDist, 'cm');
+        drawGuide(svg, topCenterX, topCenterY - wallTopDist, topCenterX, topCenterY,
                  distInches, distCm, 'vertical');
     }
 
@@ -166,14 +181,14 @@ function updateDistanceGuides() {
     if (nearestBottom) {
         const distInches = pixelsToUnits(nearestBottomDist, 'inches');
         const distCm = pixelsToUnits(nearestBottomDist, 'cm');
-        const otherCenterX = nearestBottom.otherLeft + nearestBottom.otherRect.width / viewZoom / 2;
+        const otherCenterX = nearestBottom.otherLeft + nearestBottom.otherRect.width / 2;
         const guideX = (centerX + otherCenterX) / 2;
         drawGuide(svg, guideX, bottomCenterY, guideX, nearestBottom.otherTop,
                  distInches, distCm, 'vertical');
-    } else if (artworkBottom < wallHeight) {
-        const distInches = pixelsToUnits(wallHeight - artworkBottom, 'inches');
-        const distCm = pixelsToUnits(wallHeight - artworkBottom, 'cm');
-        drawGuide(svg, bottomCenterX, bottomCenterY, bottomCenterX, wallHeight,
+    } else if (wallBottomDist > 0 && isFinite(wallBottomDist)) {
+        const distInches = pixelsToUnits(wallBottomDist, 'inches');
+        const distCm = pixelsToUnits(wallBottomDist, 'cm');
+        drawGuide(svg, bottomCenterX, bottomCenterY, bottomCenterX, bottomCenterY + wallBottomDist,
                  distInches, distCm, 'vertical');
     }
 }
@@ -1,45 +1,180 @@
 /**
  * framing.js - Frame and matte logic for Wallspace
  *
- * Dependencies: utils.js, state.js
+ * Dependencies: utils.js, state.js, history.js, selection.js
  *
  * This file handles frame and matte styling for artwork:
  * - Frame color and width application
  * - Matte color and width application
  * - Total artwork dimension calculations including frame/matte
  *
+ * Every artwork carries an "artwork spec" in its data attributes — the image
+ * size and framing in millimetres — so framing survives save/load exactly
+ * instead of being re-derived from pixel styles:
+ *   { imageWidthMm, imageHeightMm, hasFrame, frameColor, frameWidthMm,
+ *     hasMatte, matteColor, matteWidthMm, rotation, hangerDropMm, locked,
+ *     units, xMm, yMm }
+ * hangerDropMm is how far the hanger (wire or D-ring) sits below the top of
+ * the frame when pulled taut, for hang-height positioning (see position.js).
+ * A locked piece cannot be dragged, nudged or resized (see layers.js).
+ *
  * Key functions:
- * - updateSelectedArtwork() - Apply frame/matte settings to selected artwork
+ * - updateSelectedArtwork() - Apply frame/matte settings to the selected artworks
+ * - getArtworkSpec(artwork) - Read an artwork's size, framing and position in mm
+ * - applyArtworkSpec(artwork, spec) - Write a spec back to the artwork's DOM
+ * - getArtworkBounds(artwork, left?, top?) - Box a (possibly rotated) artwork covers on the wall
+ * - cssColorToHex(color) - Normalise rgb()/hex colors to #rrggbb
  */
 
-// Apply frame and matte settings to selected artwork
+const DEFAULT_FRAME_COLOR = '#1a1a1a';
+const DEFAULT_MATTE_COLOR = '#faf9f7';
+const DEFAULT_FRAMING_WIDTH_MM = 25.4; // Sidebar default of 1"
+
+// Apply frame and matte settings to the selected artworks. Controls showing
+// mixed values (blank, indeterminate, "Mixed") leave each piece's own value.
 function updateSelectedArtwork() {
     if (!selectedArtwork) return;
+    const artworks = getSelectedArtworks();
+
+    withArtworkHistory('Change framing', artworks, () => {
+        const units = document.getElementById('sidebarArtworkUnits').value;
+        const readSize = (id, fallbackMm) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return isNaN(value) ? fallbackMm : unitsToMm(value, units);
+        };
+        const readChecked = (id, fallback) => {
+            const checkbox = document.getElementById(id);
+            return checkbox.indeterminate ? fallback : checkbox.checked;
+        };
+
+        artworks.forEach(artwork => {
+            const spec = getArtworkSpec(artwork);
+            spec.hasFrame      = readChecked('sidebarHasFrame', spec.hasFrame);
+            spec.hasMatte      = readChecked('sidebarHasMatte', spec.hasMatte);
+            spec.frameColor    = document.getElementById('sidebarFrameColor').value || spec.frameColor;
+            spec.matteColor    = document.getElementById('sidebarMatteColor').value || spec.matteColor;
+            spec.frameWidthMm  = readSize('sidebarFrameSize', spec.frameWidthMm);
+            spec.matteWidthMm  = readSize('sidebarMatteSize', spec.matteWidthMm);
+            spec.imageWidthMm  = readSize('sidebarArtworkWidth', spec.imageWidthMm);
+            spec.imageHeightMm = readSize('sidebarArtworkHeight', spec.imageHeightMm);
+            spec.units         = units;
+
+            // Position is left where it is
+            delete spec.xMm;
+            delete spec.yMm;
+            applyArtworkSpec(artwork, spec);
+        });
+    }, 'framing:' + artworks.map(artwork => artwork.id).join(','));
+
+    if (artworks.length > 1) updateControlsFromArtwork(selectedArtwork);
+
+    // Update distance guides when artwork dimensions change
+    updateDistanceGuides();
+}
+
+// Normalise a CSS color ('#abc', '#aabbcc', 'rgb(1, 2, 3)') to '#rrggbb'.
+// Returns null for 'transparent' or anything unrecognised.
+function cssColorToHex(color) {
+    if (!color) return null;
+    const value = color.trim().toLowerCase();
+    if (/^#[0-9a-f]{6}$/.test(value)) return value;
+    if (/^#[0-9a-f]{3}$/.test(value)) {
+        return '#' + value.slice(1).split('').map(c => c + c).join('');
+    }
+    const rgb = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+    if (rgb) {
+        if (rgb[4] !== undefined && parseFloat(rgb[4]) === 0) return null;
+        return '#' + rgb.slice(1, 4).map(n => parseInt(n, 10).toString(16).padStart(2, '0')).join('');
+    }
+    return null;
+}
+
+// Read the artwork spec from data attributes. Artworks created before specs
+// existed (or still waiting on their image to load) are measured from the DOM.
+function getArtworkSpec(artwork) {
+    const data = artwork.dataset;
+    const position = {
+        xMm: roundMm(pixelsToMm(parseFloat(artwork.style.left) || 0)),
+        yMm: roundMm(pixelsToMm(parseFloat(artwork.style.top)  || 0)),
+    };
+
+    if (data.imageWidthMm) {
+        return {
+            imageWidthMm:  parseFloat(data.imageWidthMm),
+            imageHeightMm: parseFloat(data.imageHeightMm),
+            hasFrame:      data.hasFrame === 'true',
+            frameColor:    data.frameColor,
+            frameWidthMm:  parseFloat(data.frameWidthMm),
+            hasMatte:      data.hasMatte === 'true',
+            matteColor:    data.matteColor,
+            matteWidthMm:  parseFloat(data.matteWidthMm),
+            rotation:      parseFloat(data.rotation) || 0,
+            hangerDropMm:  parseFloat(data.hangerDropMm) || 0,
+            locked:        data.locked === 'true',
+            units:         data.units || currentArtworkUnits,
+            ...position,
+        };
+    }
 
-    const hasFrame = document.getElementById('sidebarHasFrame').checked;
-    const hasMatte = document.getElementById('sidebarHasMatte').checked;
-    const frameColor = document.getElementById('sidebarFrameColor').value;
-    const frameSize = parseFloat(document.getElementById('sidebarFrameSize').value);
-    const matteColor = document.getElementById('sidebarMatteColor').value;
-    const matteSize = parseFloat(document.getElementById('sidebarMatteSize').value);
-    const units = document.getElementById('sidebarArtworkUnits').value;
-
-    const frame = selectedArtwork.querySelector('.frame');
-    const matte = selectedArtwork.querySelector('.matte');
-    const directImg = selectedArtwork.querySelector('.direct-img');
-    const imageContainer = selectedArtwork.querySelector('.image-container');
-
-    // Get the artwork's current dimensions (this is the image size)
-    const artworkWidth = parseFloat(document.getElementById('sidebarArtworkWidth').value);
-    const artworkHeight = parseFloat(document.getElementById('sidebarArtworkHeight').value);
-    const artworkWidthPixels = unitsToPixels(artworkWidth, units);
-    const artworkHeightPixels = unitsToPixels(artworkHeight, units);
-
-    // Convert frame/matte sizes to pixels
-    const frameSizePixels = unitsToPixels(frameSize, units);
-    const matteSizePixels = unitsToPixels(matteSize, units);
-
-    if (hasFrame || hasMatte) {
+    const frame = artwork.querySelector('.frame');
+    const matte = artwork.querySelector('.matte');
+    const imageContainer = artwork.querySelector('.image-container');
+    const hasFrame = frame.style.display !== 'none' && frame.style.backgroundColor !== 'transparent';
+    const hasMatte = matte.style.display !== 'none' && matte.style.backgroundColor !== 'transparent';
+    const framed = frame.style.display !== 'none';
+
+    const imageWidthPx = framed && imageContainer && imageContainer.style.width
+        ? parseFloat(imageContainer.style.width)
+        : artwork.offsetWidth || parseFloat(artwork.style.width);
+    const imageHeightPx = framed && imageContainer && imageContainer.style.height
+        ? parseFloat(imageContainer.style.height)
+        : artwork.offsetHeight || parseFloat(artwork.style.height);
+
+    return {
+        imageWidthMm:  roundMm(pixelsToMm(imageWidthPx)),
+        imageHeightMm: roundMm(pixelsToMm(imageHeightPx)),
+        hasFrame:      hasFrame,
+        frameColor:    cssColorToHex(frame.style.backgroundColor) || DEFAULT_FRAME_COLOR,
+        frameWidthMm:  hasFrame ? roundMm(pixelsToMm(parseFloat(frame.style.padding) || 0)) : DEFAULT_FRAMING_WIDTH_MM,
+        hasMatte:      hasMatte,
+        matteColor:    cssColorToHex(matte.style.backgroundColor) || DEFAULT_MATTE_COLOR,
+        matteWidthMm:  hasMatte ? roundMm(pixelsToMm(parseFloat(matte.style.padding) || 0)) : DEFAULT_FRAMING_WIDTH_MM,
+        rotation:      0,
+        hangerDropMm:  0,
+        locked:        false,
+        units:         currentArtworkUnits,
+        ...position,
+    };
+}
+
+// Write a spec to an artwork: data attributes, frame/matte styles and size.
+// Position is only changed when the spec carries xMm/yMm.
+function applyArtworkSpec(artwork, spec) {
+    const data = artwork.dataset;
+    data.imageWidthMm  = roundMm(spec.imageWidthMm);
+    data.imageHeightMm = roundMm(spec.imageHeightMm);
+    data.hasFrame      = spec.hasFrame ? 'true' : 'false';
+    data.frameColor    = spec.frameColor || DEFAULT_FRAME_COLOR;
+    data.frameWidthMm  = roundMm(spec.frameWidthMm != null ? spec.frameWidthMm : DEFAULT_FRAMING_WIDTH_MM);
+    data.hasMatte      = spec.hasMatte ? 'true' : 'false';
+    data.matteColor    = spec.matteColor || DEFAULT_MATTE_COLOR;
+    data.matteWidthMm  = roundMm(spec.matteWidthMm != null ? spec.matteWidthMm : DEFAULT_FRAMING_WIDTH_MM);
+    data.rotation      = spec.rotation || 0;
+    data.hangerDropMm  = roundMm(spec.hangerDropMm || 0);
+    data.locked        = spec.locked ? 'true' : 'false';
+    data.units         = spec.units || currentArtworkUnits;
+
+    const frame = artwork.querySelector('.frame');
+    const matte = artwork.querySelector('.matte');
+    const directImg = artwork.querySelector('.direct-img');
+    const imageContainer = artwork.querySelector('.image-container');
+
+    const artworkWidthPixels = mmToPixels(parseFloat(data.imageWidthMm));
+    const artworkHeightPixels = mmToPixels(parseFloat(data.imageHeightMm));
+    const frameSizePixels = mmToPixels(parseFloat(data.frameWidthMm));
+    const matteSizePixels = mmToPixels(parseFloat(data.matteWidthMm));
+
+    if (spec.hasFrame || spec.hasMatte) {
         directImg.style.display = 'none';
         frame.style.display = 'flex';
 
@@ -47,18 +182,17 @@ function updateSelectedArtwork() {
         let totalWidth = artworkWidthPixels;
         let totalHeight = artworkHeightPixels;
 
-        if (hasMatte) {
-            matte.style.display = 'flex';
-            matte.style.backgroundColor = matteColor;
+        matte.style.display = 'flex';
+        if (spec.hasMatte) {
+            matte.style.backgroundColor = data.matteColor;
             totalWidth += matteSizePixels * 2; // Add matte on both sides
             totalHeight += matteSizePixels * 2;
         } else {
-            matte.style.display = 'flex';
             matte.style.backgroundColor = 'transparent';
         }
 
-        if (hasFrame) {
-            frame.style.backgroundColor = frameColor;
+        if (spec.hasFrame) {
+            frame.style.backgroundColor = data.frameColor;
             totalWidth += frameSizePixels * 2; // Add frame on both sides
             totalHeight += frameSizePixels * 2;
         } else {
@@ -66,14 +200,12 @@ function updateSelectedArtwork() {
         }
 
         // Set the total artwork container size
-        selectedArtwork.style.width = totalWidth + 'px';
-        selectedArtwork.style.height = totalHeight + 'px';
-
-        // Set frame padding
-        frame.style.padding = hasFrame ? frameSizePixels + 'px' : '0';
+        artwork.style.width = totalWidth + 'px';
+        artwork.style.height = totalHeight + 'px';
 
-        // Set matte padding
-        matte.style.padding = hasMatte ? matteSizePixels + 'px' : '0';
+        // Set frame and matte padding
+        frame.style.padding = spec.hasFrame ? frameSizePixels + 'px' : '0';
+        matte.style.padding = spec.hasMatte ? matteSizePixels + 'px' : '0';
 
         // Set image container size to exact artwork dimensions
         if (imageContainer) {
@@ -81,7 +213,6 @@ function updateSelectedArtwork() {
             imageContainer.style.height = artworkHeightPixels + 'px';
             imageContainer.style.flexShrink = '0'; // Don't allow shrinking
         }
-
     } else {
         // No frame, no matte - just show direct image
         frame.style.display = 'none';
@@ -89,10 +220,46 @@ function updateSelectedArtwork() {
         directImg.style.display = 'block';
 
         // Reset to artwork dimensions only
-        selectedArtwork.style.width = artworkWidthPixels + 'px';
-        selectedArtwork.style.height = artworkHeightPixels + 'px';
+        artwork.style.width = artworkWidthPixels + 'px';
+        artwork.style.height = artworkHeightPixels + 'px';
     }
 
-    // Update distance guides when artwork dimensions change
-    updateDistanceGuides();
+    artwork.style.transform = spec.rotation ? `rotate(${spec.rotation}deg)` : '';
+
+    if (spec.xMm != null) artwork.style.left = mmToPixels(spec.xMm) + 'px';
+    if (spec.yMm != null) artwork.style.top  = mmToPixels(spec.yMm) + 'px';
+}
+
+// Axis-aligned box covered by a width × height box at (left, top) once it is
+// rotated about its center. offsetX/offsetY lead from the unrotated box's
+// corner to the covered box's corner.
+function rotatedBounds(left, top, width, height, rotation) {
+    const angle = (rotation || 0) * Math.PI / 180;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    const boundsWidth = width * cos + height * sin;
+    const boundsHeight = width * sin + height * cos;
+    const offsetX = (width - boundsWidth) / 2;
+    const offsetY = (height - boundsHeight) / 2;
+    return {
+        left:    left + offsetX,
+        top:     top + offsetY,
+        width:   boundsWidth,
+        height:  boundsHeight,
+        right:   left + offsetX + boundsWidth,
+        bottom:  top + offsetY + boundsHeight,
+        offsetX: offsetX,
+        offsetY: offsetY,
+    };
+}
+
+// Box an artwork covers on the wall, in wall pixels, by its outer frame
+// edges and rotation. left/top default to where the artwork is now.
+function getArtworkBounds(artwork, left, top) {
+    return rotatedBounds(
+        left != null ? left : parseFloat(artwork.style.left) || 0,
+        top != null ? top : parseFloat(artwork.style.top) || 0,
+        parseFloat(artwork.style.width) || artwork.offsetWidth,
+        parseFloat(artwork.style.height) || artwork.offsetHeight,
+        parseFloat(artwork.dataset.rotation) || 0);
 }
@@ -0,0 +1,179 @@
+/**
+ * grid.js - Rulers, grid and snap-to-grid for Wallspace
+ *
+ * Dependencies: utils.js, state.js, wall.js, ui.js
+ *
+ * The grid is a CSS background on #wallGrid inside the wall surface, so it
+ * scales with the pan/zoom transform and follows a shaped wall's outline. Its
+ * spacing has its own units (a 6" grid on a wall measured in cm is fine) and
+ * its lines start at the wall's top-left corner, which is also where snapping
+ * aligns the top-left corner of a dragged piece.
+ *
+ * The rulers sit on the workspace edges outside the transform, so their text
+ * stays readable at any zoom. They are redrawn from the wall's on-screen box
+ * whenever applyViewTransform() runs, in the wall's units, and cover the
+ * wall's extent with a tick step chosen to stay legible.
+ *
+ * Grid settings are a viewing preference, kept in localStorage rather than in
+ * layouts.
+ *
+ * Key functions:
+ * - initGrid() - Restore the settings and draw the grid and rulers
+ * - updateGridSettings() - Apply and remember the sidebar controls
+ * - renderGrid() / renderRulers() - Redraw after the wall or the view changed
+ * - snapToGrid(px) - Nearest grid line to a wall-pixel position, when snapping is on
+ */
+
+const GRID_SETTINGS_KEY = 'wallspace_grid_settings';
+const RULER_SIZE = 20;              // px, thickness of the ruler strips
+const RULER_MIN_LABEL_GAP = 50;     // px on screen between labelled ticks
+const RULER_STEPS = {
+    inches: [1, 2, 3, 6, 12, 24, 36, 60, 120, 240, 600],
+    cm:     [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000],
+};
+
+let gridSettings = { showRulers: true, showGrid: false, snap: false, spacing: 6, units: 'inches' };
+
+// ─── SETTINGS ────────────────────────────────────────────────────────────────
+
+function readGridControls() {
+    const spacing = parseFloat(document.getElementById('gridSpacing').value);
+    return {
+        showRulers: document.getElementById('showRulers').checked,
+        showGrid:   document.getElementById('showGrid').checked,
+        snap:       document.getElementById('snapToGrid').checked,
+        spacing:    isFinite(spacing) && spacing > 0 ? spacing : gridSettings.spacing,
+        units:      document.getElementById('gridUnits').value === 'cm' ? 'cm' : 'inches',
+    };
+}
+
+function writeGridControls() {
+    document.getElementById('showRulers').checked = gridSettings.showRulers;
+    document.getElementById('showGrid').checked = gridSettings.showGrid;
+    document.getElementById('snapToGrid').checked = gridSettings.snap;
+    document.getElementById('gridSpacing').value = gridSettings.spacing;
+    document.getElementById('gridUnits').value = gridSettings.units;
+}
+
+function updateGridSettings() {
+    gridSettings = readGridControls();
+    writeGridControls();
+    try {
+        localStorage.setItem(GRID_SETTINGS_KEY, JSON.stringify(gridSettings));
+    } catch (e) { console.warn('Saving grid settings failed:', e); }
+    renderGrid();
+    renderRulers();
+}
+
+function restoreGridSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(GRID_SETTINGS_KEY) || 'null');
+        if (saved) gridSettings = { ...gridSettings, ...saved };
+    } catch (e) { console.warn('Restoring grid settings failed:', e); }
+}
+
+// ─── SNAPPING ────────────────────────────────────────────────────────────────
+
+function getGridSpacingPx() {
+    return unitsToPixels(gridSettings.spacing, gridSettings.units);
+}
+
+// Nearest grid line to a position in wall pixels; unchanged when snapping is off
+function snapToGrid(px) {
+    if (!gridSettings.snap) return px;
+    const spacing = getGridSpacingPx();
+    return spacing > 0 ? Math.round(px / spacing) * spacing : px;
+}
+
+// ─── GRID ────────────────────────────────────────────────────────────────────
+
+// Lines are kept one screen pixel wide whatever the zoom
+function renderGrid() {
+    const grid = document.getElementById('wallGrid');
+    if (!grid) return;
+    const show = gridSettings.showGrid && !isPreviewMode;
+    grid.style.display = show ? 'block' : 'none';
+    if (!show) return;
+
+    const spacing = getGridSpacingPx();
+    const line = (1 / viewZoom) + 'px';
+    grid.style.backgroundImage =
+        `linear-gradient(to right, rgba(0, 0, 0, 0.15) ${line}, transparent ${line}), ` +
+        `linear-gradient(to bottom, rgba(0, 0, 0, 0.15) ${line}, transparent ${line})`;
+    grid.style.backgroundSize = `${spacing}px ${spacing}px`;
+}
+
+// ─── RULERS ──────────────────────────────────────────────────────────────────
+
+// Smallest step (wall units) whose labels are at least RULER_MIN_LABEL_GAP apart
+function rulerStep(screenPxPerUnit, units) {
+    const steps = RULER_STEPS[units] || RULER_STEPS.inches;
+    return steps.find(step => step * screenPxPerUnit >= RULER_MIN_LABEL_GAP) || steps[steps.length - 1];
+}
+
+function rulerSubdivisions(step) {
+    if (step % 5 === 0) return 5;
+    if (step % 3 === 0) return 3;
+    return 2;
+}
+
+// Tick marks and labels for one ruler. offset is the screen position of the
+// wall's edge and length the wall's size, in units.
+function rulerMarkup(offset, length, screenPxPerUnit, units, vertical) {
+    const step = rulerStep(screenPxPerUnit, units);
+    const minor = step / rulerSubdivisions(step);
+    const first = Math.max(0, Math.ceil(-offset / screenPxPerUnit / minor) * minor);
+    let markup = '';
+
+    for (let value = first; value <= length + 1e-9; value += minor) {
+        const pos = offset + value * screenPxPerUnit;
+        const major = Math.abs(value / step - Math.round(value / step)) < 1e-6;
+        const tick = major ? RULER_SIZE * 0.6 : RULER_SIZE * 0.3;
+        markup += vertical
+            ? `<line x1="${RULER_SIZE - tick}" y1="${pos}" x2="${RULER_SIZE}" y2="${pos}"></line>`
+            : `<line x1="${pos}" y1="${RULER_SIZE - tick}" x2="${pos}" y2="${RULER_SIZE}"></line>`;
+        if (major) {
+            const label = Number(value.toFixed(2));
+            markup += vertical
+                ? `<text x="2" y="${pos + 2}" transform="rotate(-90 2 ${pos + 2})">${label}</text>`
+                : `<text x="${pos + 2}" y="9">${label}</text>`;
+        }
+    }
+    return markup;
+}
+
+function renderRulers() {
+    const top = document.getElementById('rulerTop');
+    const left = document.getElementById('rulerLeft');
+    const corner = document.getElementById('rulerCorner');
+    if (!top || !left) return;
+
+    const show = gridSettings.showRulers && !isPreviewMode;
+    [top, left, corner].forEach(el => { if (el) el.style.display = show ? 'block' : 'none'; });
+    if (!show) return;
+
+    // The wall's on-screen box already includes the pan/zoom transform
+    const units = currentUnits;
+    const wallContainer = document.getElementById('wallContainer');
+    const wallRect = wallContainer.getBoundingClientRect();
+    const workspaceRect = document.querySelector('.workspace').getBoundingClientRect();
+    const widthPx = parseFloat(wallContainer.style.width) || wallContainer.offsetWidth;
+    const heightPx = parseFloat(wallContainer.style.height) || wallContainer.offsetHeight;
+    const screenPxPerUnit = unitsToPixels(1, units) * viewZoom;
+
+    top.innerHTML = rulerMarkup(wallRect.left - workspaceRect.left, pixelsToUnits(widthPx, units),
+        screenPxPerUnit, units, false);
+    left.innerHTML = rulerMarkup(wallRect.top - workspaceRect.top, pixelsToUnits(heightPx, units),
+        screenPxPerUnit, units, true);
+    if (corner) corner.textContent = units === 'cm' ? 'cm' : 'in';
+}
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+
+function initGrid() {
+    restoreGridSettings();
+    writeGridControls();
+    renderGrid();
+    renderRulers();
+    window.addEventListener('resize', renderRulers);
+}
@@ -0,0 +1,190 @@
+/**
+ * hanging.js - Eye-level centerline and above-furniture hanging for Wallspace
+ *
+ * Dependencies: utils.js, state.js, framing.js, selection.js, history.js,
+ *               layers.js, distance-guides.js, obstacles.js, position.js
+ *
+ * Groups are usually hung so their collective center sits 57-60" above the
+ * floor, or, over a sofa or console, with their bottom edge a set clearance
+ * above the furniture's top. Each wall keeps these as wallHanging:
+ *   { floorMm, centerHeightMm, aboveFurniture, furnitureTopMm, clearanceMm, showCenterline }
+ * floorMm is how far the floor is below the wall's bottom edge, for a wall
+ * drawn from above a wainscot or a baseboard; it is 0 when the wall reaches
+ * the floor. Every "above the floor" value (position fields, obstacle
+ * heights, the arrangement area) is measured from this floor. wallHanging is
+ * null until a setting is changed, which means the defaults below.
+ *
+ * The target is drawn across #wallContainer: the centerline, or the
+ * furniture top and the line the group's bottom should sit on. "Center group"
+ * moves the selected pieces up or down, as one, to meet it; the box they
+ * cover counts, so rotated pieces are measured by their footprint. Sideways
+ * placement is left alone.
+ *
+ * Key functions:
+ * - getWallHanging() - The wall's settings with defaults filled in
+ * - wallFloorMm() - Floor below the wall's bottom edge
+ * - renderCenterline() - Redraw the target line overlay
+ * - updateWallHanging() - Apply the sidebar fields
+ * - centerArtworkGroup() - Move the selection to the target height
+ */
+
+const DEFAULT_WALL_HANGING = {
+    floorMm:        0,
+    centerHeightMm: 1447.8,   // 57"
+    aboveFurniture: false,
+    furnitureTopMm: 762,      // 30", a typical sofa back or console
+    clearanceMm:    203.2,    // 8" from the furniture to the bottom of the group
+    showCenterline: true,
+};
+
+// ─── SETTINGS ────────────────────────────────────────────────────────────────
+
+function getWallHanging() {
+    return { ...DEFAULT_WALL_HANGING, ...(wallHanging || {}) };
+}
+
+function copyWallHanging(hanging) {
+    return hanging ? { ...hanging } : null;
+}
+
+function wallFloorMm() {
+    return getWallHanging().floorMm;
+}
+
+// Wall y (px from the top) of a height above the floor
+function heightAboveFloorToY(heightMm) {
+    const wallContainer = document.getElementById('wallContainer');
+    return wallContainer.offsetHeight - mmToPixels(heightMm - wallFloorMm());
+}
+
+// Fields in the wall's units, shown without trailing zeros
+function writeHangingControls() {
+    const hanging = getWallHanging();
+    const show = (id, mm) => {
+        document.getElementById(id).value = String(Number(mmToUnits(mm, currentUnits).toFixed(1)));
+    };
+    show('hangingFloor', hanging.floorMm);
+    show('hangingCenter', hanging.centerHeightMm);
+    show('hangingFurnitureTop', hanging.furnitureTopMm);
+    show('hangingClearance', hanging.clearanceMm);
+    document.getElementById('hangingAboveFurniture').checked = hanging.aboveFurniture;
+    document.getElementById('showCenterline').checked = hanging.showCenterline;
+    document.getElementById('hangingUnit').textContent = currentUnits;
+    document.getElementById('hangingCenterRow').style.display = hanging.aboveFurniture ? 'none' : '';
+    document.getElementById('hangingFurnitureRows').style.display = hanging.aboveFurniture ? '' : 'none';
+}
+
+function updateWallHanging() {
+    const current = getWallHanging();
+    // Fields left as shown keep their exact value instead of a rounded copy
+    const read = (id, currentMm) => {
+        const input = document.getElementById(id).value;
+        const value = parseFloat(input);
+        if (!(value >= 0) || input === String(Number(mmToUnits(currentMm, currentUnits).toFixed(1)))) return currentMm;
+        return roundMm(unitsToMm(value, currentUnits));
+    };
+    wallHanging = {
+        floorMm:        read('hangingFloor', current.floorMm),
+        centerHeightMm: read('hangingCenter', current.centerHeightMm),
+        aboveFurniture: document.getElementById('hangingAboveFurniture').checked,
+        furnitureTopMm: read('hangingFurnitureTop', current.furnitureTopMm),
+        clearanceMm:    read('hangingClearance', current.clearanceMm),
+        showCenterline: document.getElementById('showCenterline').checked,
+    };
+    writeHangingControls();
+    renderCenterline();
+
+    // Heights above the floor move with it
+    renderObstacleList();
+    updateObstacleEditor();
+    updatePositionFields();
+    if (typeof saveWallSettings === 'function') saveWallSettings();
+    if (typeof scheduleSessionSave === 'function') scheduleSessionSave();
+}
+
+// ─── OVERLAY ─────────────────────────────────────────────────────────────────
+
+// Lines across the wall with a label at the left end; the label keeps its
+// size on screen at any zoom
+function renderCenterline() {
+    const svg = document.getElementById('centerlineSVG');
+    if (!svg) return;
+    svg.innerHTML = '';
+    const hanging = getWallHanging();
+    if (!hanging.showCenterline) return;
+
+    const wallContainer = document.getElementById('wallContainer');
+    const format = mm => `${Number(mmToUnits(mm, currentUnits).toFixed(1))} ${currentUnits}`;
+    const lines = hanging.aboveFurniture
+        ? [
+            { heightMm: hanging.furnitureTopMm, label: `Furniture top ${format(hanging.furnitureTopMm)}`, kind: 'furniture' },
+            { heightMm: hanging.furnitureTopMm + hanging.clearanceMm,
+              label: `Group bottom ${format(hanging.furnitureTopMm + hanging.clearanceMm)}`, kind: 'target' },
+        ]
+        : [{ heightMm: hanging.centerHeightMm, label: `Center ${format(hanging.centerHeightMm)}`, kind: 'target' }];
+
+    const fontSize = 11 / viewZoom;
+    lines.forEach(line => {
+        const y = heightAboveFloorToY(line.heightMm);
+        if (y < 0 || y > wallContainer.offsetHeight) return;
+        svg.insertAdjacentHTML('beforeend',
+            `<line class="centerline-${line.kind}" x1="0" y1="${y}" x2="${wallContainer.offsetWidth}" y2="${y}"></line>` +
+            `<text x="${4 / viewZoom}" y="${y - 4 / viewZoom}" font-size="${fontSize}">${escapeHtml(line.label)}</text>`);
+    });
+}
+
+// ─── CENTER GROUP ────────────────────────────────────────────────────────────
+
+// Wall y the top of a box of the given height (px) should move to
+function hangingTargetTop(boxHeight) {
+    const hanging = getWallHanging();
+    if (hanging.aboveFurniture) {
+        return heightAboveFloorToY(hanging.furnitureTopMm + hanging.clearanceMm) - boxHeight;
+    }
+    return heightAboveFloorToY(hanging.centerHeightMm) - boxHeight / 2;
+}
+
+function selectionTop(artworks) {
+    return Math.min(...artworks.map(artwork => getArtworkBounds(artwork).top));
+}
+
+function centerArtworkGroup() {
+    const artworks = getSelectedArtworks();
+    if (artworks.length === 0) {
+        alert('Select the pieces to center first (shift-click to add more).');
+        return;
+    }
+    if (artworks.some(isArtworkLocked)) {
+        alert('Unlock the selected pieces first (Lock Position).');
+        return;
+    }
+
+    const bounds = artworks.map(artwork => getArtworkBounds(artwork));
+    const top = Math.min(...bounds.map(box => box.top));
+    const bottom = Math.max(...bounds.map(box => box.bottom));
+    const targetTop = hangingTargetTop(bottom - top);
+    const x = parseFloat(selectedArtwork.style.left) || 0;
+    const y = parseFloat(selectedArtwork.style.top) || 0;
+
+    withArtworkHistory(artworks.length > 1 ? 'Center group' : 'Center artwork', artworks, () => {
+        moveArtworkGroup(artworks, x, y + targetTop - top, true);
+    });
+
+    clearSnapGuides();
+    updateDistanceGuides();
+    updateObstacleWarnings();
+    updatePositionFields();
+    // The wall's edge, its outline or an obstacle can stop the move short
+    if (Math.abs(selectionTop(artworks) - targetTop) > 0.5) {
+        alert('The group cannot reach the target height here; it stops where the wall or an obstacle holds it.');
+    }
+}
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+
+function initHanging() {
+    ['hangingFloor', 'hangingCenter', 'hangingFurnitureTop', 'hangingClearance', 'hangingAboveFurniture', 'showCenterline']
+        .forEach(id => document.getElementById(id).addEventListener('change', updateWallHanging));
+    writeHangingControls();
+    renderCenterline();
+}
@@ -0,0 +1,306 @@
+/**
+ * history.js - Undo/redo for Wallspace
+ *
+ * Dependencies: state.js, framing.js, artwork.js, layout-schema.js, walls.js
+ *
+ * Every wall edit is recorded as a command with undo() and redo(). Artwork
+ * edits are stored as before/after snapshots of the affected artworks (see
+ * captureArtworkStates), so one command type covers moves, resizes, framing,
+ * additions and deletions. A snapshot of null means "not on the wall".
+ *
+ * Each command remembers the wall it was made on; undo and redo switch to that
+ * wall before applying it.
+ *
+ * Key functions:
+ * - pushHistory(command) - Record a change that has already been applied
+ * - recordArtworkChange(label, before, after) - Record an artwork snapshot change
+ * - withArtworkHistory(label, artworks, fn) - Run fn and record what it changed
+ * - recordArtworkAdded(artwork) - Record a newly placed artwork
+ * - captureRemoval(artworks) - Snapshot artworks before removal, returns a recorder
+ * - captureArtworkStates(artworks) - Snapshot artworks for a command
+ * - undo() / redo() - Step backwards / forwards
+ * - clearHistory() - Forget all steps (e.g. after loading a layout)
+ * - historyAssetIds() - Asset hashes the undo and redo steps refer to
+ * - renderHistoryList() - Draw the history list in the sidebar
+ */
+
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1000; // Same-key edits closer than this merge into one step
+
+let historyBatchDepth = 0;        // > 0 while inside withArtworkHistory()
+
+// ─── SNAPSHOTS ───────────────────────────────────────────────────────────────
+
+// Snapshot artworks: element id, stacking position and serialized data
+function captureArtworkStates(artworks) {
+    const all = Array.from(document.querySelectorAll('.artwork'));
+    return artworks.map(artwork => ({
+        id:    artwork.id,
+        index: all.indexOf(artwork),
+        data:  serializeArtwork(artwork),
+    }));
+}
+
+// Snapshots that say "these artworks are not on the wall"
+function absentArtworkStates(states) {
+    return states.map(state => ({ id: state.id, index: state.index, data: null }));
+}
+
+// Make the wall match a snapshot: update, re-create or remove the artwork
+function restoreArtworkState(state) {
+    let artwork = document.getElementById(state.id);
+
+    if (!state.data) {
+        if (artwork) {
+            artwork.remove();
+            if (selectedArtwork === artwork) selectedArtwork = null;
+        }
+        return;
+    }
+
+    if (artwork) {
+        applyArtworkSpec(artwork, {
+            imageWidthMm:  state.data.imageWidthMm,
+            imageHeightMm: state.data.imageHeightMm,
+            hasFrame:      state.data.frame.enabled,
+            frameColor:    state.data.frame.color,
+            frameWidthMm:  state.data.frame.widthMm,
+            hasMatte:      state.data.matte.enabled,
+            matteColor:    state.data.matte.color,
+            matteWidthMm:  state.data.matte.widthMm,
+            rotation:      state.data.rotation,
+            hangerDropMm:  state.data.hangerDropMm,
+            locked:        state.data.locked === true,
+            units:         state.data.units,
+            xMm:           state.data.xMm,
+            yMm:           state.data.yMm,
+        });
+    } else {
+        artwork = deserializeArtwork(state.data, { id: state.id });
+    }
+    // The locked ratio can change with the spec (e.g. swapping orientation)
+    if (state.data.aspectRatio) {
+        artworkAspectRatios.set(artwork.id, state.data.aspectRatio);
+    }
+
+    // Put it back at its original stacking position
+    const others = Array.from(document.querySelectorAll('.artwork')).filter(a => a !== artwork);
+    const anchor = others[state.index] || null;
+    const misplaced = anchor
+        ? artwork.nextElementSibling !== anchor
+        : others.some(other => artwork.compareDocumentPosition(other) & Node.DOCUMENT_POSITION_FOLLOWING);
+    if (misplaced) {
+        artwork.parentNode.insertBefore(artwork, anchor);
+    }
+}
+
+function statesEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// ─── RECORDING ───────────────────────────────────────────────────────────────
+
+// Record a change that has already been applied to the wall.
+// command: { label, undo(), redo(), coalesceKey?, wallId? }
+function pushHistory(command) {
+    command.time = Date.now();
+    command.wallId = command.wallId || activeWallId;
+    const top = undoStack[undoStack.length - 1];
+
+    if (command.coalesceKey && top && top.coalesceKey === command.coalesceKey && top.wallId === command.wallId &&
+        command.time - top.time < HISTORY_COALESCE_MS && top.merge) {
+        top.merge(command);
+        top.time = command.time;
+    } else {
+        undoStack.push(command);
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    }
+    redoStack = [];
+    renderHistoryList();
+    refreshWallSummaries();
+    if (typeof scheduleSessionSave === 'function') scheduleSessionSave();
+}
+
+// Record an artwork change from before/after snapshots (skipped if nothing changed)
+function recordArtworkChange(label, before, after, coalesceKey) {
+    if (statesEqual(before, after)) return;
+
+    const command = {
+        label: label,
+        coalesceKey: coalesceKey || null,
+        before: before,
+        after: after,
+        undo() {
+            // Refresh "after" from the live wall first, so anything that finished
+            // asynchronously (e.g. an image load resizing the piece) is redone too
+            this.after = this.after.map(state => {
+                const live = state.data && document.getElementById(state.id);
+                return live ? captureArtworkStates([live])[0] : state;
+            });
+            // Lowest stacking position first, so re-created pieces land in order
+            this.before.slice().sort((a, b) => a.index - b.index).forEach(restoreArtworkState);
+        },
+        redo() {
+            this.after.forEach(restoreArtworkState);
+        },
+        merge(next) {
+            this.after = next.after;
+        },
+    };
+    pushHistory(command);
+}
+
+// Record an artwork that was just added to the wall
+function recordArtworkAdded(artwork, label) {
+    const after = captureArtworkStates([artwork]);
+    recordArtworkChange(label || 'Add artwork', absentArtworkStates(after), after);
+}
+
+// Record artworks that are about to be removed; call before removing them
+function captureRemoval(artworks) {
+    const before = captureArtworkStates(artworks);
+    return () => recordArtworkChange(
+        artworks.length === 1 ? 'Delete artwork' : `Delete ${artworks.length} artworks`,
+        before, absentArtworkStates(before));
+}
+
+// Run fn() and record whatever it changed on the given artworks as one step.
+// Nested calls (e.g. updateArtworkSize -> updateSelectedArtwork) join the outer step.
+function withArtworkHistory(label, artworks, fn, coalesceKey) {
+    if (historyBatchDepth > 0) return fn();
+
+    const targets = artworks.filter(Boolean);
+    const before = captureArtworkStates(targets);
+    historyBatchDepth++;
+    try {
+        return fn();
+    } finally {
+        historyBatchDepth--;
+        const after = targets.map((artwork, i) => artwork.isConnected
+            ? captureArtworkStates([artwork])[0]
+            : { id: before[i].id, index: before[i].index, data: null });
+        recordArtworkChange(label, before, after, coalesceKey);
+    }
+}
+
+// ─── UNDO / REDO ─────────────────────────────────────────────────────────────
+
+// Show the wall a command was made on before applying it
+function showCommandWall(command) {
+    if (command.wallId && command.wallId !== activeWallId && typeof switchWall === 'function') {
+        switchWall(command.wallId);
+    }
+}
+
+function undo() {
+    const command = undoStack.pop();
+    if (!command) return;
+    showCommandWall(command);
+    command.undo();
+    redoStack.push(command);
+    afterHistoryStep();
+}
+
+function redo() {
+    const command = redoStack.pop();
+    if (!command) return;
+    showCommandWall(command);
+    command.redo();
+    undoStack.push(command);
+    afterHistoryStep();
+}
+
+// Jump to a point in the history list (number of steps applied)
+function goToHistoryStep(step) {
+    while (undoStack.length > step && undoStack.length) undo();
+    while (undoStack.length < step && redoStack.length) redo();
+}
+
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    renderHistoryList();
+}
+
+// Asset hashes of the artworks undo or redo can bring back, so pruning the
+// asset store keeps their images
+function historyAssetIds() {
+    const ids = new Set();
+    undoStack.concat(redoStack).forEach(command => {
+        [].concat(command.before || [], command.after || []).forEach(state => {
+            if (state && state.data && state.data.assetId) ids.add(state.data.assetId);
+        });
+    });
+    return ids;
+}
+
+// Keep selection, sidebar and guides in sync after the wall changed underneath them
+function afterHistoryStep() {
+    if (selectedArtwork && !selectedArtwork.isConnected) {
+        // Another piece of a multi-selection takes the lead, if any is left
+        selectedArtwork = document.querySelector('.artwork.selected');
+        if (!selectedArtwork) document.getElementById('artworkPanel').style.display = 'none';
+    }
+    if (selectedArtwork) updateControlsFromArtwork(selectedArtwork);
+    updateDistanceGuides();
+    renderHistoryList();
+    refreshWallSummaries();
+    if (typeof scheduleSessionSave === 'function') scheduleSessionSave();
+}
+
+// Artwork counts in the wall picker and placements in the catalog
+function refreshWallSummaries() {
+    if (typeof renderWallSwitcher !== 'function') return;
+    renderWallSwitcher();
+    updateCatalogPlacements();
+    updateObstacleWarnings();
+}
+
+// ─── SIDEBAR LIST ────────────────────────────────────────────────────────────
+
+function renderHistoryList() {
+    const list = document.getElementById('historyList');
+    if (!list) return;
+
+    document.getElementById('undoButton').disabled = !undoStack.length;
+    document.getElementById('redoButton').disabled = !redoStack.length;
+
+    list.innerHTML = '';
+    const addEntry = (label, step, className) => {
+        const entry = document.createElement('div');
+        entry.className = 'history-item ' + className;
+        entry.textContent = label;
+        entry.onclick = () => goToHistoryStep(step);
+        list.appendChild(entry);
+    };
+
+    addEntry('Start', 0, undoStack.length === 0 ? 'current' : 'done');
+    undoStack.forEach((command, i) => {
+        addEntry(command.label, i + 1, i === undoStack.length - 1 ? 'current' : 'done');
+    });
+    // Redo stack is last-in-first-out, so the next redo is at the end
+    redoStack.slice().reverse().forEach((command, i) => {
+        addEntry(command.label, undoStack.length + i + 1, 'undone');
+    });
+    list.scrollTop = list.scrollHeight;
+}
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+
+function initHistory() {
+    document.addEventListener('keydown', function(e) {
+        if (!(e.ctrlKey || e.metaKey) || isShareView) return;
+        // Leave native undo alone while typing in a field
+        if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+    renderHistoryList();
+}
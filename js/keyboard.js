@@ -0,0 +1,235 @@
+/**
+ * keyboard.js - Keyboard shortcuts, nudging and the artwork clipboard for Wallspace
+ *
+ * Dependencies: utils.js, state.js, layout-schema.js, artwork.js, selection.js,
+ *               history.js, distance-guides.js, obstacles.js, position.js, layers.js
+ *
+ * Arrow keys move the selected artworks by a fine step, or a coarse step with
+ * Shift held. Both steps are set in the sidebar in the wall's units and kept
+ * in localStorage (as millimetres, so switching units does not change them).
+ * A nudge moves the selection like a drag with snapping off: it stops at the
+ * wall's edge, a shaped wall's outline and (when switched on) obstacles.
+ * Repeated nudges of the same pieces make one undo step. A locked piece in
+ * the selection holds it still. ] and [ restack the selection (see layers.js).
+ *
+ * Copy and paste work on an in-app clipboard of serialized artworks, so a
+ * pasted piece keeps its size, framing, rotation and image, and can be pasted
+ * onto another wall. Each paste lands a little further down and to the right
+ * of the copied pieces; duplicating copies and pastes in one go without
+ * touching the clipboard.
+ *
+ * Shortcuts are ignored while typing in a field, in preview and in a shared
+ * (read-only) view. Undo/redo keys are handled in history.js.
+ *
+ * Key functions:
+ * - initKeyboard() - Restore the nudge steps and attach the key handler
+ * - nudgeSelectedArtworks(dx, dy) - Move the selection by wall pixels
+ * - copySelectedArtworks() / pasteArtworks() / duplicateSelectedArtworks()
+ * - toggleShortcutHelp(show) - Show or hide the shortcut list
+ */
+
+const NUDGE_SETTINGS_KEY = 'wallspace_nudge_settings';
+const PASTE_OFFSET_MM = 25.4;     // Each paste lands 1" further down and right
+
+let nudgeSettings = { fineMm: 3.175, coarseMm: 25.4 };    // 1/8" and 1"
+let artworkClipboard = null;      // { artworks: [serialized data], pastes: count }
+
+// ─── NUDGE SETTINGS ──────────────────────────────────────────────────────────
+
+// Inputs remember what they showed, so the rounding of a step that was not
+// edited does not creep into the saved value
+function writeNudgeControls() {
+    const show = (id, mm) => {
+        const input = document.getElementById(id);
+        input.value = parseFloat(mmToUnits(mm, currentUnits).toFixed(2));
+        input.dataset.shown = input.value;
+    };
+    show('nudgeFine', nudgeSettings.fineMm);
+    show('nudgeCoarse', nudgeSettings.coarseMm);
+    document.getElementById('nudgeUnit').textContent = currentUnits;
+}
+
+function updateNudgeSettings() {
+    const read = (id, currentMm) => {
+        const input = document.getElementById(id);
+        const value = parseFloat(input.value);
+        return input.value !== input.dataset.shown && value > 0 ? unitsToMm(value, currentUnits) : currentMm;
+    };
+    nudgeSettings = {
+        fineMm:   read('nudgeFine', nudgeSettings.fineMm),
+        coarseMm: read('nudgeCoarse', nudgeSettings.coarseMm),
+    };
+    writeNudgeControls();
+    try {
+        localStorage.setItem(NUDGE_SETTINGS_KEY, JSON.stringify(nudgeSettings));
+    } catch (e) { console.warn('Saving nudge settings failed:', e); }
+}
+
+function restoreNudgeSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(NUDGE_SETTINGS_KEY) || 'null');
+        if (saved) nudgeSettings = { ...nudgeSettings, ...saved };
+    } catch (e) { console.warn('Restoring nudge settings failed:', e); }
+}
+
+// ─── NUDGING ─────────────────────────────────────────────────────────────────
+
+function nudgeSelectedArtworks(dx, dy) {
+    const artworks = getSelectedArtworks();
+    // Like a drag, a locked piece holds the whole selection still
+    if (artworks.length === 0 || artworks.some(isArtworkLocked)) return;
+    const x = parseFloat(selectedArtwork.style.left) || 0;
+    const y = parseFloat(selectedArtwork.style.top) || 0;
+
+    withArtworkHistory(artworks.length > 1 ? 'Nudge artworks' : 'Nudge artwork', artworks, () => {
+        moveArtworkGroup(artworks, x + dx, y + dy, true);
+    }, 'nudge:' + artworks.map(artwork => artwork.id).join(','));
+
+    clearSnapGuides();
+    updateDistanceGuides();
+    updateObstacleWarnings();
+    updatePositionFields();
+}
+
+// ─── CLIPBOARD ───────────────────────────────────────────────────────────────
+
+// Asset hashes of the copied pieces, kept when the asset store is pruned
+function clipboardAssetIds() {
+    return artworkClipboard ? artworkClipboard.artworks.map(data => data.assetId).filter(Boolean) : [];
+}
+
+function copySelectedArtworks() {
+    const artworks = getSelectedArtworks();
+    if (artworks.length === 0) return false;
+    artworkClipboard = { artworks: artworks.map(serializeArtwork), pastes: 0 };
+    return true;
+}
+
+// Place copies of serialized artworks offset by offsetMm, select them and
+// record them as one undo step
+function placeArtworkCopies(datas, offsetMm, label) {
+    const copies = datas.map(data => deserializeArtwork({
+        ...data,
+        locked: false,
+        xMm: (data.xMm || 0) + offsetMm,
+        yMm: (data.yMm || 0) + offsetMm,
+    }));
+
+    document.querySelectorAll('.artwork.selected').forEach(artwork => artwork.classList.remove('selected'));
+    copies.forEach(artwork => artwork.classList.add('selected'));
+    selectedArtwork = copies[copies.length - 1];
+    if (typeof deselectObstacle === 'function') deselectObstacle();
+
+    // Keep the copies on the wall (and off obstacles) where the offset pushed them over
+    moveArtworkGroup(copies, parseFloat(selectedArtwork.style.left) || 0,
+        parseFloat(selectedArtwork.style.top) || 0, true);
+
+    const after = captureArtworkStates(copies);
+    recordArtworkChange(label, absentArtworkStates(after), after);
+    showArtworkSelection();
+    updateObstacleWarnings();
+}
+
+function pasteArtworks() {
+    if (!artworkClipboard) return;
+    artworkClipboard.pastes++;
+    const count = artworkClipboard.artworks.length;
+    placeArtworkCopies(artworkClipboard.artworks, PASTE_OFFSET_MM * artworkClipboard.pastes,
+        count > 1 ? `Paste ${count} artworks` : 'Paste artwork');
+}
+
+function duplicateSelectedArtworks() {
+    const artworks = getSelectedArtworks();
+    if (artworks.length === 0) return;
+    placeArtworkCopies(artworks.map(serializeArtwork), PASTE_OFFSET_MM,
+        artworks.length > 1 ? `Duplicate ${artworks.length} artworks` : 'Duplicate artwork');
+}
+
+// ─── HELP ────────────────────────────────────────────────────────────────────
+
+// show: true/false, or leave out to toggle
+function toggleShortcutHelp(show) {
+    const dialog = document.getElementById('shortcutDialog');
+    dialog.classList.toggle('active', show);
+}
+
+// ─── KEY HANDLER ─────────────────────────────────────────────────────────────
+
+const NUDGE_DIRECTIONS = {
+    ArrowLeft:  [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp:    [0, -1],
+    ArrowDown:  [0, 1],
+};
+
+// Shift turns ] and [ into } and {
+const LAYER_KEYS = {
+    ']': 'forward',
+    '[': 'backward',
+    '}': 'front',
+    '{': 'back',
+};
+
+function handleShortcutKey(e) {
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    const helpOpen = document.getElementById('shortcutDialog').classList.contains('active');
+
+    if (e.key === 'Escape') {
+        if (helpOpen) {
+            toggleShortcutHelp(false);
+        } else {
+            if (selectedArtwork) clearArtworkSelection();
+            if (typeof deselectObstacle === 'function') deselectObstacle();
+        }
+        return;
+    }
+    if (e.key === '?') {
+        e.preventDefault();
+        toggleShortcutHelp();
+        return;
+    }
+    if (helpOpen || isShareView || isPreviewMode || isDragging || isResizing) return;
+    // Another dialog (import, calibration, arrangement) has the keyboard
+    if (document.querySelector('.import-dialog.active, .calibration-dialog.active, .arrange-dialog.active')) return;
+
+    const command = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+
+    if (NUDGE_DIRECTIONS[e.key] && selectedArtwork && !command) {
+        e.preventDefault();
+        const step = mmToPixels(e.shiftKey ? nudgeSettings.coarseMm : nudgeSettings.fineMm);
+        const [dirX, dirY] = NUDGE_DIRECTIONS[e.key];
+        nudgeSelectedArtworks(dirX * step, dirY * step);
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && !command) {
+        if (selectedArtwork) {
+            e.preventDefault();
+            deleteSelected();
+        } else if (typeof getSelectedObstacleElement === 'function' && getSelectedObstacleElement()) {
+            e.preventDefault();
+            deleteSelectedObstacle();
+        }
+    } else if (command && key === 'c') {
+        // Leave copying selected page text alone
+        if (!String(window.getSelection()) && copySelectedArtworks()) e.preventDefault();
+    } else if (command && key === 'v' && artworkClipboard) {
+        e.preventDefault();
+        pasteArtworks();
+    } else if (command && key === 'd' && selectedArtwork) {
+        e.preventDefault();
+        duplicateSelectedArtworks();
+    } else if (LAYER_KEYS[e.key] && selectedArtwork && !command) {
+        e.preventDefault();
+        moveArtworkLayer(LAYER_KEYS[e.key]);
+    }
+}
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+
+function initKeyboard() {
+    restoreNudgeSettings();
+    writeNudgeControls();
+    document.addEventListener('keydown', handleShortcutKey);
+    document.getElementById('shortcutDialog').addEventListener('click', e => {
+        if (e.target.id === 'shortcutDialog') toggleShortcutHelp(false);
+    });
+}
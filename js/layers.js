@@ -0,0 +1,111 @@
+/**
+ * layers.js - Stacking order, overlap warnings and position locks for Wallspace
+ *
+ * Dependencies: utils.js, state.js, framing.js, artwork.js, selection.js,
+ *               history.js
+ *
+ * Artworks stack in DOM order: a later sibling is drawn on top. The layer
+ * commands reorder the selected pieces among the wall's artworks, and since
+ * layouts save artworks in DOM order and undo restores each piece's index,
+ * the order is saved and undone with no extra state.
+ *
+ * Artworks whose boxes overlap get the artwork-overlap class (a warning badge
+ * in the corner) and a tooltip naming how many pieces they overlap. Touching
+ * edges do not count.
+ *
+ * A locked artwork keeps its place and size: it can still be selected,
+ * framed and restacked, but drags, nudges, resize handles, size and position
+ * fields and alignment leave it where it is. The lock is part of the artwork
+ * spec (data-locked), so it is saved with the layout and undone like any edit.
+ *
+ * Key functions:
+ * - moveArtworkLayer(direction) - 'forward', 'backward', 'front' or 'back'
+ * - updateArtworkOverlaps() - Flag artworks that overlap one another
+ * - isArtworkLocked(artwork) - Whether a piece is locked in place
+ * - updateArtworkLock() - Apply the lock checkbox to the selection
+ */
+
+// Boxes closer than this (wall px) are taken to touch, not overlap
+const OVERLAP_TOLERANCE_PX = 0.5;
+
+// ─── STACKING ORDER ──────────────────────────────────────────────────────────
+
+// New bottom-to-top order of the wall's artworks with the selected ones moved
+function reorderedArtworks(artworks, direction) {
+    const selected = artworks.filter(artwork => artwork.classList.contains('selected'));
+    const others = artworks.filter(artwork => !artwork.classList.contains('selected'));
+    if (direction === 'front') return [...others, ...selected];
+    if (direction === 'back') return [...selected, ...others];
+
+    // One step: each selected piece swaps with the unselected piece next to
+    // it, walking from the side it moves towards so a group moves together
+    const order = artworks.slice();
+    const step = direction === 'forward' ? 1 : -1;
+    const start = step > 0 ? order.length - 2 : 1;
+    for (let i = start; i >= 0 && i < order.length; i -= step) {
+        const next = order[i + step];
+        if (order[i].classList.contains('selected') && next && !next.classList.contains('selected')) {
+            order[i + step] = order[i];
+            order[i] = next;
+        }
+    }
+    return order;
+}
+
+function moveArtworkLayer(direction) {
+    if (getSelectedArtworks().length === 0) return;
+    const wallContainer = document.getElementById('wallContainer');
+    const artworks = Array.from(wallContainer.querySelectorAll('.artwork'));
+    const order = reorderedArtworks(artworks, direction);
+    if (order.every((artwork, i) => artwork === artworks[i])) return;
+
+    const labels = {
+        forward:  'Bring forward',
+        backward: 'Send backward',
+        front:    'Bring to front',
+        back:     'Send to back',
+    };
+    // Every piece's index can change, so all of them go in the undo step
+    withArtworkHistory(labels[direction], artworks, () => {
+        order.forEach(artwork => wallContainer.appendChild(artwork));
+    });
+}
+
+// ─── OVERLAPS ────────────────────────────────────────────────────────────────
+
+function boxesOverlap(a, b) {
+    return a.left < b.right - OVERLAP_TOLERANCE_PX && b.left < a.right - OVERLAP_TOLERANCE_PX &&
+        a.top < b.bottom - OVERLAP_TOLERANCE_PX && b.top < a.bottom - OVERLAP_TOLERANCE_PX;
+}
+
+// Flag artworks that overlap another one. Called from updateObstacleWarnings(),
+// after it has set the tooltip, so the overlap note is added to it.
+function updateArtworkOverlaps() {
+    const artworks = Array.from(document.querySelectorAll('.artwork'));
+    const boxes = artworks.map(artwork => getArtworkBounds(artwork));
+    artworks.forEach((artwork, i) => {
+        const count = boxes.filter((box, j) => j !== i && boxesOverlap(boxes[i], box)).length;
+        artwork.classList.toggle('artwork-overlap', count > 0);
+        if (count > 0) {
+            const note = `Overlaps ${count} other artwork${count > 1 ? 's' : ''}`;
+            artwork.title = artwork.title ? `${artwork.title}; ${note}` : note;
+        }
+    });
+}
+
+// ─── LOCKING ─────────────────────────────────────────────────────────────────
+
+function isArtworkLocked(artwork) {
+    return artwork.dataset.locked === 'true';
+}
+
+function updateArtworkLock() {
+    const artworks = getSelectedArtworks();
+    if (artworks.length === 0) return;
+    const locked = document.getElementById('sidebarLocked').checked;
+
+    withArtworkHistory(locked ? 'Lock artwork' : 'Unlock artwork', artworks, () => {
+        artworks.forEach(artwork => { artwork.dataset.locked = locked ? 'true' : 'false'; });
+    });
+    updateControlsFromArtwork(selectedArtwork);
+}
@@ -0,0 +1,335 @@
+/**
+ * layout-manager.js - Saved layouts list for Wallspace
+ *
+ * Dependencies: utils.js, state.js, asset-store.js, layout-schema.js, storage.js, session.js,
+ *               wall-shape.js
+ *
+ * Renders the "Layouts" sidebar section: every saved layout with a thumbnail
+ * of its wall, and the actions to load, rename, duplicate, reorder, annotate
+ * and delete it. The list can be searched (name and notes) and sorted; the
+ * order of savedLayouts itself is the user's manual order.
+ *
+ * Every action is keyed by layout id rather than list position, so it always
+ * hits the right layout however the list is filtered or sorted.
+ *
+ * Thumbnails are drawn from the layout data onto a canvas and stored in the
+ * asset store; the layout keeps only the `thumbnailAssetId` hash. Layouts
+ * without one (saved before thumbnails existed, or imported) get it the first
+ * time they are listed.
+ *
+ * Key functions:
+ * - renderLayoutList() - Draw the filtered, sorted layout list
+ * - findLayout(id) - Look up a saved layout by id
+ * - renameLayout(id) / duplicateLayout(id) / moveLayout(id, offset) - Edit the list
+ * - setLayoutNotes(id, notes) - Store free-text notes on a layout
+ * - updateLayoutThumbnail(layout) - Render and store a layout's thumbnail
+ * - uniqueLayoutId() - A layout id not used by any saved layout
+ */
+
+const LAYOUT_THUMBNAIL_WIDTH = 240; // px; height follows the wall's proportions
+
+let layoutThumbnailJobs = new Set(); // Ids of layouts whose thumbnail is being rendered
+
+// ─── LOOKUP ──────────────────────────────────────────────────────────────────
+
+// Ids are numbers for layouts saved here, but may be strings in imported files
+function findLayout(id) {
+    return savedLayouts.find(layout => String(layout.id) === String(id)) || null;
+}
+
+// Date.now(), bumped past any id already in use
+function uniqueLayoutId() {
+    let id = Date.now();
+    while (findLayout(id)) id++;
+    return id;
+}
+
+// ─── LIST ────────────────────────────────────────────────────────────────────
+
+// Layouts matching the search box, in the order chosen in the sort menu
+function getVisibleLayouts() {
+    const searchInput = document.getElementById('layoutSearch');
+    const sortSelect = document.getElementById('layoutSort');
+    const query = searchInput ? searchInput.value.trim().toLowerCase() : '';
+    const sort = sortSelect ? sortSelect.value : 'manual';
+
+    const layouts = savedLayouts.filter(layout => !query ||
+        layout.name.toLowerCase().includes(query) ||
+        (layout.notes || '').toLowerCase().includes(query));
+
+    const byDate = (a, b) => (a.createdAt || 0) - (b.createdAt || 0);
+    const byCount = (a, b) => layoutArtworks(a).length - layoutArtworks(b).length;
+    switch (sort) {
+        case 'newest':  return layouts.sort((a, b) => byDate(b, a));
+        case 'oldest':  return layouts.sort(byDate);
+        case 'most':    return layouts.sort((a, b) => byCount(b, a) || byDate(b, a));
+        case 'fewest':  return layouts.sort((a, b) => byCount(a, b) || byDate(b, a));
+        case 'name':    return layouts.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        default:        return layouts;
+    }
+}
+
+function renderLayoutList() {
+    const container = document.getElementById('savedLayouts');
+    if (!container) return;
+
+    if (savedLayouts.length === 0) {
+        container.innerHTML = '<div class="layout-empty">No saved layouts yet. Save the wall to create your first gallery layout.</div>';
+        return;
+    }
+
+    const layouts = getVisibleLayouts();
+    if (layouts.length === 0) {
+        container.innerHTML = '<div class="layout-empty">No layouts match your search.</div>';
+        return;
+    }
+
+    // Moving up/down only makes sense when the list shows the manual order
+    const sortSelect = document.getElementById('layoutSort');
+    const searchInput = document.getElementById('layoutSearch');
+    const canReorder = (!sortSelect || sortSelect.value === 'manual') &&
+        (!searchInput || !searchInput.value.trim());
+
+    container.innerHTML = layouts.map(layout => {
+        const id = escapeHtml(JSON.stringify(layout.id));
+        const index = savedLayouts.indexOf(layout);
+        const count = layoutArtworks(layout).length;
+        const walls = layout.walls.length;
+        const notes = layout.notes || '';
+        const current = String(layout.id) === String(currentLayoutId);
+        return `<div class="layout-item${current ? ' current' : ''}" data-layout-id="${escapeHtml(layout.id)}">
+            <div class="layout-preview" onclick="loadLayout(${id})" title="Load this layout">
+                <img class="layout-thumb" alt="">
+            </div>
+            <div class="layout-item-info">
+                <span class="layout-item-name" title="${escapeHtml(layout.name)}">${escapeHtml(layout.name)}</span>
+                <span class="layout-item-meta">${count} artwork${count !== 1 ? 's' : ''}${walls > 1 ? ` on ${walls} walls` : ''} · ${escapeHtml(layout.date)}</span>
+            </div>
+            <div class="layout-item-actions">
+                <button onclick="loadLayout(${id})">Load</button>
+                <button onclick="renameLayout(${id})">Rename</button>
+                <button onclick="duplicateLayout(${id})">Duplicate</button>
+                <button onclick="copyShareLink(${id})" title="Copy a link that opens this layout read-only">Share</button>
+                ${canReorder ? `<button onclick="moveLayout(${id}, -1)" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+                <button onclick="moveLayout(${id}, 1)" title="Move down"${index === savedLayouts.length - 1 ? ' disabled' : ''}>↓</button>` : ''}
+                <button class="layout-delete" onclick="deleteLayout(${id})">Delete</button>
+            </div>
+            <details class="layout-notes"${notes ? ' open' : ''}>
+                <summary>Notes</summary>
+                <textarea rows="2" placeholder="Add notes…" onchange="setLayoutNotes(${id}, this.value)">${escapeHtml(notes)}</textarea>
+            </details>
+        </div>`;
+    }).join('');
+
+    layouts.forEach(showLayoutThumbnail);
+}
+
+// Put a layout's thumbnail into its list entry, rendering it first if needed
+function showLayoutThumbnail(layout) {
+    const setImage = url => {
+        const item = Array.from(document.querySelectorAll('.layout-item'))
+            .find(el => el.dataset.layoutId === String(layout.id));
+        const img = item && item.querySelector('.layout-thumb');
+        if (img && url) img.src = url;
+    };
+
+    if (!layout.thumbnailAssetId) {
+        updateLayoutThumbnail(layout).then(hash => {
+            if (hash) setImage(getCachedAssetUrl(hash));
+        });
+        return;
+    }
+
+    const cached = getCachedAssetUrl(layout.thumbnailAssetId);
+    if (cached) {
+        setImage(cached);
+        return;
+    }
+    getAssetUrl(layout.thumbnailAssetId).then(url => {
+        if (url) {
+            setImage(url);
+        } else {
+            // The stored thumbnail is gone (e.g. site data was partly cleared)
+            layout.thumbnailAssetId = null;
+            showLayoutThumbnail(layout);
+        }
+    }).catch(e => console.warn('Layout thumbnail unavailable:', e));
+}
+
+// ─── EDIT ────────────────────────────────────────────────────────────────────
+
+function renameLayout(id) {
+    const layout = findLayout(id);
+    if (!layout) return;
+
+    const name = prompt('Layout name:', layout.name);
+    if (name === null || !name.trim() || name.trim() === layout.name) return;
+
+    layout.name = name.trim();
+    saveLayoutsToStorage();
+    renderLayoutList();
+    renderSessionStatus();
+}
+
+// Copy a layout (wall, artworks, notes and thumbnail) and list it right after the original
+function duplicateLayout(id) {
+    const layout = findLayout(id);
+    if (!layout) return;
+
+    const now = Date.now();
+    const copy = JSON.parse(JSON.stringify(layout));
+    copy.id = uniqueLayoutId();
+    copy.name = `${layout.name} copy`;
+    copy.createdAt = now;
+    copy.date = new Date(now).toLocaleDateString();
+
+    savedLayouts.splice(savedLayouts.indexOf(layout) + 1, 0, copy);
+    if (!saveLayoutsToStorage()) {
+        savedLayouts.splice(savedLayouts.indexOf(copy), 1);
+        return;
+    }
+    renderLayoutList();
+}
+
+// Move a layout up (offset -1) or down (offset 1) in the manual order
+function moveLayout(id, offset) {
+    const layout = findLayout(id);
+    if (!layout) return;
+
+    const from = savedLayouts.indexOf(layout);
+    const to = from + offset;
+    if (to < 0 || to >= savedLayouts.length) return;
+
+    savedLayouts.splice(from, 1);
+    savedLayouts.splice(to, 0, layout);
+    saveLayoutsToStorage();
+    renderLayoutList();
+}
+
+// Not re-rendered, so the notes field keeps focus while the user tabs on
+function setLayoutNotes(id, notes) {
+    const layout = findLayout(id);
+    if (!layout) return;
+
+    layout.notes = notes.trim();
+    saveLayoutsToStorage();
+}
+
+// ─── THUMBNAILS ──────────────────────────────────────────────────────────────
+
+// Load an image for drawing; resolves to null if it is missing or broken
+function loadThumbnailImage(assetId, src) {
+    const urlPromise = assetId ? getAssetUrl(assetId).catch(() => null) : Promise.resolve(src);
+    return urlPromise.then(url => new Promise(resolve => {
+        if (!url) return resolve(null);
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+        img.src = url;
+    }));
+}
+
+// Draw one artwork the way the wall shows it: frame, matte, then the image
+// stretched over the image area, all rotated about the artwork's centre
+function drawThumbnailArtwork(ctx, artwork, image, scale) {
+    const frameMm = artwork.frame.enabled ? artwork.frame.widthMm : 0;
+    const matteMm = artwork.matte.enabled ? artwork.matte.widthMm : 0;
+    const outerWidth = (artwork.imageWidthMm + 2 * (frameMm + matteMm)) * scale;
+    const outerHeight = (artwork.imageHeightMm + 2 * (frameMm + matteMm)) * scale;
+
+    ctx.save();
+    ctx.translate((artwork.xMm * scale) + outerWidth / 2, (artwork.yMm * scale) + outerHeight / 2);
+    ctx.rotate((artwork.rotation || 0) * Math.PI / 180);
+    ctx.translate(-outerWidth / 2, -outerHeight / 2);
+
+    if (frameMm) {
+        ctx.fillStyle = artwork.frame.color;
+        ctx.fillRect(0, 0, outerWidth, outerHeight);
+    }
+    if (matteMm) {
+        ctx.fillStyle = artwork.matte.color;
+        ctx.fillRect(frameMm * scale, frameMm * scale,
+            outerWidth - 2 * frameMm * scale, outerHeight - 2 * frameMm * scale);
+    }
+
+    const inset = (frameMm + matteMm) * scale;
+    const width = artwork.imageWidthMm * scale;
+    const height = artwork.imageHeightMm * scale;
+    if (image) {
+        ctx.drawImage(image, inset, inset, width, height);
+    } else {
+        ctx.fillStyle = '#ddd8d2';
+        ctx.fillRect(inset, inset, width, height);
+    }
+    ctx.restore();
+}
+
+// Render the wall a layout opens on to a JPEG data URL
+async function renderLayoutThumbnail(layout) {
+    const wall = layoutActiveWall(layout);
+    const scale = LAYOUT_THUMBNAIL_WIDTH / wall.widthMm;
+    const canvas = document.createElement('canvas');
+    canvas.width = LAYOUT_THUMBNAIL_WIDTH;
+    canvas.height = Math.max(1, Math.round(wall.heightMm * scale));
+    const ctx = canvas.getContext('2d');
+
+    // A shaped wall is drawn inside its outline, on the room grey
+    const outline = wallShapePoints(wall.shape, wall.widthMm, wall.heightMm);
+    if (outline) {
+        ctx.fillStyle = '#e8e8e8';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.beginPath();
+        outline.forEach(point => ctx.lineTo(point.xMm * scale, point.yMm * scale));
+        ctx.closePath();
+        ctx.clip();
+    }
+
+    ctx.fillStyle = wall.color || '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Background image is drawn like CSS background-size: cover
+    const background = await loadThumbnailImage(wall.backgroundAssetId, wall.backgroundImage);
+    if (background) {
+        const cover = Math.max(canvas.width / background.width, canvas.height / background.height);
+        const width = background.width * cover;
+        const height = background.height * cover;
+        ctx.drawImage(background, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+    }
+
+    // Obstacles as light outlines beneath the artworks
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.06)';
+    (wall.obstacles || []).forEach(obstacle => {
+        const rect = [obstacle.xMm * scale, obstacle.yMm * scale, obstacle.widthMm * scale, obstacle.heightMm * scale];
+        ctx.fillRect(...rect);
+        ctx.strokeRect(...rect);
+    });
+
+    for (const artwork of wall.artworks) {
+        const image = await loadThumbnailImage(artwork.assetId, artwork.src);
+        drawThumbnailArtwork(ctx, artwork, image, scale);
+    }
+
+    return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+// Render a layout's thumbnail, store it and remember its hash on the layout.
+// Resolves to the hash, or null if rendering or storing failed.
+async function updateLayoutThumbnail(layout) {
+    if (layoutThumbnailJobs.has(layout.id)) return null;
+    layoutThumbnailJobs.add(layout.id);
+    try {
+        const hash = await storeAsset(await renderLayoutThumbnail(layout));
+        await getAssetUrl(hash);
+        // The layout may have been deleted while the thumbnail was rendering
+        if (!savedLayouts.includes(layout)) return null;
+        layout.thumbnailAssetId = hash;
+        saveLayoutsToStorage();
+        return hash;
+    } catch (e) {
+        console.warn('Layout thumbnail could not be created:', e);
+        return null;
+    } finally {
+        layoutThumbnailJobs.delete(layout.id);
+    }
+}
@@ -0,0 +1,381 @@
+/**
+ * layout-schema.js - Versioned layout format for Wallspace
+ *
+ * Dependencies: utils.js, state.js, wall.js, framing.js, artwork.js, asset-store.js,
+ *               walls.js, obstacles.js, wall-shape.js, hanging.js
+ *
+ * Converts the project's walls (the one on screen plus the others held in
+ * projectWalls) to and from a plain layout object, and migrates layouts
+ * written by older versions. All lengths are stored in millimetres (rounded
+ * to 1 µm) so saving and loading a layout reproduces it exactly, independent
+ * of the screen scale.
+ *
+ * Layout format, version 3:
+ *   {
+ *     version: 3,
+ *     id: 1712345678901,          // unique, Date.now() at creation
+ *     name: 'Gallery 1',
+ *     date: '4/5/2024',           // display date
+ *     createdAt: 1712345678901,   // epoch ms
+ *     activeWallId: 'wall-1',     // wall shown when the layout is opened
+ *     walls: [{
+ *       id: 'wall-1',
+ *       name: 'Wall 1',
+ *       widthMm, heightMm,
+ *       units: 'inches' | 'cm',   // units the wall inputs are shown in
+ *       color: '#rrggbb',
+ *       backgroundAssetId,        // asset store hash, or null
+ *       backgroundImage,          // inline URL, only when the asset store was unavailable
+ *       shape: {                  // optional: outline of a non-rectangular wall (see wall-shape.js)
+ *         preset: 'sloped' | 'gable' | 'stairs' | 'custom',
+ *         points: [{ xMm, yMm }]  // vertices from the wall's top-left; presets recompute them
+ *       },
+ *       hanging: {                // optional: target hanging height (see hanging.js)
+ *         floorMm,                // floor below the wall's bottom edge
+ *         centerHeightMm,         // group center above the floor
+ *         aboveFurniture,         // hang above furniture instead of at centerHeightMm
+ *         furnitureTopMm,         // furniture top above the floor
+ *         clearanceMm,            // furniture top to the group's bottom edge
+ *         showCenterline          // draw the target line over the wall
+ *       },
+ *       obstacles: [{             // optional: windows, outlets, furniture… (see obstacles.js)
+ *         id, type, label,
+ *         xMm, yMm,               // top-left corner, from the wall's top-left
+ *         widthMm, heightMm
+ *       }],
+ *       artworks: [{              // in stacking (DOM) order
+ *         assetId,                // asset store hash, or null
+ *         src,                    // inline URL when there is no assetId (e.g. placeholders)
+ *         catalogId,              // catalog item the piece came from, or null
+ *         xMm, yMm,               // outer top-left corner, from the wall's top-left
+ *         imageWidthMm, imageHeightMm,  // visible image area, excluding framing
+ *         frame: { enabled, color, widthMm },
+ *         matte: { enabled, color, widthMm },
+ *         rotation,               // degrees clockwise
+ *         hangerDropMm,           // optional: hanger below the frame's top edge, default 0
+ *         locked,                 // optional: position locked against edits, default false
+ *         units: 'inches' | 'cm', // units the piece was sized in
+ *         aspectRatio             // original image aspect ratio (width / height)
+ *       }]
+ *     }],
+ *     notes,                      // optional: free-text notes from the layout manager
+ *     thumbnailAssetId            // optional: asset store hash of the rendered thumbnail
+ *   }
+ *
+ * Version 2 had a single `wall` object and one `artworks` list. Version 1 (no
+ * `version` field) stored computed pixel strings and no frame or matte
+ * widths. migrateLayout() upgrades both on load.
+ *
+ * Key functions:
+ * - serializeLayout(meta) - Capture every wall of the project as a layout
+ * - deserializeLayout(layout) - Replace all walls with a layout's walls
+ * - serializeArtwork(artwork) / deserializeArtwork(data, options) - Single artwork
+ * - migrateLayout(layout) - Upgrade any stored layout to the current version
+ * - layoutArtworks(layout) / layoutActiveWall(layout) - Read helpers for stored layouts
+ */
+
+const LAYOUT_SCHEMA_VERSION = 3;
+
+// ─── SERIALIZE ───────────────────────────────────────────────────────────────
+
+// Capture the on-screen wall's settings as stored in a layout
+function serializeWallSettings() {
+    const units = document.getElementById('wallUnits').value;
+    const widthMm = roundMm(unitsToMm(parseFloat(document.getElementById('wallWidth').value), units));
+    const heightMm = roundMm(unitsToMm(parseFloat(document.getElementById('wallHeight').value), units));
+    return {
+        widthMm:  widthMm,
+        heightMm: heightMm,
+        units:    units,
+        color:    document.getElementById('wallColor').value,
+        backgroundAssetId: wallBackgroundAssetId,
+        // Only kept inline when the asset store was unavailable
+        backgroundImage: wallBackgroundAssetId ? null : wallBackgroundImage,
+        // Points resolved, so readers need not know the presets
+        shape: wallShape ? { preset: wallShape.preset, points: wallShapePoints(wallShape, widthMm, heightMm) } : null,
+        hanging: copyWallHanging(wallHanging),
+    };
+}
+
+// Capture a single artwork element
+function serializeArtwork(artwork) {
+    const spec = getArtworkSpec(artwork);
+    const img = artwork.querySelector('img');
+    return {
+        assetId:       artwork.dataset.assetId || null,
+        src:           artwork.dataset.assetId ? null : img.getAttribute('src'),
+        catalogId:     artwork.dataset.catalogId || null,
+        xMm:           spec.xMm,
+        yMm:           spec.yMm,
+        imageWidthMm:  roundMm(spec.imageWidthMm),
+        imageHeightMm: roundMm(spec.imageHeightMm),
+        frame: { enabled: spec.hasFrame, color: spec.frameColor, widthMm: roundMm(spec.frameWidthMm) },
+        matte: { enabled: spec.hasMatte, color: spec.matteColor, widthMm: roundMm(spec.matteWidthMm) },
+        rotation:      spec.rotation,
+        hangerDropMm:  roundMm(spec.hangerDropMm),
+        locked:        spec.locked,
+        units:         spec.units,
+        aspectRatio:   artworkAspectRatios.get(artwork.id) || spec.imageWidthMm / spec.imageHeightMm,
+    };
+}
+
+// Capture every wall of the project. The active wall is read from the
+// screen, the others from their stashed settings and artwork elements.
+function serializeWalls() {
+    return projectWalls.map(wall => ({
+        id:        wall.id,
+        name:      wall.name,
+        ...(wall.id === activeWallId ? serializeWallSettings() : wall.settings),
+        obstacles: copyObstacles(wall.obstacles),
+        artworks:  getWallArtworkElements(wall).map(serializeArtwork),
+    }));
+}
+
+// Capture the project's walls and their artworks as a layout
+function serializeLayout(meta = {}) {
+    const now = Date.now();
+    return {
+        version:      LAYOUT_SCHEMA_VERSION,
+        id:           meta.id != null ? meta.id : now,
+        name:         meta.name || 'Untitled',
+        date:         meta.date || new Date(now).toLocaleDateString(),
+        createdAt:    meta.createdAt || now,
+        activeWallId: activeWallId,
+        walls:        serializeWalls(),
+    };
+}
+
+// ─── READ HELPERS ────────────────────────────────────────────────────────────
+
+// The settings part of a stored wall, in the shape serializeWallSettings() returns
+function wallSettingsOf(wall) {
+    return {
+        widthMm:           wall.widthMm,
+        heightMm:          wall.heightMm,
+        units:             wall.units,
+        color:             wall.color,
+        backgroundAssetId: wall.backgroundAssetId || null,
+        backgroundImage:   wall.backgroundImage || null,
+        shape:             copyWallShape(wall.shape || null),
+        hanging:           copyWallHanging(wall.hanging || null),
+    };
+}
+
+// Every artwork of a stored layout, across all of its walls
+function layoutArtworks(layout) {
+    return layout.walls.reduce((all, wall) => all.concat(wall.artworks), []);
+}
+
+// The wall a stored layout opens on
+function layoutActiveWall(layout) {
+    return layout.walls.find(wall => wall.id === layout.activeWallId) || layout.walls[0];
+}
+
+// ─── DESERIALIZE ─────────────────────────────────────────────────────────────
+
+// Apply stored wall settings to the wall inputs and redraw the wall
+function deserializeWallSettings(wall) {
+    const units = wall.units === 'cm' ? 'cm' : 'inches';
+    // Format without trailing zeros so 3048mm shows as "120", not "120.000"
+    const format = mm => String(Number(mmToUnits(mm, units).toFixed(3)));
+
+    // Sync currentUnits first so updateWallUnits() doesn't convert the new values again
+    currentUnits = units;
+    document.getElementById('wallUnits').value = units;
+    document.getElementById('wallWidth').value = format(wall.widthMm);
+    document.getElementById('wallHeight').value = format(wall.heightMm);
+    document.getElementById('wallColor').value = wall.color || '#ffffff';
+    updateWallUnits();
+
+    wallShape = copyWallShape(wall.shape || null);
+    wallHanging = copyWallHanging(wall.hanging || null);
+    if (typeof writeHangingControls === 'function') writeHangingControls();
+    // Template slots belong to the wall they were drawn on
+    if (typeof clearTemplateSlots === 'function') clearTemplateSlots();
+    wallBackgroundAssetId = wall.backgroundAssetId || null;
+    if (wallBackgroundAssetId) {
+        wallBackgroundImage = getCachedAssetUrl(wallBackgroundAssetId);
+        if (!wallBackgroundImage) {
+            const hash = wallBackgroundAssetId;
+            getAssetUrl(hash).then(url => {
+                if (url && wallBackgroundAssetId === hash) {
+                    wallBackgroundImage = url;
+                    updateWall();
+                }
+            }).catch(e => console.warn('Wall background image unavailable:', e));
+        }
+    } else {
+        wallBackgroundImage = wall.backgroundImage || null;
+    }
+
+    updateWall();
+}
+
+// Create an artwork element from stored data and add it to the wall.
+// options.id reuses a known element id (undo/redo re-creating a deleted piece);
+// options.detached leaves it off the screen, for a wall that is not shown.
+function deserializeArtwork(data, options = {}) {
+    const wallContainer = document.getElementById('wallContainer');
+    const src = data.assetId ? (getCachedAssetUrl(data.assetId) || '') : (data.src || '');
+
+    const artwork = document.createElement('div');
+    artwork.className = 'artwork';
+    artwork.id = options.id || 'artwork-' + (++artworkCounter);
+    if (data.catalogId) artwork.dataset.catalogId = data.catalogId;
+
+    artwork.innerHTML = `
+        <div class="frame" style="display: none;">
+            <div class="matte" style="display: none;">
+                <div class="image-container">
+                    <img alt="Artwork">
+                </div>
+            </div>
+        </div>
+        <img alt="Artwork" class="direct-img">
+        <div class="resize-handle"></div>
+    `;
+    artwork.querySelectorAll('img').forEach(img => { img.src = src; });
+
+    if (data.aspectRatio) {
+        artworkAspectRatios.set(artwork.id, data.aspectRatio);
+    }
+
+    applyArtworkSpec(artwork, {
+        imageWidthMm:  data.imageWidthMm,
+        imageHeightMm: data.imageHeightMm,
+        hasFrame:      data.frame.enabled,
+        frameColor:    data.frame.color,
+        frameWidthMm:  data.frame.widthMm,
+        hasMatte:      data.matte.enabled,
+        matteColor:    data.matte.color,
+        matteWidthMm:  data.matte.widthMm,
+        rotation:      data.rotation,
+        hangerDropMm:  data.hangerDropMm || 0,
+        locked:        data.locked === true,
+        units:         data.units,
+        xMm:           data.xMm,
+        yMm:           data.yMm,
+    });
+
+    if (data.assetId) {
+        setArtworkAsset(artwork, data.assetId);
+    }
+
+    if (!options.detached) wallContainer.appendChild(artwork);
+    setupArtworkEvents(artwork);
+    return artwork;
+}
+
+// Replace all walls and their artworks with a layout's contents
+function deserializeLayout(layout) {
+    const current = migrateLayout(layout);
+    const active = layoutActiveWall(current);
+
+    clearArtworks();
+    // Walls that are not shown keep their settings and detached artwork elements
+    projectWalls = current.walls.map(wall => ({
+        id:        wall.id,
+        name:      wall.name,
+        settings:  wall === active ? null : wallSettingsOf(wall),
+        artworks:  wall === active ? null : wall.artworks.map(data => deserializeArtwork(data, { detached: true })),
+        obstacles: copyObstacles(wall.obstacles || []),
+    }));
+    activeWallId = active.id;
+    selectedObstacleId = null;
+
+    deserializeWallSettings(active);
+    active.artworks.forEach(data => deserializeArtwork(data));
+    renderObstacles();
+    updateDistanceGuides();
+    renderWallSwitcher();
+    updateCatalogPlacements();
+    // A freshly loaded layout starts a new history
+    if (typeof clearHistory === 'function') clearHistory();
+}
+
+// ─── MIGRATIONS ──────────────────────────────────────────────────────────────
+
+// Version 1 → 2: pixel strings to millimetres, explicit framing.
+// v1 only kept the outer (framed) size, so frame and matte widths are assumed
+// to be the sidebar default of 1" and subtracted to recover the image size.
+function migrateLayoutV1(layout) {
+    const ws = layout.wallSettings || {};
+    const wallUnits = ws.units === 'cm' ? 'cm' : 'inches';
+    const px = value => roundMm(pixelsToMm(parseFloat(value) || 0));
+
+    const artworks = (layout.artworks || []).map(a => {
+        const outerWidthMm = px(a.width);
+        const outerHeightMm = px(a.height);
+        const hasFrame = !!a.hasFrame;
+        const hasMatte = !!a.hasMatte;
+        let frameWidthMm = DEFAULT_FRAMING_WIDTH_MM;
+        let matteWidthMm = DEFAULT_FRAMING_WIDTH_MM;
+        let inset = (hasFrame ? frameWidthMm : 0) + (hasMatte ? matteWidthMm : 0);
+        if (outerWidthMm - 2 * inset <= 0 || outerHeightMm - 2 * inset <= 0) {
+            // Too small for default framing — keep the visible size instead
+            if (hasFrame) frameWidthMm = 0;
+            if (hasMatte) matteWidthMm = 0;
+            inset = 0;
+        }
+        return {
+            assetId:       a.assetId || null,
+            src:           a.assetId ? null : (a.src || null),
+            catalogId:     a.catalogId || null,
+            xMm:           px(a.left),
+            yMm:           px(a.top),
+            imageWidthMm:  roundMm(outerWidthMm - 2 * inset),
+            imageHeightMm: roundMm(outerHeightMm - 2 * inset),
+            frame: { enabled: hasFrame, color: cssColorToHex(a.frameColor) || DEFAULT_FRAME_COLOR, widthMm: frameWidthMm },
+            matte: { enabled: hasMatte, color: cssColorToHex(a.matteColor) || DEFAULT_MATTE_COLOR, widthMm: matteWidthMm },
+            rotation:      0,
+            units:         'inches',
+            aspectRatio:   a.aspectRatio || null,
+        };
+    });
+
+    return {
+        version:   2,
+        id:        layout.id != null ? layout.id : Date.now(),
+        name:      layout.name || 'Untitled',
+        date:      layout.date || '',
+        createdAt: typeof layout.id === 'number' ? layout.id : Date.now(),
+        wall: {
+            widthMm:  roundMm(unitsToMm(parseFloat(ws.width) || 120, wallUnits)),
+            heightMm: roundMm(unitsToMm(parseFloat(ws.height) || 96, wallUnits)),
+            units:    wallUnits,
+            color:    ws.color || '#ffffff',
+            backgroundAssetId: ws.backgroundAssetId || null,
+            backgroundImage:   ws.backgroundAssetId ? null : (ws.backgroundImage || null),
+        },
+        artworks: artworks,
+    };
+}
+
+// Version 2 → 3: the single wall becomes the first entry of `walls`
+function migrateLayoutV2(layout) {
+    const { wall, artworks, ...rest } = layout;
+    return {
+        ...rest,
+        version:      3,
+        activeWallId: 'wall-1',
+        walls: [{ id: 'wall-1', name: 'Wall 1', ...wall, obstacles: [], artworks: artworks || [] }],
+    };
+}
+
+// Ordered list of upgrade steps; LAYOUT_MIGRATIONS[n] turns version n+1 into n+2
+const LAYOUT_MIGRATIONS = [
+    migrateLayoutV1,
+    migrateLayoutV2,
+];
+
+// Upgrade a stored layout to LAYOUT_SCHEMA_VERSION. Current layouts are
+// returned unchanged (same object).
+function migrateLayout(layout) {
+    let current = layout;
+    let version = layout.version || 1;
+    while (version < LAYOUT_SCHEMA_VERSION) {
+        current = LAYOUT_MIGRATIONS[version - 1](current);
+        version = current.version;
+    }
+    return current;
+}
@@ -0,0 +1,394 @@
+/**
+ * obstacles.js - Windows, doors, outlets and other fixed features of a wall
+ *
+ * Dependencies: utils.js, state.js, walls.js, history.js, distance-guides.js,
+ *               grid.js, selection.js, hanging.js
+ *
+ * Obstacles are the non-art things a wall already has: windows, door frames,
+ * outlets, switches, thermostats, vents and the furniture standing in front
+ * of it. Each wall keeps them as plain data in wall.obstacles:
+ *   { id, type, label, xMm, yMm, widthMm, heightMm }
+ * with the same top-left origin as artworks. The sidebar shows the height of
+ * the bottom edge above the floor instead of yMm, since that is what gets
+ * measured on a real wall (the floor may sit below the wall's bottom edge,
+ * see hanging.js).
+ *
+ * The active wall's obstacles are drawn in #obstacleLayer, beneath the
+ * artworks. Artworks overlapping an obstacle are outlined while dragging and
+ * afterwards; with "keep artwork off obstacles" on, a drag slides along the
+ * obstacle instead of entering it.
+ *
+ * Key functions:
+ * - initObstacles() - Fill the type pickers and attach the drag handlers
+ * - renderObstacles() - Redraw the active wall's obstacles and the sidebar list
+ * - addObstacle(type) / deleteSelectedObstacle() - Add or remove an obstacle
+ * - selectObstacle(id) / deselectObstacle() - Show or hide the obstacle editor
+ * - updateSelectedObstacle() - Apply the editor fields to the selected obstacle
+ * - constrainArtworkMove(artwork, x, y) - Keep a dragged artwork off obstacles
+ * - updateObstacleWarnings() - Outline artworks that overlap an obstacle
+ */
+
+const OBSTACLE_TYPES = {
+    window:     { label: 'Window',     widthMm: 900,  heightMm: 1200, floorMm: 900 },
+    door:       { label: 'Door frame', widthMm: 900,  heightMm: 2100, floorMm: 0 },
+    outlet:     { label: 'Outlet',     widthMm: 70,   heightMm: 115,  floorMm: 300 },
+    switch:     { label: 'Switch',     widthMm: 70,   heightMm: 115,  floorMm: 1200 },
+    thermostat: { label: 'Thermostat', widthMm: 90,   heightMm: 120,  floorMm: 1500 },
+    vent:       { label: 'Vent',       widthMm: 300,  heightMm: 150,  floorMm: 2100 },
+    furniture:  { label: 'Furniture',  widthMm: 2000, heightMm: 850,  floorMm: 0 },
+};
+const MAX_OBSTACLE_LABEL_LENGTH = 60;
+
+let selectedObstacleId = null;    // Obstacle shown in the editor, on the active wall
+let obstacleDrag = null;          // { id, pointerId, startX, startY, xMm, yMm, before } while dragging
+
+// ─── DATA ────────────────────────────────────────────────────────────────────
+
+// The active wall's obstacle list (live, not a copy)
+function getWallObstacles() {
+    const wall = getActiveWall();
+    return wall ? wall.obstacles : [];
+}
+
+function findObstacle(id) {
+    return getWallObstacles().find(obstacle => obstacle.id === id) || null;
+}
+
+function copyObstacles(obstacles) {
+    return obstacles.map(obstacle => ({ ...obstacle }));
+}
+
+function uniqueObstacleId() {
+    const used = new Set();
+    projectWalls.forEach(wall => wall.obstacles.forEach(obstacle => used.add(obstacle.id)));
+    let n = used.size + 1;
+    while (used.has('obstacle-' + n)) n++;
+    return 'obstacle-' + n;
+}
+
+function obstacleName(obstacle) {
+    return obstacle.label || (OBSTACLE_TYPES[obstacle.type] || OBSTACLE_TYPES.window).label;
+}
+
+function wallSizeMm() {
+    const settings = serializeWallSettings();
+    return { widthMm: settings.widthMm, heightMm: settings.heightMm };
+}
+
+// ─── HISTORY ─────────────────────────────────────────────────────────────────
+
+// Record a change to the active wall's obstacles from before/after copies
+function recordObstacleChange(label, before, after, coalesceKey) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    pushHistory({
+        label: label,
+        coalesceKey: coalesceKey || null,
+        before: before,
+        after: after,
+        undo() { setWallObstacles(this.before); },
+        redo() { setWallObstacles(this.after); },
+        merge(next) { this.after = next.after; },
+    });
+}
+
+// Run fn() on the active wall's obstacles and record what it changed
+function withObstacleHistory(label, fn, coalesceKey) {
+    const before = copyObstacles(getWallObstacles());
+    fn();
+    recordObstacleChange(label, before, copyObstacles(getWallObstacles()), coalesceKey);
+    renderObstacles();
+}
+
+function setWallObstacles(obstacles) {
+    getActiveWall().obstacles = copyObstacles(obstacles);
+    if (selectedObstacleId && !findObstacle(selectedObstacleId)) selectedObstacleId = null;
+    renderObstacles();
+}
+
+// ─── ADD / REMOVE ────────────────────────────────────────────────────────────
+
+function addObstacle(type) {
+    const defaults = OBSTACLE_TYPES[type];
+    if (!defaults || isShareView) return;
+
+    const wall = wallSizeMm();
+    const widthMm = Math.min(defaults.widthMm, wall.widthMm);
+    const heightMm = Math.min(defaults.heightMm, wall.heightMm);
+    const obstacle = {
+        id:       uniqueObstacleId(),
+        type:     type,
+        label:    '',
+        xMm:      roundMm((wall.widthMm - widthMm) / 2),
+        yMm:      roundMm(Math.max(0, wall.heightMm + wallFloorMm() - defaults.floorMm - heightMm)),
+        widthMm:  widthMm,
+        heightMm: heightMm,
+    };
+    withObstacleHistory(`Add ${defaults.label.toLowerCase()}`, () => getWallObstacles().push(obstacle));
+    selectObstacle(obstacle.id);
+}
+
+function deleteSelectedObstacle() {
+    const obstacle = findObstacle(selectedObstacleId);
+    if (!obstacle) return;
+    withObstacleHistory(`Remove ${obstacleName(obstacle).toLowerCase()}`, () => {
+        const wall = getActiveWall();
+        wall.obstacles = wall.obstacles.filter(other => other !== obstacle);
+    });
+    deselectObstacle();
+}
+
+// ─── SELECTION AND EDITOR ────────────────────────────────────────────────────
+
+function getSelectedObstacleElement() {
+    if (!selectedObstacleId) return null;
+    return Array.from(document.querySelectorAll('.obstacle'))
+        .find(el => el.dataset.obstacleId === selectedObstacleId) || null;
+}
+
+function selectObstacle(id) {
+    if (!findObstacle(id)) return;
+    // Only one thing is selected at a time
+    if (selectedArtwork) clearArtworkSelection();
+    selectedObstacleId = id;
+    renderObstacles();
+    updateDistanceGuides();
+}
+
+function deselectObstacle() {
+    if (!selectedObstacleId) return;
+    selectedObstacleId = null;
+    renderObstacles();
+    updateDistanceGuides();
+}
+
+// Fill the editor fields from the selected obstacle, in the wall's units
+function updateObstacleEditor() {
+    const editor = document.getElementById('obstacleEditor');
+    if (!editor) return;
+    const obstacle = findObstacle(selectedObstacleId);
+    editor.style.display = obstacle ? 'block' : 'none';
+    if (!obstacle) return;
+
+    const format = formatObstacleField;
+    const wall = wallSizeMm();
+    document.querySelectorAll('.obstacle-unit').forEach(el => { el.textContent = currentUnits; });
+    document.getElementById('obstacleEditType').value = obstacle.type;
+    document.getElementById('obstacleLabel').value = obstacle.label;
+    document.getElementById('obstacleX').value = format(obstacle.xMm);
+    document.getElementById('obstacleFloor').value = format(wall.heightMm + wallFloorMm() - obstacle.yMm - obstacle.heightMm);
+    document.getElementById('obstacleWidth').value = format(obstacle.widthMm);
+    document.getElementById('obstacleHeight').value = format(obstacle.heightMm);
+}
+
+function formatObstacleField(mm) {
+    return String(Number(mmToUnits(mm, currentUnits).toFixed(1)));
+}
+
+// Apply the editor fields to the selected obstacle
+function updateSelectedObstacle() {
+    const obstacle = findObstacle(selectedObstacleId);
+    if (!obstacle) return;
+
+    const units = currentUnits;
+    // Fields left as shown keep their exact value instead of a rounded copy
+    const read = (id, currentMm) => {
+        const input = document.getElementById(id).value;
+        const value = parseFloat(input);
+        if (!isFinite(value) || input === formatObstacleField(currentMm)) return currentMm;
+        return roundMm(unitsToMm(value, units));
+    };
+    const wall = wallSizeMm();
+    const widthMm = Math.max(1, read('obstacleWidth', obstacle.widthMm));
+    const heightMm = Math.max(1, read('obstacleHeight', obstacle.heightMm));
+    const floorMm = read('obstacleFloor', wall.heightMm + wallFloorMm() - obstacle.yMm - obstacle.heightMm);
+
+    withObstacleHistory('Edit obstacle', () => {
+        obstacle.type = document.getElementById('obstacleEditType').value;
+        obstacle.label = document.getElementById('obstacleLabel').value.trim().slice(0, MAX_OBSTACLE_LABEL_LENGTH);
+        obstacle.widthMm = widthMm;
+        obstacle.heightMm = heightMm;
+        obstacle.xMm = read('obstacleX', obstacle.xMm);
+        obstacle.yMm = roundMm(wall.heightMm + wallFloorMm() - floorMm - heightMm);
+    }, 'obstacle:' + obstacle.id);
+    updateDistanceGuides();
+}
+
+// ─── RENDER ──────────────────────────────────────────────────────────────────
+
+function renderObstacles() {
+    const layer = document.getElementById('obstacleLayer');
+    if (!layer) return;
+
+    layer.innerHTML = '';
+    getWallObstacles().forEach(obstacle => {
+        const el = document.createElement('div');
+        el.className = 'obstacle' + (obstacle.id === selectedObstacleId ? ' selected' : '');
+        el.dataset.obstacleId = obstacle.id;
+        el.dataset.type = obstacle.type;
+        el.title = obstacleName(obstacle);
+        el.style.left = mmToPixels(obstacle.xMm) + 'px';
+        el.style.top = mmToPixels(obstacle.yMm) + 'px';
+        el.style.width = mmToPixels(obstacle.widthMm) + 'px';
+        el.style.height = mmToPixels(obstacle.heightMm) + 'px';
+        const label = document.createElement('span');
+        label.className = 'obstacle-label';
+        label.textContent = obstacleName(obstacle);
+        el.appendChild(label);
+        el.addEventListener('pointerdown', startObstacleDrag);
+        layer.appendChild(el);
+    });
+
+    renderObstacleList();
+    updateObstacleEditor();
+    updateObstacleWarnings();
+}
+
+// Sidebar list of the active wall's obstacles; small ones are easier to pick here
+function renderObstacleList() {
+    const list = document.getElementById('obstacleList');
+    if (!list) return;
+    const obstacles = getWallObstacles();
+    if (!obstacles.length) {
+        list.innerHTML = '<div class="obstacle-empty">No obstacles on this wall.</div>';
+        return;
+    }
+    list.innerHTML = '';
+    obstacles.forEach(obstacle => {
+        const item = document.createElement('div');
+        item.className = 'obstacle-item' + (obstacle.id === selectedObstacleId ? ' selected' : '');
+        item.textContent = `${obstacleName(obstacle)} · ${formatMmForWall(obstacle.widthMm)} × ${formatMmForWall(obstacle.heightMm)}`;
+        item.onclick = () => selectObstacle(obstacle.id);
+        list.appendChild(item);
+    });
+}
+
+function formatMmForWall(mm) {
+    return `${Number(mmToUnits(mm, currentUnits).toFixed(1))}${currentUnits === 'cm' ? 'cm' : '"'}`;
+}
+
+// ─── DRAGGING OBSTACLES ──────────────────────────────────────────────────────
+
+function startObstacleDrag(e) {
+    if (isPreviewMode || isShareView || pinchGesture) return;
+    const id = e.currentTarget.dataset.obstacleId;
+    const obstacle = findObstacle(id);
+    if (!obstacle) return;
+
+    selectObstacle(id);
+    obstacleDrag = {
+        id:        id,
+        pointerId: e.pointerId,
+        startX:    e.clientX,
+        startY:    e.clientY,
+        xMm:       obstacle.xMm,
+        yMm:       obstacle.yMm,
+        before:    copyObstacles(getWallObstacles()),
+    };
+    e.preventDefault();
+    e.stopPropagation();
+}
+
+function moveObstacleDrag(e) {
+    if (!obstacleDrag || e.pointerId !== obstacleDrag.pointerId) return;
+    const obstacle = findObstacle(obstacleDrag.id);
+    const el = getSelectedObstacleElement();
+    if (!obstacle || !el) return;
+
+    const wall = wallSizeMm();
+    const dxMm = pixelsToMm((e.clientX - obstacleDrag.startX) / viewZoom);
+    const dyMm = pixelsToMm((e.clientY - obstacleDrag.startY) / viewZoom);
+    const snap = mm => typeof snapToGrid === 'function' ? pixelsToMm(snapToGrid(mmToPixels(mm))) : mm;
+    obstacle.xMm = roundMm(Math.max(0, Math.min(snap(obstacleDrag.xMm + dxMm), wall.widthMm - obstacle.widthMm)));
+    obstacle.yMm = roundMm(Math.max(0, Math.min(snap(obstacleDrag.yMm + dyMm), wall.heightMm - obstacle.heightMm)));
+    el.style.left = mmToPixels(obstacle.xMm) + 'px';
+    el.style.top = mmToPixels(obstacle.yMm) + 'px';
+    updateObstacleEditor();
+    updateObstacleWarnings();
+    updateDistanceGuides();
+}
+
+// Called without an event when a pinch takes over the drag
+function endObstacleDrag(e) {
+    if (!obstacleDrag || (e && e.pointerId !== obstacleDrag.pointerId)) return;
+    const before = obstacleDrag.before;
+    obstacleDrag = null;
+    recordObstacleChange('Move obstacle', before, copyObstacles(getWallObstacles()));
+}
+
+// ─── OVERLAPS ────────────────────────────────────────────────────────────────
+
+// Obstacles overlapping a rectangle given in wall pixels
+function findOverlappingObstacles(left, top, width, height) {
+    return getWallObstacles().filter(obstacle => {
+        const x = mmToPixels(obstacle.xMm);
+        const y = mmToPixels(obstacle.yMm);
+        return left < x + mmToPixels(obstacle.widthMm) && x < left + width &&
+            top < y + mmToPixels(obstacle.heightMm) && y < top + height;
+    });
+}
+
+function isObstacleOverlapPrevented() {
+    const checkbox = document.getElementById('preventObstacleOverlap');
+    return !!(checkbox && checkbox.checked);
+}
+
+// Position (wall pixels) a dragged artwork may move to. When overlaps are
+// prevented, a move into an obstacle keeps whichever axis is still free, so
+// the artwork slides along the obstacle's edge instead of sticking.
+function constrainArtworkMove(artwork, x, y) {
+    if (!isObstacleOverlapPrevented()) return { x: x, y: y };
+    const blocked = (left, top) => {
+        const bounds = getArtworkBounds(artwork, left, top);
+        return findOverlappingObstacles(bounds.left, bounds.top, bounds.width, bounds.height).length > 0;
+    };
+    const currentX = parseFloat(artwork.style.left) || 0;
+    const currentY = parseFloat(artwork.style.top) || 0;
+
+    // Already inside one (e.g. the obstacle was placed later): let it move out freely
+    if (!blocked(x, y) || blocked(currentX, currentY)) return { x: x, y: y };
+    if (!blocked(x, currentY)) return { x: x, y: currentY };
+    if (!blocked(currentX, y)) return { x: currentX, y: y };
+    return { x: currentX, y: currentY };
+}
+
+// Outline artworks that overlap an obstacle, and the obstacles they overlap
+function updateObstacleWarnings() {
+    const hit = new Set();
+    document.querySelectorAll('.artwork').forEach(artwork => {
+        const bounds = getArtworkBounds(artwork);
+        const overlaps = findOverlappingObstacles(bounds.left, bounds.top, bounds.width, bounds.height);
+        overlaps.forEach(obstacle => hit.add(obstacle.id));
+        artwork.classList.toggle('obstacle-overlap', overlaps.length > 0);
+        artwork.title = overlaps.length ? `Overlaps ${overlaps.map(obstacleName).join(', ')}` : '';
+    });
+    document.querySelectorAll('.obstacle').forEach(el => {
+        el.classList.toggle('overlapped', hit.has(el.dataset.obstacleId));
+    });
+    if (typeof updateArtworkOverlaps === 'function') updateArtworkOverlaps();
+}
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+
+function initObstacles() {
+    ['obstacleType', 'obstacleEditType'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        Object.entries(OBSTACLE_TYPES).forEach(([type, defaults]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = defaults.label;
+            select.appendChild(option);
+        });
+    });
+
+    document.addEventListener('pointermove', moveObstacleDrag);
+    document.addEventListener('pointerup', endObstacleDrag);
+    document.addEventListener('pointercancel', endObstacleDrag);
+
+    // Clicking the bare wall deselects the obstacle, like it does for artworks
+    document.getElementById('wallContainer').addEventListener('click', e => {
+        if (!e.target.closest('.obstacle')) deselectObstacle();
+    });
+
+    renderObstacles();
+}
@@ -0,0 +1,360 @@
+/**
+ * photo-calibration.js - Straighten and scale a wall photo for Wallspace
+ *
+ * Dependencies: utils.js, state.js, wall.js, asset-store.js, layout-manager.js,
+ *               storage.js, ui.js
+ *
+ * A wall photo is rarely taken straight on, and stretching it over the wall
+ * with background-size: cover never matches the typed dimensions. Calibration
+ * lets the user drag four handles onto the wall's corners in the photo and
+ * enter one real measurement (the width or the height). From the corners we
+ * estimate the wall's true proportions, undoing the perspective (Zhang & He,
+ * "Whiteboard scanning and image enhancement", with the camera's principal
+ * point at the image centre), then warp the marked quadrilateral into a flat
+ * rectangle of those proportions. The result replaces the wall background and
+ * the wall width and height are filled in from the measurement.
+ *
+ * Corners are kept in photo pixels, in the order top left, top right, bottom
+ * right, bottom left. The overlay SVG uses the photo's pixel size as its
+ * viewBox so handles need no conversion other than their radius.
+ *
+ * Key functions:
+ * - openWallCalibration() - Show the calibration dialog for the wall background
+ * - estimateWallAspect(corners, width, height) - Real width / height of the marked wall
+ * - squareToQuad(corners) - Homography from the unit square to the marked corners
+ * - rectifyWallPhoto(image, corners, width, height) - Flattened photo as a JPEG data URL
+ * - applyWallCalibration() - Replace the background and set the wall size
+ */
+
+const CALIBRATION_MAX_SIZE = 2400;       // px, longest side of the straightened photo
+const CALIBRATION_STAGE_WIDTH = 560;     // px, photo size in the dialog
+const CALIBRATION_STAGE_HEIGHT = 380;
+const CALIBRATION_HANDLE_RADIUS = 7;     // px on screen
+const CALIBRATION_FOCAL_FACTOR = 0.6;    // Typical phone focal length, as a share of the photo's diagonal
+const CALIBRATION_ROWS_PER_STEP = 64;    // Rows warped between yields to the page
+
+let calibration = null;                  // { image, width, height, corners, scale, dragIndex } while open
+
+// ─── GEOMETRY ────────────────────────────────────────────────────────────────
+
+function cross3(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot3(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+// True when the corners form a convex quadrilateral in the expected order
+// (either winding), i.e. no edges cross and no corner is folded inwards
+function isCalibrationQuadValid(corners) {
+    let sign = 0;
+    for (let i = 0; i < 4; i++) {
+        const a = corners[i];
+        const b = corners[(i + 1) % 4];
+        const c = corners[(i + 2) % 4];
+        const turn = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+        if (Math.abs(turn) < 1e-6) return false;
+        if (sign && Math.sign(turn) !== sign) return false;
+        sign = Math.sign(turn);
+    }
+    return true;
+}
+
+// Projective mapping from the unit square to the corners (Heckbert):
+// (0,0) → top left, (1,0) → top right, (1,1) → bottom right, (0,1) → bottom left
+function squareToQuad(corners) {
+    const [p0, p1, p2, p3] = corners;
+    const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x, dx3 = p0.x - p1.x + p2.x - p3.x;
+    const dy1 = p1.y - p2.y, dy2 = p3.y - p2.y, dy3 = p0.y - p1.y + p2.y - p3.y;
+    const det = dx1 * dy2 - dx2 * dy1;
+    const g = det ? (dx3 * dy2 - dx2 * dy3) / det : 0;
+    const h = det ? (dx1 * dy3 - dx3 * dy1) / det : 0;
+    const m = {
+        a: p1.x - p0.x + g * p1.x, b: p3.x - p0.x + h * p3.x, c: p0.x,
+        d: p1.y - p0.y + g * p1.y, e: p3.y - p0.y + h * p3.y, f: p0.y,
+        g: g, h: h,
+    };
+    return (u, v) => {
+        const w = m.g * u + m.h * v + 1;
+        return { x: (m.a * u + m.b * v + m.c) / w, y: (m.d * u + m.e * v + m.f) / w };
+    };
+}
+
+// Real width / height of the rectangle the corners show. The camera's focal
+// length comes from the two vanishing points; a level camera keeps the
+// verticals parallel, leaving only one, so a typical phone focal length
+// (CALIBRATION_FOCAL_FACTOR of the photo's diagonal) is assumed instead. Only
+// when both edge pairs are parallel is there no perspective to undo and the
+// edge lengths give the ratio.
+function estimateWallAspect(corners, imageWidth, imageHeight) {
+    const [tl, tr, br, bl] = corners.map(p => [p.x, p.y, 1]);
+    const k2 = dot3(cross3(tl, br), bl) / dot3(cross3(tr, br), bl);
+    const k3 = dot3(cross3(tl, br), tr) / dot3(cross3(bl, br), tr);
+    const n2 = tr.map((value, i) => k2 * value - tl[i]);   // along the top edge
+    const n3 = bl.map((value, i) => k3 * value - tl[i]);   // along the left edge
+
+    const affineRatio = Math.hypot(n2[0], n2[1]) / Math.hypot(n3[0], n3[1]);
+    const parallel2 = Math.abs(n2[2]) < 1e-3;
+    const parallel3 = Math.abs(n3[2]) < 1e-3;
+    if (parallel2 && parallel3) return affineRatio;
+
+    const u0 = imageWidth / 2;
+    const v0 = imageHeight / 2;
+    let focal2 = NaN;
+    if (!parallel2 && !parallel3) {
+        focal2 = -((n2[0] * n3[0] - (n2[0] * n3[2] + n2[2] * n3[0]) * u0 + n2[2] * n3[2] * u0 * u0) +
+            (n2[1] * n3[1] - (n2[1] * n3[2] + n2[2] * n3[1]) * v0 + n2[2] * n3[2] * v0 * v0)) / (n2[2] * n3[2]);
+    }
+    // One vanishing point, or none that a real camera explains
+    if (!isFinite(focal2) || focal2 <= 0) {
+        focal2 = CALIBRATION_FOCAL_FACTOR ** 2 * (imageWidth * imageWidth + imageHeight * imageHeight);
+    }
+
+    const focal = Math.sqrt(focal2);
+    const norm2 = n => ((n[0] - u0 * n[2]) / focal) ** 2 + ((n[1] - v0 * n[2]) / focal) ** 2 + n[2] ** 2;
+    const ratio = Math.sqrt(norm2(n2) / norm2(n3));
+    return isFinite(ratio) && ratio > 0 ? ratio : affineRatio;
+}
+
+// Wall size in mm from the corners and one known length
+function calibratedWallSizeMm(corners, imageWidth, imageHeight, edge, lengthMm) {
+    const aspect = estimateWallAspect(corners, imageWidth, imageHeight);
+    return edge === 'height'
+        ? { widthMm: lengthMm * aspect, heightMm: lengthMm }
+        : { widthMm: lengthMm, heightMm: lengthMm / aspect };
+}
+
+// ─── RECTIFY ─────────────────────────────────────────────────────────────────
+
+// Pixel size of the straightened photo: about the resolution the photo has
+// along the wall, in the wall's proportions, capped at CALIBRATION_MAX_SIZE
+function rectifiedPhotoSize(corners, aspect) {
+    const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const [tl, tr, br, bl] = corners;
+    const across = Math.max(dist(tl, tr), dist(bl, br));
+    const down = Math.max(dist(tl, bl), dist(tr, br));
+    let width = Math.max(across, down * aspect);
+    let height = width / aspect;
+    const scale = Math.min(1, CALIBRATION_MAX_SIZE / Math.max(width, height));
+    width = Math.max(1, Math.round(width * scale));
+    height = Math.max(1, Math.round(height * scale));
+    return { width: width, height: height };
+}
+
+// Warp the marked part of the photo into a width × height rectangle, sampling
+// bilinearly. The photo is first scaled down to CALIBRATION_MAX_SIZE, which
+// the result never exceeds, and the page gets a turn every few rows so a large
+// photo does not freeze it. Rejects if the photo cannot be read (e.g. a
+// cross-origin URL).
+async function rectifyWallPhoto(image, corners, width, height) {
+    const naturalWidth = image.naturalWidth || image.width;
+    const naturalHeight = image.naturalHeight || image.height;
+    const shrink = Math.min(1, CALIBRATION_MAX_SIZE / Math.max(naturalWidth, naturalHeight));
+    const sourceWidth = Math.max(1, Math.round(naturalWidth * shrink));
+    const sourceHeight = Math.max(1, Math.round(naturalHeight * shrink));
+    const source = document.createElement('canvas');
+    source.width = sourceWidth;
+    source.height = sourceHeight;
+    const sourceCtx = source.getContext('2d');
+    sourceCtx.drawImage(image, 0, 0, sourceWidth, sourceHeight);
+    const input = sourceCtx.getImageData(0, 0, sourceWidth, sourceHeight).data;
+    corners = corners.map(corner => ({ x: corner.x * sourceWidth / naturalWidth, y: corner.y * sourceHeight / naturalHeight }));
+
+    const target = document.createElement('canvas');
+    target.width = width;
+    target.height = height;
+    const targetCtx = target.getContext('2d');
+    const output = targetCtx.createImageData(width, height);
+    const map = squareToQuad(corners);
+
+    for (let py = 0; py < height; py++) {
+        if (py > 0 && py % CALIBRATION_ROWS_PER_STEP === 0) await new Promise(resolve => setTimeout(resolve));
+        for (let px = 0; px < width; px++) {
+            const p = map((px + 0.5) / width, (py + 0.5) / height);
+            const x = Math.max(0, Math.min(p.x - 0.5, sourceWidth - 1));
+            const y = Math.max(0, Math.min(p.y - 0.5, sourceHeight - 1));
+            const x0 = Math.floor(x), y0 = Math.floor(y);
+            const x1 = Math.min(x0 + 1, sourceWidth - 1), y1 = Math.min(y0 + 1, sourceHeight - 1);
+            const fx = x - x0, fy = y - y0;
+            const out = (py * width + px) * 4;
+            for (let c = 0; c < 4; c++) {
+                const top = input[(y0 * sourceWidth + x0) * 4 + c] * (1 - fx) + input[(y0 * sourceWidth + x1) * 4 + c] * fx;
+                const bottom = input[(y1 * sourceWidth + x0) * 4 + c] * (1 - fx) + input[(y1 * sourceWidth + x1) * 4 + c] * fx;
+                output.data[out + c] = top * (1 - fy) + bottom * fy;
+            }
+        }
+    }
+
+    targetCtx.putImageData(output, 0, 0);
+    return target.toDataURL('image/jpeg', 0.9);
+}
+
+// ─── DIALOG ──────────────────────────────────────────────────────────────────
+
+// Show the calibration dialog for the current wall background
+async function openWallCalibration() {
+    if (isShareView) return;
+    if (!wallBackgroundImage && !wallBackgroundAssetId) {
+        alert('Upload a wall photo first, then mark its corners.');
+        return;
+    }
+    const image = await loadThumbnailImage(wallBackgroundAssetId, wallBackgroundImage);
+    if (!image) {
+        alert('❌ The wall photo could not be loaded.');
+        return;
+    }
+
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const insetX = width * 0.1;
+    const insetY = height * 0.1;
+    calibration = {
+        image:     image,
+        width:     width,
+        height:    height,
+        scale:     Math.min(1, CALIBRATION_STAGE_WIDTH / width, CALIBRATION_STAGE_HEIGHT / height),
+        dragIndex: -1,
+        corners: [
+            { x: insetX,         y: insetY },
+            { x: width - insetX, y: insetY },
+            { x: width - insetX, y: height - insetY },
+            { x: insetX,         y: height - insetY },
+        ],
+    };
+
+    const photo = document.getElementById('calibrationImage');
+    photo.src = image.src;
+    photo.style.width = (width * calibration.scale) + 'px';
+    photo.style.height = (height * calibration.scale) + 'px';
+    const overlay = document.getElementById('calibrationOverlay');
+    overlay.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    overlay.style.width = photo.style.width;
+    overlay.style.height = photo.style.height;
+
+    // Start from the typed wall width, in the wall's units
+    document.getElementById('calibrationEdge').value = 'width';
+    document.getElementById('calibrationLength').value = document.getElementById('wallWidth').value;
+    document.getElementById('calibrationUnit').textContent = currentUnits;
+
+    renderCalibrationOverlay();
+    document.getElementById('calibrationDialog').classList.add('active');
+}
+
+function closeWallCalibration() {
+    calibration = null;
+    document.getElementById('calibrationDialog').classList.remove('active');
+}
+
+function renderCalibrationOverlay() {
+    if (!calibration) return;
+    const overlay = document.getElementById('calibrationOverlay');
+    const radius = CALIBRATION_HANDLE_RADIUS / calibration.scale;
+    const points = calibration.corners.map(p => `${p.x},${p.y}`).join(' ');
+    overlay.innerHTML = `<polygon class="calibration-quad" points="${points}" stroke-width="${2 / calibration.scale}"></polygon>` +
+        calibration.corners.map((p, i) =>
+            `<circle class="calibration-handle" data-corner="${i}" cx="${p.x}" cy="${p.y}" r="${radius}" stroke-width="${2 / calibration.scale}"></circle>`).join('');
+    overlay.querySelectorAll('.calibration-handle').forEach(handle => {
+        handle.addEventListener('pointerdown', e => {
+            calibration.dragIndex = parseInt(handle.dataset.corner, 10);
+            e.preventDefault();
+        });
+    });
+    updateCalibrationResult();
+}
+
+// The wall size the current corners and measurement give, or an error message
+function readCalibration() {
+    if (!isCalibrationQuadValid(calibration.corners)) {
+        return { error: 'Place the four dots on the corners of the wall without crossing its edges.' };
+    }
+    const length = parseFloat(document.getElementById('calibrationLength').value);
+    if (!isFinite(length) || length <= 0) {
+        return { error: 'Enter the length you measured on the wall.' };
+    }
+    const edge = document.getElementById('calibrationEdge').value;
+    return calibratedWallSizeMm(calibration.corners, calibration.width, calibration.height,
+        edge, unitsToMm(length, currentUnits));
+}
+
+function updateCalibrationResult() {
+    if (!calibration) return;
+    const result = readCalibration();
+    const format = mm => Number(mmToUnits(mm, currentUnits).toFixed(1));
+    document.getElementById('calibrationResult').textContent = result.error ||
+        `The wall will be ${format(result.widthMm)} × ${format(result.heightMm)} ${currentUnits}.`;
+    document.getElementById('calibrationApply').disabled = !!result.error;
+}
+
+function moveCalibrationHandle(e) {
+    if (!calibration || calibration.dragIndex < 0) return;
+    const rect = document.getElementById('calibrationOverlay').getBoundingClientRect();
+    const corner = calibration.corners[calibration.dragIndex];
+    corner.x = Math.max(0, Math.min((e.clientX - rect.left) / calibration.scale, calibration.width));
+    corner.y = Math.max(0, Math.min((e.clientY - rect.top) / calibration.scale, calibration.height));
+    renderCalibrationOverlay();
+}
+
+function endCalibrationDrag() {
+    if (calibration) calibration.dragIndex = -1;
+}
+
+// ─── APPLY ───────────────────────────────────────────────────────────────────
+
+// Straighten the photo, make it the wall background and set the wall size
+async function applyWallCalibration() {
+    if (!calibration) return;
+    const size = readCalibration();
+    if (size.error) return;
+
+    let dataUrl;
+    const applyButton = document.getElementById('calibrationApply');
+    applyButton.disabled = true;
+    try {
+        const pixels = rectifiedPhotoSize(calibration.corners, size.widthMm / size.heightMm);
+        dataUrl = await rectifyWallPhoto(calibration.image, calibration.corners, pixels.width, pixels.height);
+    } catch (error) {
+        alert('❌ This photo cannot be straightened: ' + error.message);
+        return;
+    } finally {
+        applyButton.disabled = false;
+    }
+    // Cancelled while the photo was being straightened
+    if (!calibration) return;
+
+    try {
+        const hash = await storeAsset(dataUrl);
+        wallBackgroundImage = await getAssetUrl(hash);
+        wallBackgroundAssetId = hash;
+    } catch (e) {
+        // No asset store — keep the straightened photo for this session only
+        console.warn('Storing calibrated wall image failed:', e);
+        wallBackgroundAssetId = null;
+        wallBackgroundImage = dataUrl;
+    }
+
+    document.getElementById('wallWidth').value = mmToUnits(size.widthMm, currentUnits).toFixed(1);
+    document.getElementById('wallHeight').value = mmToUnits(size.heightMm, currentUnits).toFixed(1);
+    closeWallCalibration();
+    updateWall();
+    fitWallToScreen();
+    // The original photo is no longer referenced
+    if (typeof pruneUnusedAssets === 'function') pruneUnusedAssets();
+}
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+
+function initPhotoCalibration() {
+    document.addEventListener('pointermove', moveCalibrationHandle);
+    document.addEventListener('pointerup', endCalibrationDrag);
+    document.addEventListener('pointercancel', endCalibrationDrag);
+    // Switching the measured edge starts from the typed wall size for that edge
+    document.getElementById('calibrationEdge').addEventListener('change', e => {
+        const field = e.target.value === 'height' ? 'wallHeight' : 'wallWidth';
+        document.getElementById('calibrationLength').value = document.getElementById(field).value;
+        updateCalibrationResult();
+    });
+    document.getElementById('calibrationLength').addEventListener('input', updateCalibrationResult);
+    document.getElementById('calibrationApply').addEventListener('click', applyWallCalibration);
+    document.getElementById('calibrationCancel').addEventListener('click', closeWallCalibration);
+}
@@ -0,0 +1,157 @@
+/**
+ * position.js - Exact position entry and hang-height anchors for Wallspace
+ *
+ * Dependencies: utils.js, state.js, framing.js, artwork.js, selection.js,
+ *               history.js, distance-guides.js, obstacles.js, layers.js,
+ *               hanging.js, wall-shape.js
+ *
+ * The artwork panel shows where the selected piece hangs, in the wall's
+ * units, and moves it when a value is typed. X is measured from the left or
+ * the right wall edge to the piece's middle; Y is measured up from the floor
+ * (usually the wall's bottom edge, see hanging.js) to the chosen anchor on
+ * the piece: its center, the middle of its top edge or its hanger point,
+ * which sits hangerDropMm below the top edge. "Center at 57 inches" is
+ * anchor Center, Y 57. On a rotated piece the anchor turns with it.
+ *
+ * With several pieces selected the fields show mixed values where they
+ * differ, and a typed value moves every piece along that axis, so typing Y
+ * lines all their anchors up at one height. Locked pieces are left where
+ * they are. The fields follow drags, nudges and resizes as they happen.
+ *
+ * Key functions:
+ * - getArtworkAnchor(artwork) - Anchor point in wall pixels
+ * - updatePositionFields() - Show the selection's position in the panel
+ * - setArtworkPositionFromFields() - Move the selection to the typed position
+ * - updateHangerDrop() - Apply the typed hanger drop to the selection
+ */
+
+// ─── ANCHORS ─────────────────────────────────────────────────────────────────
+
+function readPositionAnchors() {
+    return {
+        fromX:  document.getElementById('positionFromX').value === 'right' ? 'right' : 'left',
+        anchor: document.getElementById('positionAnchor').value,
+    };
+}
+
+// Anchor point of an artwork in wall pixels: the middle, the middle of the
+// top edge or the hanger point, turned with the piece about its middle
+function getArtworkAnchor(artwork, anchor = readPositionAnchors().anchor) {
+    const spec = getArtworkSpec(artwork);
+    const width = parseFloat(artwork.style.width) || artwork.offsetWidth;
+    const height = parseFloat(artwork.style.height) || artwork.offsetHeight;
+    const centerX = (parseFloat(artwork.style.left) || 0) + width / 2;
+    const centerY = (parseFloat(artwork.style.top) || 0) + height / 2;
+
+    // Distance below the middle, before rotating
+    let below = 0;
+    if (anchor === 'top') below = -height / 2;
+    if (anchor === 'hanger') below = -height / 2 + mmToPixels(spec.hangerDropMm || 0);
+
+    const angle = (spec.rotation || 0) * Math.PI / 180;
+    return { x: centerX - below * Math.sin(angle), y: centerY + below * Math.cos(angle) };
+}
+
+// Anchor position in wall units as shown in the fields
+function anchorToFields(point, anchors) {
+    const wallContainer = document.getElementById('wallContainer');
+    const x = anchors.fromX === 'right' ? wallContainer.offsetWidth - point.x : point.x;
+    return {
+        x: pixelsToUnits(x, currentUnits),
+        y: pixelsToUnits(wallContainer.offsetHeight - point.y + mmToPixels(wallFloorMm()), currentUnits),
+    };
+}
+
+// ─── FIELDS ──────────────────────────────────────────────────────────────────
+
+function updatePositionFields() {
+    const group = document.getElementById('positionGroup');
+    if (!group || !selectedArtwork) return;
+    const anchors = readPositionAnchors();
+    const positions = getSelectedArtworks().map(artwork => anchorToFields(getArtworkAnchor(artwork, anchors.anchor), anchors));
+    // The value all pieces share, or null when they differ
+    const shared = values => values.every(value => value === values[0]) ? values[0] : null;
+
+    setMixedInput('sidebarPositionX', shared(positions.map(p => p.x.toFixed(1))));
+    setMixedInput('sidebarPositionY', shared(positions.map(p => p.y.toFixed(1))));
+    document.getElementById('positionUnit').textContent = currentUnits;
+
+    const units = document.getElementById('sidebarArtworkUnits').value;
+    const drops = getSelectedArtworks().map(artwork => mmToUnits(getArtworkSpec(artwork).hangerDropMm || 0, units).toFixed(1));
+    setMixedInput('sidebarHangerDrop', shared(drops));
+    document.getElementById('sidebarHangerUnit').textContent = units;
+    document.getElementById('hangerDropRow').style.display = anchors.anchor === 'hanger' ? '' : 'none';
+}
+
+// ─── EDITING ─────────────────────────────────────────────────────────────────
+
+// Move the selected pieces so their anchors sit at the typed X and/or Y.
+// Each piece is held back at the wall's outline and at obstacles the same
+// way a drag is, so it can stop short of the typed value.
+function setArtworkPositionFromFields() {
+    const artworks = getSelectedArtworks().filter(artwork => !isArtworkLocked(artwork));
+    if (artworks.length === 0) return;
+    const xInput = document.getElementById('sidebarPositionX');
+    const yInput = document.getElementById('sidebarPositionY');
+    const x = parseFloat(xInput.value);
+    const y = parseFloat(yInput.value);
+    const xChanged = xInput.value !== xInput.dataset.shown && !isNaN(x);
+    const yChanged = yInput.value !== yInput.dataset.shown && !isNaN(y);
+    if (!xChanged && !yChanged) {
+        updatePositionFields();
+        return;
+    }
+
+    const wallContainer = document.getElementById('wallContainer');
+    const anchors = readPositionAnchors();
+    const targetX = anchors.fromX === 'right'
+        ? wallContainer.offsetWidth - unitsToPixels(x, currentUnits)
+        : unitsToPixels(x, currentUnits);
+    const targetY = heightAboveFloorToY(unitsToMm(y, currentUnits));
+
+    withArtworkHistory(artworks.length > 1 ? 'Position artworks' : 'Position artwork', artworks, () => {
+        artworks.forEach(artwork => {
+            const point = getArtworkAnchor(artwork, anchors.anchor);
+            const bounds = getArtworkBounds(artwork);
+            const left = (parseFloat(artwork.style.left) || 0) + (xChanged ? targetX - point.x : 0);
+            const top = (parseFloat(artwork.style.top) || 0) + (yChanged ? targetY - point.y : 0);
+            let position = {
+                x: Math.max(-bounds.offsetX, Math.min(left, wallContainer.offsetWidth - bounds.width - bounds.offsetX)),
+                y: Math.max(-bounds.offsetY, Math.min(top, wallContainer.offsetHeight - bounds.height - bounds.offsetY)),
+            };
+            // A second pass settles a position the obstacle check cut back
+            for (let pass = 0; pass < 2; pass++) {
+                const onWall = constrainToWallOutline(artwork, position.x, position.y);
+                position = constrainArtworkMove(artwork, onWall.x, onWall.y);
+            }
+            artwork.style.left = position.x + 'px';
+            artwork.style.top = position.y + 'px';
+        });
+    });
+
+    updatePositionFields();
+    updateDistanceGuides();
+    updateObstacleWarnings();
+}
+
+function updateHangerDrop() {
+    const input = document.getElementById('sidebarHangerDrop');
+    const value = parseFloat(input.value);
+    const artworks = getSelectedArtworks();
+    if (artworks.length === 0 || input.value === input.dataset.shown || !(value >= 0)) {
+        updatePositionFields();
+        return;
+    }
+    const units = document.getElementById('sidebarArtworkUnits').value;
+
+    withArtworkHistory('Change hanger drop', artworks, () => {
+        artworks.forEach(artwork => {
+            const spec = getArtworkSpec(artwork);
+            spec.hangerDropMm = unitsToMm(value, units);
+            delete spec.xMm;
+            delete spec.yMm;
+            applyArtworkSpec(artwork, spec);
+        });
+    });
+    updatePositionFields();
+}
@@ -0,0 +1,519 @@
+/**
+ * project-bundle.js - Project archive export/import for Wallspace
+ *
+ * Dependencies: utils.js, state.js, asset-store.js, zip.js, layout-schema.js,
+ *               validation.js, layout-manager.js, storage.js, catalog.js, session.js
+ *
+ * A project bundle is a .zip holding everything needed to move Wallspace to
+ * another browser or device:
+ *   manifest.json   format marker, versions, file list and image index
+ *   layouts.json    saved layouts (layout-schema.js format, thumbnails omitted)
+ *   catalog.json    catalog items
+ *   catalog.csv     catalog in the CSV import format, plus an image column
+ *   session.json    the working project as autosaved by session.js, in the
+ *                   layout-schema.js format
+ *   images/<hash>.<ext>  every referenced image file, named by asset hash
+ *
+ * Layouts, catalog items and the working project keep referring to images by
+ * hash, the same way they do in localStorage. On import the images are stored
+ * again and references remapped in case the hash differs on this device.
+ *
+ * Importing compares the bundle with what is already here. A layout with an
+ * id that exists, a catalog piece with the same name but different
+ * dimensions, or a different working project is a conflict, and the user
+ * chooses per item to merge (keep both), skip or replace. Identical items are
+ * skipped without asking. Replacing the working project replaces everything
+ * on screen, the same way loading a layout does.
+ *
+ * Key functions:
+ * - exportProject() - Download the whole project as a .zip bundle
+ * - importProjectFile(event) - Import a .zip bundle (or a legacy layouts .json)
+ * - readProjectBundle(file) - Parse and validate a bundle without changing anything
+ * - findImportConflicts(bundle) - List the items that need a decision
+ * - applyProjectImport(bundle, decisions) - Merge a parsed bundle into the project
+ */
+
+const PROJECT_BUNDLE_FORMAT = 'wallspace-project';
+const PROJECT_BUNDLE_VERSION = 1;
+
+// Image types a bundle may carry. SVG is left out: opened from an object URL
+// it could run script.
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+};
+
+// ─── EXPORT ──────────────────────────────────────────────────────────────────
+
+// Quote a CSV field when it contains a separator, quote or line break
+function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Catalog as CSV: the columns handleCSVImport() reads, plus the bundled image file
+function buildCatalogCSV(items, imagePaths) {
+    const rows = items.map(item => [
+        item.name,
+        item.widthMm,
+        item.heightMm,
+        item.hasFrame ? 'yes' : 'no',
+        item.isArt === false ? 'no' : 'yes',
+        item.assetId ? imagePaths[item.assetId] || '' : '',
+    ].map(csvField).join(','));
+    return ['name,width_mm,height_mm,has_frame,is_art,image', ...rows].join('\r\n') + '\r\n';
+}
+
+async function exportProject() {
+    try {
+        const layouts = savedLayouts.map(layout => ({ ...layout, thumbnailAssetId: null }));
+        const catalog = catalogItems.map(item => ({ ...item, src: item.assetId ? null : item.src }));
+        const session = { layoutId: currentLayoutId, layout: serializeLayout({ name: 'Working project' }) };
+
+        // Every image a layout, catalog piece or the working project refers to
+        const hashes = new Set();
+        [...layouts, session.layout].forEach(layout => layout.walls.forEach(layoutWall => {
+            layoutWall.artworks.forEach(a => { if (a.assetId) hashes.add(a.assetId); });
+            if (layoutWall.backgroundAssetId) hashes.add(layoutWall.backgroundAssetId);
+        }));
+        catalog.forEach(item => { if (item.assetId) hashes.add(item.assetId); });
+
+        const images = {};
+        const imagePaths = {};
+        const imageFiles = [];
+        let missing = 0;
+        for (const hash of hashes) {
+            const blob = await loadAsset(hash);
+            if (!blob || !IMAGE_EXTENSIONS[blob.type]) {
+                missing++;
+                continue;
+            }
+            const path = `images/${hash}.${IMAGE_EXTENSIONS[blob.type]}`;
+            images[hash] = { path: path, type: blob.type, size: blob.size };
+            imagePaths[hash] = path;
+            imageFiles.push({ name: path, data: blob });
+        }
+
+        const manifest = {
+            format:              PROJECT_BUNDLE_FORMAT,
+            version:             PROJECT_BUNDLE_VERSION,
+            layoutSchemaVersion: LAYOUT_SCHEMA_VERSION,
+            exportedAt:          new Date().toISOString(),
+            files: {
+                layouts:    'layouts.json',
+                catalog:    'catalog.json',
+                catalogCsv: 'catalog.csv',
+                session:    'session.json',
+            },
+            counts: {
+                layouts:      layouts.length,
+                catalogItems: catalog.length,
+                images:       imageFiles.length,
+            },
+            images: images,
+        };
+
+        const zip = await createZip([
+            { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+            { name: 'layouts.json',  data: JSON.stringify(layouts, null, 2) },
+            { name: 'catalog.json',  data: JSON.stringify(catalog, null, 2) },
+            { name: 'catalog.csv',   data: buildCatalogCSV(catalog, imagePaths) },
+            { name: 'session.json',  data: JSON.stringify(session, null, 2) },
+            ...imageFiles,
+        ]);
+
+        const url = URL.createObjectURL(zip);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `wallspace-project-${new Date().toISOString().split('T')[0]}.zip`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        alert(`✅ Project exported: ${layouts.length} layouts, ${catalog.length} catalog pieces, ${imageFiles.length} images.` +
+            (missing ? `\n${missing} image${missing !== 1 ? 's were' : ' was'} missing or not a supported type and left out.` : ''));
+    } catch (error) {
+        alert('❌ Error exporting project: ' + error.message);
+    }
+}
+
+// ─── READ ────────────────────────────────────────────────────────────────────
+
+// Parse a bundle into { manifest, layouts, catalog, session, images, rejected }.
+// Layouts, catalog items and the working project are validated (validation.js);
+// entries that fail are listed in `rejected` and left out. images maps each
+// bundled hash to a Blob. Throws with a readable message if the file as a
+// whole cannot be used.
+async function readProjectBundle(file) {
+    const entries = await readZip(file);
+    const readJson = (name, required) => {
+        const bytes = entries.get(name);
+        if (!bytes) {
+            if (required) throw new Error(`${name} is missing`);
+            return null;
+        }
+        try {
+            return JSON.parse(zipEntryText(bytes));
+        } catch (e) {
+            throw new Error(`${name} is not valid JSON`);
+        }
+    };
+
+    const manifest = readJson('manifest.json', true);
+    if (!manifest || manifest.format !== PROJECT_BUNDLE_FORMAT) {
+        throw new Error('This is not a Wallspace project file');
+    }
+    if (manifest.version > PROJECT_BUNDLE_VERSION) {
+        throw new Error('This project was exported by a newer version of Wallspace');
+    }
+
+    const files = isPlainObject(manifest.files) ? manifest.files : {};
+    const fileName = (value, fallback) => typeof value === 'string' ? value : fallback;
+    const layouts = validateLayoutList(readJson(fileName(files.layouts, 'layouts.json'), false) || []);
+    const catalog = validateCatalogList(readJson(fileName(files.catalog, 'catalog.json'), false) || []);
+    const rejected = [...layouts.rejected, ...catalog.rejected];
+
+    let session = null;
+    const rawSession = readJson(fileName(files.session, 'session.json'), false);
+    if (rawSession) {
+        const result = validateLayout(isPlainObject(rawSession) ? rawSession.layout : null);
+        if (result.layout) {
+            const layoutId = rawSession.layoutId;
+            session = { layoutId: typeof layoutId === 'number' || typeof layoutId === 'string' ? layoutId : null, layout: result.layout };
+        } else {
+            rejected.push({ entry: 'Working project', errors: result.errors });
+        }
+    }
+
+    const images = new Map();
+    Object.entries(isPlainObject(manifest.images) ? manifest.images : {}).forEach(([hash, info]) => {
+        if (!ASSET_HASH_PATTERN.test(hash) || !isPlainObject(info) || !IMAGE_EXTENSIONS[info.type]) {
+            rejected.push({ entry: `Image ${cleanText(String(hash), 20)}`, errors: ['is not a supported image'] });
+            return;
+        }
+        const bytes = entries.get(info.path);
+        if (bytes) images.set(hash, new Blob([bytes], { type: info.type }));
+    });
+
+    return {
+        manifest: manifest,
+        layouts:  layouts.valid,
+        catalog:  catalog.valid,
+        session:  session,
+        images:   images,
+        rejected: rejected,
+    };
+}
+
+// ─── CONFLICTS ───────────────────────────────────────────────────────────────
+
+function findCatalogMatch(item) {
+    const name = normalizeName(item.name || '');
+    return catalogItems.find(existing => normalizeName(existing.name || '') === name) || null;
+}
+
+function sameCatalogDimensions(a, b) {
+    return a.widthMm === b.widthMm && a.heightMm === b.heightMm && !!a.hasFrame === !!b.hasFrame;
+}
+
+function sameLayout(a, b) {
+    return a.name === b.name && (a.notes || '') === (b.notes || '') &&
+        layoutContent(a) === layoutContent(b);
+}
+
+// A layout's walls without image references, which may legitimately differ by device
+function layoutContentKey(layout) {
+    return JSON.stringify(layout.walls.map(wall => {
+        const { backgroundAssetId, backgroundImage, artworks, ...rest } = wall;
+        return {
+            ...rest,
+            background: !!(backgroundAssetId || backgroundImage),
+            artworks:   artworks.map(({ assetId, src, ...artwork }) => artwork),
+        };
+    }));
+}
+
+// A single bare wall: nothing placed, drawn or shaped on it yet
+function isEmptyProject(layout) {
+    return layout.walls.length === 1 && !layoutArtworks(layout).length &&
+        !layout.walls[0].obstacles.length && !layout.walls[0].shape;
+}
+
+function describeProjectSize(layout) {
+    const walls = layout.walls.length;
+    const artworks = layoutArtworks(layout).length;
+    return `${walls} wall${walls !== 1 ? 's' : ''}, ${artworks} artwork${artworks !== 1 ? 's' : ''}`;
+}
+
+function formatCatalogSize(item) {
+    return item.widthMm && item.heightMm ? `${item.widthMm}×${item.heightMm}mm` : 'no size';
+}
+
+// Items in the bundle that clash with this project. Each conflict is
+// { key, kind, label, detail, options, choice } with options drawn from
+// 'merge' (keep both), 'skip' and 'replace'; choice is the default.
+function findImportConflicts(bundle) {
+    const conflicts = [];
+
+    bundle.layouts.forEach((layout, i) => {
+        const existing = findLayout(layout.id);
+        if (!existing || sameLayout(existing, layout)) return;
+        conflicts.push({
+            key:     'layout:' + i,
+            kind:    'Layout',
+            label:   layout.name,
+            detail:  `Same id as "${existing.name}" (${layoutArtworks(existing).length} artworks here, ${layoutArtworks(layout).length} in the file)`,
+            options: ['merge', 'skip', 'replace'],
+            choice:  'merge',
+        });
+    });
+
+    bundle.catalog.forEach((item, i) => {
+        const existing = findCatalogMatch(item);
+        if (!existing || sameCatalogDimensions(existing, item)) return;
+        conflicts.push({
+            key:     'catalog:' + i,
+            kind:    'Catalog piece',
+            label:   item.name,
+            detail:  `${formatCatalogSize(existing)} here, ${formatCatalogSize(item)} in the file`,
+            options: ['merge', 'skip', 'replace'],
+            choice:  'skip',
+        });
+    });
+
+    // Run the open project through the same validation so both sides are shaped alike
+    const current = validateLayout(serializeLayout()).layout || serializeLayout();
+    if (bundle.session && layoutContentKey(bundle.session.layout) !== layoutContentKey(current)) {
+        conflicts.push({
+            key:     'session',
+            kind:    'Working project',
+            label:   describeProjectSize(bundle.session.layout),
+            detail:  `The project open here has ${describeProjectSize(current)}`,
+            options: ['skip', 'replace'],
+            // Nothing is lost when the project here is still empty
+            choice:  isEmptyProject(current) ? 'replace' : 'skip',
+        });
+    }
+
+    return conflicts;
+}
+
+// ─── DIALOG ──────────────────────────────────────────────────────────────────
+
+const IMPORT_CHOICE_LABELS = {
+    merge:   'Keep both',
+    skip:    'Skip',
+    replace: 'Replace',
+};
+
+// Show what the bundle contains and let the user decide each conflict.
+// Resolves to a { [conflict.key]: choice } map, or null if cancelled.
+function showImportDialog(bundle, conflicts) {
+    return new Promise(resolve => {
+        const dialog = document.getElementById('importDialog');
+        const counts = `${bundle.layouts.length} layout${bundle.layouts.length !== 1 ? 's' : ''}, ` +
+            `${bundle.catalog.length} catalog piece${bundle.catalog.length !== 1 ? 's' : ''}, ` +
+            `${bundle.images.size} image${bundle.images.size !== 1 ? 's' : ''}` +
+            (bundle.session ? ' and a working project' : '');
+
+        const optionsFor = (choices, selected) => choices.map(choice =>
+            `<option value="${choice}"${choice === selected ? ' selected' : ''}>${IMPORT_CHOICE_LABELS[choice]}</option>`).join('');
+
+        dialog.querySelector('.import-dialog-summary').textContent = conflicts.length
+            ? `This project contains ${counts}. ${conflicts.length} item${conflicts.length !== 1 ? 's' : ''} clash with what you already have:`
+            : `This project contains ${counts}. Nothing clashes with what you already have.`;
+
+        const errors = dialog.querySelector('.import-dialog-errors');
+        errors.style.display = bundle.rejected.length ? 'block' : 'none';
+        errors.textContent = bundle.rejected.length
+            ? `${bundle.rejected.length} entr${bundle.rejected.length !== 1 ? 'ies are' : 'y is'} invalid and will be left out:\n` +
+                formatValidationReport(bundle.rejected)
+            : '';
+
+        dialog.querySelector('.import-conflict-all').style.display = conflicts.length > 1 ? 'flex' : 'none';
+        dialog.querySelector('.import-conflict-list').innerHTML = conflicts.map(conflict => `
+            <div class="import-conflict">
+                <div class="import-conflict-info">
+                    <span class="import-conflict-name">${escapeHtml(conflict.kind)}: ${escapeHtml(conflict.label)}</span>
+                    <span class="import-conflict-detail">${escapeHtml(conflict.detail)}</span>
+                </div>
+                <select data-conflict-key="${escapeHtml(conflict.key)}">${optionsFor(conflict.options, conflict.choice)}</select>
+            </div>`).join('');
+
+        // "Apply to all" only sets items that offer the chosen option
+        const allSelect = dialog.querySelector('#importChoiceAll');
+        allSelect.value = '';
+        allSelect.onchange = () => {
+            dialog.querySelectorAll('.import-conflict select').forEach(select => {
+                if (select.querySelector(`option[value="${allSelect.value}"]`)) select.value = allSelect.value;
+            });
+        };
+
+        const close = result => {
+            dialog.classList.remove('active');
+            resolve(result);
+        };
+        dialog.querySelector('#importConfirm').onclick = () => {
+            const decisions = {};
+            dialog.querySelectorAll('.import-conflict select').forEach(select => {
+                decisions[select.dataset.conflictKey] = select.value;
+            });
+            close(decisions);
+        };
+        dialog.querySelector('#importCancel').onclick = () => close(null);
+
+        dialog.classList.add('active');
+    });
+}
+
+// ─── APPLY ───────────────────────────────────────────────────────────────────
+
+// Keep generated catalog ids ('catalog-N') ahead of any imported ones
+function syncCatalogCounter() {
+    catalogItems.forEach(item => {
+        const match = /^catalog-(\d+)$/.exec(item.id);
+        if (match) catalogCounter = Math.max(catalogCounter, parseInt(match[1], 10));
+    });
+}
+
+// Merge a parsed bundle into the project. decisions maps conflict keys to
+// 'merge' | 'skip' | 'replace'. Resolves to a summary of what changed.
+async function applyProjectImport(bundle, decisions) {
+    const summary = { layouts: { added: 0, replaced: 0, skipped: 0 }, catalog: { added: 0, replaced: 0, skipped: 0 }, session: false };
+
+    // Store the images first; a hash may come out different on this device
+    const assetIds = new Map();
+    for (const [hash, blob] of bundle.images) {
+        assetIds.set(hash, await storeAsset(blob));
+    }
+    const remapAsset = hash => (hash && assetIds.get(hash)) || null;
+
+    // Catalog: remember where each bundled id ended up so layouts can follow
+    const catalogIds = new Map();
+    bundle.catalog.forEach((item, i) => {
+        const existing = findCatalogMatch(item);
+        const decision = decisions['catalog:' + i];
+        const imported = { ...item, assetId: remapAsset(item.assetId), src: item.assetId ? null : item.src || null };
+
+        if (existing && (decision === 'skip' || (!decision && sameCatalogDimensions(existing, item)))) {
+            // Identical pieces still pick up an image the local copy is missing
+            if (!decision && !existing.assetId && imported.assetId) {
+                existing.assetId = imported.assetId;
+                existing.src = null;
+            }
+            catalogIds.set(item.id, existing.id);
+            summary.catalog.skipped++;
+        } else if (existing && decision === 'replace') {
+            Object.assign(existing, imported, { id: existing.id });
+            catalogIds.set(item.id, existing.id);
+            summary.catalog.replaced++;
+        } else {
+            syncCatalogCounter();
+            if (!imported.id || catalogItems.some(other => other.id === imported.id)) {
+                imported.id = 'catalog-' + (++catalogCounter);
+            }
+            catalogItems.push(imported);
+            catalogIds.set(item.id, imported.id);
+            summary.catalog.added++;
+        }
+    });
+    syncCatalogCounter();
+
+    // A copy of a bundled layout pointing at this device's images and catalog
+    const remapLayout = source => {
+        const layout = JSON.parse(JSON.stringify(source));
+        layout.thumbnailAssetId = null;
+        layout.walls.forEach(wall => {
+            wall.backgroundAssetId = remapAsset(wall.backgroundAssetId);
+            wall.artworks.forEach(artwork => {
+                artwork.assetId = remapAsset(artwork.assetId);
+                if (artwork.catalogId) artwork.catalogId = catalogIds.get(artwork.catalogId) || artwork.catalogId;
+            });
+        });
+        return layout;
+    };
+
+    // Layouts
+    bundle.layouts.forEach((source, i) => {
+        const layout = remapLayout(source);
+        const existing = findLayout(layout.id);
+        const decision = decisions['layout:' + i];
+        if (existing && (decision === 'skip' || !decision)) {
+            summary.layouts.skipped++;
+        } else if (existing && decision === 'replace') {
+            savedLayouts[savedLayouts.indexOf(existing)] = layout;
+            summary.layouts.replaced++;
+        } else {
+            if (existing || layout.id == null) layout.id = uniqueLayoutId();
+            savedLayouts.push(layout);
+            summary.layouts.added++;
+        }
+    });
+
+    // Working project: its walls replace all of the walls here, like loading a layout
+    if (bundle.session && decisions.session === 'replace') {
+        deserializeLayout(remapLayout(bundle.session.layout));
+        const layoutId = bundle.session.layoutId;
+        currentLayoutId = savedLayouts.some(layout => layout.id === layoutId) ? layoutId : null;
+        saveSession();
+        summary.session = true;
+    }
+
+    saveCatalog();
+    renderCatalogList();
+    resolveCatalogImages();
+    saveLayoutsToStorage();
+    renderLayoutList();
+    renderSessionStatus();
+    pruneUnusedAssets();
+    return summary;
+}
+
+function describeImportSummary(summary) {
+    const part = (counts, noun) => {
+        const bits = [];
+        if (counts.added) bits.push(`${counts.added} added`);
+        if (counts.replaced) bits.push(`${counts.replaced} replaced`);
+        if (counts.skipped) bits.push(`${counts.skipped} skipped`);
+        return `${noun}: ${bits.length ? bits.join(', ') : 'none'}`;
+    };
+    return [
+        part(summary.layouts, 'Layouts'),
+        part(summary.catalog, 'Catalog'),
+        summary.session ? 'Working project replaced' : null,
+    ].filter(Boolean).join('\n');
+}
+
+// ─── IMPORT ──────────────────────────────────────────────────────────────────
+
+// File input handler: .zip project bundles, or the older layouts-only .json export
+async function importProjectFile(event) {
+    const input = event.target;
+    const file = input.files[0];
+    if (!file) return;
+
+    if (/\.json$/i.test(file.name) || file.type === 'application/json') {
+        importLayouts(event);
+        return;
+    }
+    input.value = '';
+
+    let bundle;
+    try {
+        bundle = await readProjectBundle(file);
+    } catch (error) {
+        alert('❌ Error importing project: ' + error.message);
+        return;
+    }
+
+    const decisions = await showImportDialog(bundle, findImportConflicts(bundle));
+    if (!decisions) return;
+
+    try {
+        const summary = await applyProjectImport(bundle, decisions);
+        alert('✅ Project imported.\n' + describeImportSummary(summary));
+    } catch (error) {
+        alert('❌ Error importing project: ' + error.message);
+    }
+}
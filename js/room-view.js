@@ -31,9 +31,9 @@ function toggleRoomView() {
 
         // Hide and deselect artwork dialog
         artworkDialog.classList.remove('active');
-        if (selectedArtwork) {
-            selectedArtwork.classList.remove('selected');
-        }
+        document.querySelectorAll('.artwork.selected').forEach(artwork => {
+            artwork.classList.remove('selected');
+        });
 
         // Clear any ongoing drag/resize operations
         isDragging = false;
@@ -43,4 +43,10 @@ function toggleRoomView() {
         controlPanel.style.pointerEvents = 'auto';
         controlPanel.style.opacity = '1';
     }
+
+    // No grid or rulers over the room preview
+    if (typeof renderRulers === 'function') {
+        renderGrid();
+        renderRulers();
+    }
 }
@@ -0,0 +1,132 @@
+/**
+ * rotation.js - Artwork rotation and orientation for Wallspace
+ *
+ * Dependencies: utils.js, state.js, framing.js, artwork.js, selection.js,
+ *               history.js, distance-guides.js, obstacles.js, wall-shape.js,
+ *               layers.js
+ *
+ * A placed artwork can be turned a quarter at a time, set to any angle typed
+ * into the sidebar, or swapped between portrait and landscape. Turning keeps
+ * the piece's middle where it is, so it spins in place; swapping the
+ * orientation exchanges the image width and height instead, for a print that
+ * is hung the other way round rather than tilted. Rotation is stored as
+ * degrees clockwise in the artwork spec and saved with the layout.
+ *
+ * A piece that ends up partly off the wall is nudged back on, by the box it
+ * covers once rotated (see getArtworkBounds()). If it cannot fit at all the
+ * change is refused. Every command applies to the whole selection, except
+ * pieces locked in place, and is one undo step.
+ *
+ * Key functions:
+ * - rotateSelectedArtworks(delta) - Turn the selection by delta degrees (e.g. ±90)
+ * - setArtworkRotation() - Apply the angle in #sidebarRotation
+ * - swapArtworkOrientation() - Exchange width and height of the selection
+ */
+
+// Angle in (-180, 180], rounded to a tenth of a degree
+function normalizeRotation(degrees) {
+    let angle = ((degrees % 360) + 360) % 360;
+    if (angle > 180) angle -= 360;
+    return Math.round(angle * 10) / 10;
+}
+
+// ─── APPLYING ────────────────────────────────────────────────────────────────
+
+// Spec for a piece changed by change(spec), with its middle kept in place and
+// its rotated box back on the wall; null if it cannot fit
+function turnedArtworkSpec(artwork, change) {
+    const wallContainer = document.getElementById('wallContainer');
+    const spec = getArtworkSpec(artwork);
+    const left = parseFloat(artwork.style.left) || 0;
+    const top = parseFloat(artwork.style.top) || 0;
+    const centerX = left + (parseFloat(artwork.style.width) || artwork.offsetWidth) / 2;
+    const centerY = top + (parseFloat(artwork.style.height) || artwork.offsetHeight) / 2;
+
+    change(spec);
+    const framing = mmToPixels((spec.hasFrame ? spec.frameWidthMm : 0) + (spec.hasMatte ? spec.matteWidthMm : 0));
+    const width = mmToPixels(spec.imageWidthMm) + framing * 2;
+    const height = mmToPixels(spec.imageHeightMm) + framing * 2;
+    const bounds = rotatedBounds(centerX - width / 2, centerY - height / 2, width, height, spec.rotation);
+    if (bounds.width > wallContainer.offsetWidth + 0.5 || bounds.height > wallContainer.offsetHeight + 0.5) {
+        return null;
+    }
+
+    const x = Math.max(-bounds.offsetX, Math.min(centerX - width / 2,
+        wallContainer.offsetWidth - bounds.width - bounds.offsetX));
+    const y = Math.max(-bounds.offsetY, Math.min(centerY - height / 2,
+        wallContainer.offsetHeight - bounds.height - bounds.offsetY));
+    spec.xMm = pixelsToMm(x);
+    spec.yMm = pixelsToMm(y);
+    return spec;
+}
+
+// Apply change(spec) to every selected piece as one undo step
+function turnSelectedArtworks(label, change, afterApply) {
+    const selection = getSelectedArtworks();
+    if (selection.length === 0) return;
+    const artworks = selection.filter(artwork => !isArtworkLocked(artwork));
+    if (artworks.length === 0) {
+        alert('Unlock the selected pieces first (Lock Position).');
+        updateControlsFromArtwork(selectedArtwork);
+        return;
+    }
+
+    const specs = artworks.map(artwork => turnedArtworkSpec(artwork, change));
+    if (specs.includes(null)) {
+        alert(`❌ ${artworks.length > 1 ? 'Some of the pieces' : 'The piece'} would not fit on the wall that way.`);
+        updateControlsFromArtwork(selectedArtwork);
+        return;
+    }
+
+    withArtworkHistory(label, artworks, () => {
+        artworks.forEach((artwork, i) => {
+            applyArtworkSpec(artwork, specs[i]);
+            if (afterApply) afterApply(artwork);
+            // A shaped wall may still cut into the rotated box
+            if (typeof constrainToWallOutline === 'function') {
+                const onWall = constrainToWallOutline(artwork,
+                    parseFloat(artwork.style.left) || 0, parseFloat(artwork.style.top) || 0);
+                artwork.style.left = onWall.x + 'px';
+                artwork.style.top = onWall.y + 'px';
+            }
+        });
+    });
+
+    updateControlsFromArtwork(selectedArtwork);
+    updateDistanceGuides();
+    updateObstacleWarnings();
+}
+
+// ─── COMMANDS ────────────────────────────────────────────────────────────────
+
+function rotateSelectedArtworks(delta) {
+    turnSelectedArtworks(delta < 0 ? 'Rotate left' : 'Rotate right', spec => {
+        spec.rotation = normalizeRotation((spec.rotation || 0) + delta);
+    });
+}
+
+function setArtworkRotation() {
+    const input = document.getElementById('sidebarRotation');
+    const degrees = parseFloat(input.value);
+    if (isNaN(degrees)) {
+        updateControlsFromArtwork(selectedArtwork);
+        return;
+    }
+    turnSelectedArtworks('Rotate artwork', spec => {
+        spec.rotation = normalizeRotation(degrees);
+    });
+}
+
+// Portrait <-> landscape: the image area turns, the frame and matte follow
+function swapArtworkOrientation() {
+    turnSelectedArtworks('Swap orientation', spec => {
+        const width = spec.imageWidthMm;
+        spec.imageWidthMm = spec.imageHeightMm;
+        spec.imageHeightMm = width;
+    }, artwork => {
+        // The locked ratio is width over height, so it flips too
+        if (artworkAspectRatios.has(artwork.id)) {
+            artworkAspectRatios.set(artwork.id, 1 / artworkAspectRatios.get(artwork.id));
+        }
+    });
+}
@@ -0,0 +1,183 @@
+/**
+ * selection.js - Multi-select and group moves for Wallspace
+ *
+ * Dependencies: state.js, artwork.js, storage.js, distance-guides.js,
+ *               obstacles.js, wall-shape.js, smart-snap.js
+ *
+ * Several artworks can be selected at once. Shift-, ctrl- or cmd-click adds a
+ * piece to the selection or takes it out again, and dragging across the bare
+ * wall with one of those keys held draws a selection rectangle (a plain drag
+ * still pans). The selection is every artwork with the "selected" class;
+ * selectedArtwork stays the piece picked last, which distance guides and the
+ * resize handles follow and which leads a group drag.
+ *
+ * Dragging any selected piece moves the whole selection by the same amount, so
+ * the pieces keep their spacing. The move stops where any of them would leave
+ * the wall, cross a shaped wall's outline or (when that is switched on) run
+ * into an obstacle. Deleting, framing and size changes in the sidebar apply to
+ * every selected piece (see artwork.js and framing.js).
+ *
+ * Key functions:
+ * - getSelectedArtworks() - All selected artworks, the last-picked one included
+ * - toggleArtworkSelection(artwork) - Add a piece to the selection or remove it
+ * - deselectArtwork(artwork) / clearArtworkSelection() - Drop one piece or all
+ * - moveArtworkGroup(artworks, x, y, noSnap) - Move a selection so its lead piece is at (x, y)
+ * - initSelection() - Attach the selection-rectangle handlers
+ */
+
+let selectionMarquee = null;      // Selection rectangle being drawn, see startSelectionMarquee()
+
+// ─── SELECTION ───────────────────────────────────────────────────────────────
+
+function getSelectedArtworks() {
+    if (!selectedArtwork) return [];
+    const selected = Array.from(document.querySelectorAll('.artwork.selected'));
+    return selected.includes(selectedArtwork) ? selected : [selectedArtwork];
+}
+
+// Refresh everything that follows the selection
+function showArtworkSelection() {
+    if (selectedArtwork) {
+        document.getElementById('artworkPanel').style.display = 'block';
+        updateControlsFromArtwork(selectedArtwork);
+    } else {
+        _resetArtworkUI();
+    }
+    updateDistanceGuides();
+}
+
+function toggleArtworkSelection(artwork) {
+    if (artwork.classList.contains('selected') && selectedArtwork) {
+        deselectArtwork(artwork);
+        return;
+    }
+    if (typeof deselectObstacle === 'function') deselectObstacle();
+    // A piece that was selected on its own before counts as part of the selection
+    if (selectedArtwork) selectedArtwork.classList.add('selected');
+    artwork.classList.add('selected');
+    selectedArtwork = artwork;
+    showArtworkSelection();
+}
+
+// Take one piece out of the selection; another selected piece takes the lead
+function deselectArtwork(artwork) {
+    artwork.classList.remove('selected');
+    if (selectedArtwork === artwork) {
+        const rest = Array.from(document.querySelectorAll('.artwork.selected'));
+        selectedArtwork = rest.length ? rest[rest.length - 1] : null;
+    }
+    showArtworkSelection();
+}
+
+function clearArtworkSelection() {
+    document.querySelectorAll('.artwork.selected').forEach(artwork => artwork.classList.remove('selected'));
+    selectedArtwork = null;
+    showArtworkSelection();
+}
+
+// ─── GROUP MOVE ──────────────────────────────────────────────────────────────
+
+// Move every piece by the amount that puts the lead piece (selectedArtwork)
+// at (x, y), snapped like a single piece unless noSnap, holding back where
+// any piece is stopped
+function moveArtworkGroup(artworks, x, y, noSnap) {
+    const wallContainer = document.getElementById('wallContainer');
+    const lead = selectedArtwork;
+    const boxes = artworks.map(artwork => ({
+        artwork: artwork,
+        x:       parseFloat(artwork.style.left) || 0,
+        y:       parseFloat(artwork.style.top) || 0,
+        bounds:  getArtworkBounds(artwork),
+    }));
+    const leadBox = boxes.find(box => box.artwork === lead) || boxes[0];
+    const snapped = snapArtworkMove(artworks, x, y, noSnap);
+
+    // Keep the group's bounding box on the wall
+    const minX = Math.min(...boxes.map(box => box.bounds.left));
+    const minY = Math.min(...boxes.map(box => box.bounds.top));
+    const maxX = Math.max(...boxes.map(box => box.bounds.right));
+    const maxY = Math.max(...boxes.map(box => box.bounds.bottom));
+    let dx = Math.max(-minX, Math.min(snapped.x - leadBox.x, wallContainer.offsetWidth - maxX));
+    let dy = Math.max(-minY, Math.min(snapped.y - leadBox.y, wallContainer.offsetHeight - maxY));
+
+    // Each piece may cut the move short; a second pass settles pieces checked
+    // before the move was cut back
+    for (let pass = 0; pass < 2; pass++) {
+        boxes.forEach(box => {
+            const onWall = constrainToWallOutline(box.artwork, box.x + dx, box.y + dy);
+            const allowed = constrainArtworkMove(box.artwork, onWall.x, onWall.y);
+            dx = allowed.x - box.x;
+            dy = allowed.y - box.y;
+        });
+    }
+
+    boxes.forEach(box => {
+        box.artwork.style.left = (box.x + dx) + 'px';
+        box.artwork.style.top = (box.y + dy) + 'px';
+    });
+}
+
+// ─── SELECTION RECTANGLE ─────────────────────────────────────────────────────
+
+// Point of a pointer event in wall pixels
+function wallPointFromEvent(e) {
+    const rect = document.getElementById('wallContainer').getBoundingClientRect();
+    return { x: (e.clientX - rect.left) / viewZoom, y: (e.clientY - rect.top) / viewZoom };
+}
+
+function startSelectionMarquee(e) {
+    if (isPreviewMode || isShareView || pinchGesture) return;
+    if (!(e.shiftKey || e.ctrlKey || e.metaKey) || e.target.closest('.artwork, .obstacle, .wall-icon')) return;
+
+    selectionMarquee = {
+        start:   wallPointFromEvent(e),
+        initial: getSelectedArtworks(),
+    };
+    // Keep a single selected piece when the rectangle adds to it
+    selectionMarquee.initial.forEach(artwork => artwork.classList.add('selected'));
+    e.preventDefault();
+}
+
+function moveSelectionMarquee(e) {
+    if (!selectionMarquee) return;
+    const point = wallPointFromEvent(e);
+    const left = Math.min(point.x, selectionMarquee.start.x);
+    const top = Math.min(point.y, selectionMarquee.start.y);
+    const width = Math.abs(point.x - selectionMarquee.start.x);
+    const height = Math.abs(point.y - selectionMarquee.start.y);
+
+    const marquee = document.getElementById('selectionMarquee');
+    marquee.style.display = 'block';
+    marquee.style.left = left + 'px';
+    marquee.style.top = top + 'px';
+    marquee.style.width = width + 'px';
+    marquee.style.height = height + 'px';
+
+    // Anything the rectangle touches is selected, on top of what already was
+    document.querySelectorAll('.artwork').forEach(artwork => {
+        const bounds = getArtworkBounds(artwork);
+        const hit = bounds.left < left + width && bounds.right > left &&
+                    bounds.top < top + height && bounds.bottom > top;
+        artwork.classList.toggle('selected', hit || selectionMarquee.initial.includes(artwork));
+    });
+}
+
+function endSelectionMarquee() {
+    if (!selectionMarquee) return;
+    selectionMarquee = null;
+    document.getElementById('selectionMarquee').style.display = 'none';
+
+    const selected = Array.from(document.querySelectorAll('.artwork.selected'));
+    if (!selected.includes(selectedArtwork)) selectedArtwork = selected[selected.length - 1] || null;
+    if (selectedArtwork && typeof deselectObstacle === 'function') deselectObstacle();
+    showArtworkSelection();
+}
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+
+function initSelection() {
+    document.getElementById('wallContainer').addEventListener('pointerdown', startSelectionMarquee);
+    document.addEventListener('pointermove', moveSelectionMarquee);
+    document.addEventListener('pointerup', endSelectionMarquee);
+    document.addEventListener('pointercancel', endSelectionMarquee);
+}
@@ -0,0 +1,170 @@
+/**
+ * session.js - Autosave and crash recovery for Wallspace
+ *
+ * Dependencies: state.js, layout-schema.js, storage.js
+ *
+ * The working project (every wall with its settings, background image and
+ * artworks with their framing) is continuously written to localStorage as the "session". It is a
+ * scratch copy, separate from the named layouts in savedLayouts: saving a
+ * layout copies the session into savedLayouts, and currentLayoutId remembers
+ * which named layout (if any) the session started from.
+ *
+ * On startup a session with artworks on it is offered for restore. Autosave
+ * is paused until the user restores or discards it, so a second crash cannot
+ * overwrite the recoverable session.
+ *
+ * Key functions:
+ * - initSession() - Offer the previous session for restore, then start autosaving
+ * - scheduleSessionSave() - Debounced autosave, called after every edit
+ * - saveSession() - Write the session immediately
+ * - restoreSession() / discardSession() - Answer the restore offer
+ * - isSessionModified() - Whether the wall differs from its named layout
+ * - renderSessionStatus() - Show "Unsaved session" / layout name in the sidebar
+ */
+
+const SESSION_KEY = 'wallspace_session';
+const SESSION_SAVE_DELAY_MS = 500;
+
+let sessionSaveTimer = null;
+let sessionAutosaveEnabled = false; // Off during startup and while a restore is offered
+let pendingSession = null;          // Session from the previous visit awaiting restore/discard
+let lastSessionSave = null;         // Date of the last successful autosave
+
+// ─── SAVE ────────────────────────────────────────────────────────────────────
+
+// Debounce autosaves so a burst of edits is written once
+function scheduleSessionSave() {
+    if (!sessionAutosaveEnabled) return;
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(saveSession, SESSION_SAVE_DELAY_MS);
+}
+
+// Write the working wall to localStorage now
+function saveSession() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = null;
+    if (!sessionAutosaveEnabled) return;
+
+    try {
+        localStorage.setItem(SESSION_KEY, JSON.stringify({
+            savedAt:  Date.now(),
+            layoutId: currentLayoutId,
+            layout:   serializeLayout({ name: 'Unsaved session' }),
+        }));
+        lastSessionSave = new Date();
+    } catch (e) {
+        console.warn('saveSession failed:', e);
+    }
+    renderSessionStatus();
+}
+
+// Read the stored session (null if there is none or it is unreadable)
+function readStoredSession() {
+    try {
+        const stored = localStorage.getItem(SESSION_KEY);
+        if (!stored) return null;
+        const session = JSON.parse(stored);
+        session.layout = migrateLayout(session.layout);
+        return session;
+    } catch (e) {
+        console.warn('Stored session is unreadable:', e);
+        return null;
+    }
+}
+
+// ─── MODIFIED STATE ──────────────────────────────────────────────────────────
+
+// Compare only what is on the walls, not layout metadata
+function layoutContent(layout) {
+    return JSON.stringify(layout.walls);
+}
+
+// True when the wall no longer matches the named layout it was loaded from
+// (always true for a scratch session with something on it)
+function isSessionModified() {
+    const current = serializeLayout();
+    const named = savedLayouts.find(layout => layout.id === currentLayoutId);
+    if (!named) return layoutArtworks(current).length > 0 || current.walls.length > 1;
+    return layoutContent(current) !== layoutContent(named);
+}
+
+// ─── RESTORE OFFER ───────────────────────────────────────────────────────────
+
+function restoreSession() {
+    if (!pendingSession) return;
+    deserializeLayout(pendingSession.layout);
+    const layoutId = pendingSession.layoutId;
+    currentLayoutId = savedLayouts.some(layout => layout.id === layoutId) ? layoutId : null;
+    closeRestoreOffer();
+    renderLayoutList();
+}
+
+function discardSession() {
+    if (!pendingSession) return;
+    closeRestoreOffer();
+}
+
+// Hide the banner and resume autosaving from the current wall
+function closeRestoreOffer() {
+    pendingSession = null;
+    document.getElementById('sessionBanner').style.display = 'none';
+    sessionAutosaveEnabled = true;
+    saveSession();
+}
+
+function showRestoreOffer(session) {
+    const banner = document.getElementById('sessionBanner');
+    const count = layoutArtworks(session.layout).length;
+    const walls = session.layout.walls.length;
+    const named = savedLayouts.find(layout => layout.id === session.layoutId);
+    const when = new Date(session.savedAt).toLocaleString();
+
+    document.getElementById('sessionBannerText').textContent =
+        `Unsaved work from ${when}: ${count} artwork${count !== 1 ? 's' : ''}` +
+        (walls > 1 ? ` on ${walls} walls` : '') +
+        (named ? ` (edited from "${named.name}")` : '') +
+        '. Autosave is paused until you restore or discard it.';
+    banner.style.display = 'block';
+}
+
+// ─── STATUS ──────────────────────────────────────────────────────────────────
+
+// One line under the title that says what is being edited
+function renderSessionStatus() {
+    const el = document.getElementById('sessionStatus');
+    if (!el) return;
+
+    const named = savedLayouts.find(layout => layout.id === currentLayoutId);
+    let text = named ? `Layout: ${named.name}` : 'Unsaved session';
+    if (named && isSessionModified()) text += ' · edited';
+    if (!sessionAutosaveEnabled) {
+        text += ' · autosave paused';
+    } else if (lastSessionSave) {
+        text += ` · autosaved ${lastSessionSave.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    }
+    el.textContent = text;
+    el.classList.toggle('scratch', !named);
+}
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+
+// Call last during startup, once the wall and layouts are loaded
+function initSession() {
+    const session = readStoredSession();
+    if (session && (layoutArtworks(session.layout).length > 0 || session.layout.walls.length > 1)) {
+        pendingSession = session;
+        showRestoreOffer(session);
+    } else {
+        sessionAutosaveEnabled = true;
+    }
+
+    // Write the session when the page is hidden or closed, so edits that did not
+    // go through history (e.g. an image finishing loading) are not lost
+    const flush = () => saveSession();
+    window.addEventListener('beforeunload', flush);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+    });
+
+    renderSessionStatus();
+}
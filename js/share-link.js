@@ -0,0 +1,299 @@
+/**
+ * share-link.js - Shareable layout links for Wallspace
+ *
+ * Dependencies: utils.js, state.js, zip.js, layout-schema.js, walls.js,
+ *               validation.js, layout-manager.js, storage.js, catalog.js,
+ *               project-bundle.js, ui.js
+ *
+ * A share link carries a whole layout in the URL fragment, so nothing is
+ * uploaded anywhere: #share=<mode>.<data>, where data is the base64url JSON
+ * payload, deflated when the browser supports CompressionStream (mode 'z')
+ * and plain otherwise (mode 'j'). The payload holds the layout's walls,
+ * artwork positions, sizes and framing, and the catalog pieces they refer to
+ * (name and dimensions). Images are either left out, in which case the viewer
+ * shows catalog placeholders, or embedded as small JPEG previews.
+ *
+ * Opening a link shows the layout read-only (isShareView) instead of the
+ * autosaved session, which stays untouched in localStorage. The viewer can
+ * import it into their saved layouts or close it.
+ *
+ * Key functions:
+ * - copyShareLink(id) - Copy a link to a saved layout (or the working walls when id is omitted)
+ * - createShareLink(layout, includeImages) - Build the link URL for a layout
+ * - readShareLink(hash) - Decode and validate a #share= fragment
+ * - openShareLinkFromUrl() - Show the layout from the page URL read-only, if there is one
+ * - importSharedLayout() / closeSharedLayout() - Leave the read-only view
+ */
+
+const SHARE_LINK_PREFIX = '#share=';
+const SHARE_LINK_FORMAT = 'wallspace-share';
+const SHARE_LINK_VERSION = 1;
+const SHARE_PREVIEW_SIZE = 96;          // px, longest side of embedded artwork previews
+const SHARE_BACKGROUND_SIZE = 320;      // px, longest side of an embedded wall background
+const SHARE_LINK_WARN_LENGTH = 32000;   // Longer links get cut off by some mail and chat apps
+
+let sharedLink = null;                  // { layout, catalog } while a share link is shown
+
+// ─── ENCODING ────────────────────────────────────────────────────────────────
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+async function deflateRaw(bytes) {
+    const stream = new Response(bytes).body.pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ─── CREATE ──────────────────────────────────────────────────────────────────
+
+// Downscale an image to a JPEG data URL small enough for a link (null if unavailable)
+async function shareImagePreview(assetId, src, maxSize) {
+    // Catalog placeholders are rebuilt by the viewer
+    if (!assetId && (!src || src.startsWith('data:image/svg+xml'))) return null;
+    const image = await loadThumbnailImage(assetId, src);
+    if (!image || !image.width || !image.height) return null;
+
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    try {
+        return canvas.toDataURL('image/jpeg', 0.6);
+    } catch (e) {
+        // Cross-origin images cannot be read back
+        return null;
+    }
+}
+
+// The link payload for a layout: images stripped or shrunk, asset references
+// dropped, and the referenced catalog pieces listed by name and size
+async function buildSharePayload(layout, includeImages) {
+    const shared = JSON.parse(JSON.stringify(migrateLayout(layout)));
+    shared.thumbnailAssetId = null;
+
+    const previews = new Map();
+    const preview = async (assetId, src, maxSize) => {
+        const key = (assetId || src) + ':' + maxSize;
+        if (!previews.has(key)) previews.set(key, await shareImagePreview(assetId, src, maxSize));
+        return previews.get(key);
+    };
+
+    const catalogIds = new Set();
+    for (const wall of shared.walls) {
+        wall.backgroundImage = includeImages
+            ? await preview(wall.backgroundAssetId, wall.backgroundImage, SHARE_BACKGROUND_SIZE)
+            : null;
+        wall.backgroundAssetId = null;
+        for (const artwork of wall.artworks) {
+            artwork.src = includeImages ? await preview(artwork.assetId, artwork.src, SHARE_PREVIEW_SIZE) : null;
+            artwork.assetId = null;
+            if (artwork.catalogId) catalogIds.add(artwork.catalogId);
+        }
+    }
+
+    const catalog = catalogItems
+        .filter(item => catalogIds.has(item.id))
+        .map(item => ({
+            id:       item.id,
+            name:     item.name,
+            widthMm:  item.widthMm,
+            heightMm: item.heightMm,
+            hasFrame: !!item.hasFrame,
+        }));
+
+    return { format: SHARE_LINK_FORMAT, version: SHARE_LINK_VERSION, layout: shared, catalog: catalog };
+}
+
+async function createShareLink(layout, includeImages) {
+    const json = new TextEncoder().encode(JSON.stringify(await buildSharePayload(layout, includeImages)));
+    const compressed = typeof CompressionStream !== 'undefined';
+    const data = compressed ? await deflateRaw(json) : json;
+    return location.href.split('#')[0] + SHARE_LINK_PREFIX + (compressed ? 'z.' : 'j.') + bytesToBase64Url(data);
+}
+
+// Copy a share link for a saved layout, or for the working walls when id is omitted
+async function copyShareLink(id) {
+    let layout;
+    if (id != null) {
+        layout = findLayout(id);
+        if (!layout) return;
+    } else {
+        const named = findLayout(currentLayoutId);
+        layout = serializeLayout({ name: named ? named.name : 'Shared layout' });
+    }
+
+    const checkbox = document.getElementById('shareIncludeImages');
+    const includeImages = !!(checkbox && checkbox.checked);
+
+    let url;
+    try {
+        url = await createShareLink(layout, includeImages);
+    } catch (error) {
+        alert('❌ Could not create a share link: ' + error.message);
+        return;
+    }
+
+    if (url.length > SHARE_LINK_WARN_LENGTH) {
+        const hint = includeImages ? ' Turning off image previews makes it much shorter.' : '';
+        if (!confirm(`This link is ${Math.round(url.length / 1000)}k characters long and may be cut off by some apps.${hint} Copy it anyway?`)) return;
+    }
+
+    try {
+        await navigator.clipboard.writeText(url);
+        alert(`🔗 Share link for "${layout.name}" copied to the clipboard.`);
+    } catch (e) {
+        // No clipboard access (e.g. not a secure context) — let the user copy it
+        prompt('Copy this share link:', url);
+    }
+}
+
+// ─── READ ────────────────────────────────────────────────────────────────────
+
+// Decode and validate a #share= fragment. Resolves to { layout, catalog },
+// or null when the fragment is not a share link; throws when it is damaged.
+async function readShareLink(hash) {
+    if (!hash || !hash.startsWith(SHARE_LINK_PREFIX)) return null;
+
+    const body = hash.slice(SHARE_LINK_PREFIX.length);
+    const mode = body.slice(0, 2);
+    if (mode !== 'z.' && mode !== 'j.') throw new Error('the link is not in a format this version understands');
+
+    let payload;
+    try {
+        let bytes = base64UrlToBytes(body.slice(2));
+        if (mode === 'z.') bytes = await inflateRaw(bytes);
+        payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+        throw new Error('the link is incomplete or damaged');
+    }
+    if (!isPlainObject(payload) || payload.format !== SHARE_LINK_FORMAT) {
+        throw new Error('the link does not contain a Wallspace layout');
+    }
+    if (payload.version > SHARE_LINK_VERSION) {
+        throw new Error('the link was made by a newer version of Wallspace');
+    }
+
+    const { layout, errors } = validateLayout(payload.layout);
+    if (!layout) throw new Error(errors.slice(0, 3).join('; '));
+
+    const catalog = validateCatalogList(Array.isArray(payload.catalog) ? payload.catalog : []).valid
+        .filter(item => item.id)
+        .map(item => ({ ...item, isArt: true, assetId: null, src: null }));
+
+    return { layout: layout, catalog: catalog };
+}
+
+// Give pieces without an image the same placeholder the catalog uses
+function addSharePlaceholders(layout, catalog) {
+    layoutArtworks(layout).forEach(artwork => {
+        if (artwork.assetId || artwork.src) return;
+        const item = catalog.find(entry => entry.id === artwork.catalogId);
+        artwork.src = buildPlaceholderSrc(item ? item.name : 'Artwork');
+    });
+    return layout;
+}
+
+// ─── READ-ONLY VIEW ──────────────────────────────────────────────────────────
+
+// Show the layout from a #share= URL read-only. Resolves to true when a shared
+// layout is shown; the caller then skips restoring the session.
+async function openShareLinkFromUrl() {
+    // Pasting another share link into the address bar only changes the fragment
+    window.addEventListener('hashchange', () => {
+        if (location.hash.startsWith(SHARE_LINK_PREFIX)) location.reload();
+    });
+
+    let link;
+    try {
+        link = await readShareLink(location.hash);
+    } catch (error) {
+        alert('❌ This share link could not be opened: ' + error.message);
+        removeShareFragment();
+        return false;
+    }
+    if (!link) return false;
+
+    sharedLink = link;
+    isShareView = true;
+    document.body.classList.add('share-view');
+    deserializeLayout(addSharePlaceholders(JSON.parse(JSON.stringify(link.layout)), link.catalog));
+    fitWallToScreen();
+
+    const count = layoutArtworks(link.layout).length;
+    const walls = link.layout.walls.length;
+    document.getElementById('shareBannerText').textContent =
+        `Shared layout "${link.layout.name}": ${count} artwork${count !== 1 ? 's' : ''}` +
+        (walls > 1 ? ` on ${walls} walls` : '') +
+        '. This is a read-only view; your own work is unchanged.';
+    document.getElementById('shareBanner').style.display = 'block';
+    return true;
+}
+
+function removeShareFragment() {
+    history.replaceState(null, '', location.pathname + location.search);
+}
+
+// Catalog ids in the link belong to the sender's catalog. Use the local piece
+// with the same name and size, or add the piece, and point artworks at it.
+function importSharedCatalog(layout, catalog) {
+    syncCatalogCounter();
+    const catalogIds = new Map();
+    catalog.forEach(item => {
+        const match = findCatalogMatch(item);
+        if (match && sameCatalogDimensions(match, item)) {
+            catalogIds.set(item.id, match.id);
+            return;
+        }
+        // Use the first preview of the piece as its catalog image
+        const withImage = layoutArtworks(layout).find(artwork => artwork.catalogId === item.id && artwork.assetId);
+        const added = { ...item, id: 'catalog-' + (++catalogCounter), assetId: withImage ? withImage.assetId : null };
+        catalogItems.push(added);
+        catalogIds.set(item.id, added.id);
+    });
+
+    layoutArtworks(layout).forEach(artwork => {
+        if (artwork.catalogId) artwork.catalogId = catalogIds.get(artwork.catalogId) || null;
+    });
+    saveCatalog();
+}
+
+// Save the shared layout to this browser's layouts, then return to the user's own work
+async function importSharedLayout() {
+    if (!sharedLink) return;
+    const layout = JSON.parse(JSON.stringify(sharedLink.layout));
+    if (layout.id == null || findLayout(layout.id)) layout.id = uniqueLayoutId();
+
+    try {
+        await storeLayoutImages(layout);
+    } catch (error) {
+        alert('❌ Error importing layout: ' + error.message);
+        return;
+    }
+    // Placeholders stay inline, as for catalog pieces placed without an image
+    addSharePlaceholders(layout, sharedLink.catalog);
+    importSharedCatalog(layout, sharedLink.catalog);
+
+    savedLayouts.push(layout);
+    if (!saveLayoutsToStorage()) return;
+    alert(`✅ "${layout.name}" was added to your layouts.`);
+    closeSharedLayout();
+}
+
+// Leave the read-only view and reload the user's own session
+function closeSharedLayout() {
+    removeShareFragment();
+    location.reload();
+}
@@ -0,0 +1,196 @@
+/**
+ * smart-snap.js - Snapping to neighbours, centerlines and equal gaps for Wallspace
+ *
+ * Dependencies: state.js, framing.js, grid.js
+ *
+ * While artworks are dragged, the moving box (the box the piece covers on the
+ * wall, rotation included, or the bounding box of a multi-selection) is
+ * pulled onto nearby lines: the left/center/right and top/middle/bottom of the
+ * other artworks, and the wall's vertical and horizontal centerlines. It also
+ * snaps to positions that repeat a gap that already exists between two other
+ * pieces, or that leave equal gaps to the neighbours on either side. Each
+ * axis snaps on its own to whichever target is nearest, within SNAP_DISTANCE
+ * screen pixels; an axis with no smart snap falls back to the grid (see
+ * grid.js). Thin lines on #snapGuidesSVG show what was snapped to until the
+ * mouse is released. Holding Alt turns all snapping off.
+ *
+ * Key functions:
+ * - snapArtworkMove(artworks, x, y, disabled) - Snapped position for a dragged piece or group
+ * - clearSnapGuides() - Remove the alignment lines
+ */
+
+const SNAP_DISTANCE = 8; // Screen px within which a target pulls
+
+// ─── TARGETS ─────────────────────────────────────────────────────────────────
+
+// Along one axis: 'x' looks at left/right, 'y' at top/bottom
+function axisOf(axis) {
+    return axis === 'x'
+        ? { start: 'left', end: 'right', size: 'width', crossStart: 'top', crossEnd: 'bottom' }
+        : { start: 'top', end: 'bottom', size: 'height', crossStart: 'left', crossEnd: 'right' };
+}
+
+function overlapsAcross(a, b, keys) {
+    return a[keys.crossStart] < b[keys.crossEnd] && b[keys.crossStart] < a[keys.crossEnd];
+}
+
+// Gaps between each piece and its nearest neighbour further along the axis,
+// among pieces that overlap across it
+function existingGaps(boxes, keys) {
+    const gaps = [];
+    boxes.forEach(a => {
+        const next = boxes
+            .filter(b => b !== a && overlapsAcross(a, b, keys) && b[keys.start] >= a[keys.end])
+            .sort((p, q) => p[keys.start] - q[keys.start])[0];
+        if (next) gaps.push({ size: next[keys.start] - a[keys.end], from: a, to: next });
+    });
+    return gaps;
+}
+
+// ─── CANDIDATES ──────────────────────────────────────────────────────────────
+
+// Snap candidates along one axis for a moving box. Each has the position
+// the box's start edge would take and a function giving the guide lines for
+// the final box.
+function snapCandidates(axis, moving, others, wallSize) {
+    const keys = axisOf(axis);
+    const candidates = [];
+    const offsets = [0, moving[keys.size] / 2, moving[keys.size]];
+    const line = (at, from, to) => axis === 'x'
+        ? { x1: at, y1: from, x2: at, y2: to }
+        : { x1: from, y1: at, x2: to, y2: at };
+
+    // Edges and centers of the other pieces
+    others.forEach(other => {
+        [other[keys.start], other[keys.start] + other[keys.size] / 2, other[keys.end]].forEach(target => {
+            offsets.forEach(offset => candidates.push({
+                position: target - offset,
+                guides:   box => [line(target,
+                    Math.min(box[keys.crossStart], other[keys.crossStart]),
+                    Math.max(box[keys.crossEnd], other[keys.crossEnd]))],
+            }));
+        });
+    });
+
+    // The wall's centerline
+    candidates.push({
+        position: wallSize.along / 2 - moving[keys.size] / 2,
+        guides:   () => [line(wallSize.along / 2, 0, wallSize.across)],
+    });
+
+    // Repeat an existing gap next to a neighbour, or split the space between
+    // two neighbours evenly
+    const gapGuide = (from, to, box, other) => {
+        const across = (Math.max(box[keys.crossStart], other[keys.crossStart]) +
+                        Math.min(box[keys.crossEnd], other[keys.crossEnd])) / 2;
+        const span = axis === 'x'
+            ? { x1: from, y1: across, x2: to, y2: across }
+            : { x1: across, y1: from, x2: across, y2: to };
+        return { ...span, gap: true };
+    };
+    const gaps = existingGaps(others, keys);
+    const center = moving[keys.start] + moving[keys.size] / 2;
+    const neighbours = others.filter(other => overlapsAcross(moving, other, keys));
+    const before = neighbours.filter(other => other[keys.end] <= center)
+        .sort((p, q) => q[keys.end] - p[keys.end])[0];
+    const after = neighbours.filter(other => other[keys.start] >= center)
+        .sort((p, q) => p[keys.start] - q[keys.start])[0];
+    const referenceGuide = gap => gapGuide(gap.from[keys.end], gap.to[keys.start], gap.from, gap.to);
+
+    gaps.forEach(gap => {
+        if (before) {
+            candidates.push({
+                position: before[keys.end] + gap.size,
+                guides:   box => [gapGuide(before[keys.end], box[keys.start], box, before), referenceGuide(gap)],
+            });
+        }
+        if (after) {
+            candidates.push({
+                position: after[keys.start] - gap.size - moving[keys.size],
+                guides:   box => [gapGuide(box[keys.end], after[keys.start], box, after), referenceGuide(gap)],
+            });
+        }
+    });
+    if (before && after && after[keys.start] - before[keys.end] > moving[keys.size]) {
+        candidates.push({
+            position: (before[keys.end] + after[keys.start] - moving[keys.size]) / 2,
+            guides:   box => [gapGuide(before[keys.end], box[keys.start], box, before),
+                              gapGuide(box[keys.end], after[keys.start], box, after)],
+        });
+    }
+    return candidates;
+}
+
+// Nearest candidate within reach, with every candidate that lands on the same spot
+function pickSnap(candidates, position) {
+    const reach = SNAP_DISTANCE / viewZoom;
+    let best = null;
+    candidates.forEach(candidate => {
+        const distance = Math.abs(candidate.position - position);
+        if (distance <= reach && (!best || distance < Math.abs(best.position - position))) best = candidate;
+    });
+    if (!best) return null;
+    return {
+        position: best.position,
+        matches:  candidates.filter(candidate => Math.abs(candidate.position - best.position) < 0.5),
+    };
+}
+
+// ─── SNAPPING ────────────────────────────────────────────────────────────────
+
+// Where to put the lead piece of a drag (selectedArtwork, or the first of
+// artworks) proposed at (x, y) so the moving box lands on a snap target
+function snapArtworkMove(artworks, x, y, disabled) {
+    if (disabled) {
+        clearSnapGuides();
+        return { x: x, y: y };
+    }
+    const wallContainer = document.getElementById('wallContainer');
+    const wallWidth = wallContainer.offsetWidth;
+    const wallHeight = wallContainer.offsetHeight;
+    const lead = artworks.includes(selectedArtwork) ? selectedArtwork : artworks[0];
+    const boxes = artworks.map(artwork => getArtworkBounds(artwork));
+
+    // The moving box at the proposed position
+    const dx = x - (parseFloat(lead.style.left) || 0);
+    const dy = y - (parseFloat(lead.style.top) || 0);
+    const left = Math.min(...boxes.map(box => box.left)) + dx;
+    const top = Math.min(...boxes.map(box => box.top)) + dy;
+    const width = Math.max(...boxes.map(box => box.right)) + dx - left;
+    const height = Math.max(...boxes.map(box => box.bottom)) + dy - top;
+    const moving = { left, top, width, height, right: left + width, bottom: top + height };
+
+    const others = Array.from(document.querySelectorAll('.artwork'))
+        .filter(artwork => !artworks.includes(artwork))
+        .map(artwork => getArtworkBounds(artwork));
+    const snapX = pickSnap(snapCandidates('x', moving, others, { along: wallWidth, across: wallHeight }), left);
+    const snapY = pickSnap(snapCandidates('y', moving, others, { along: wallHeight, across: wallWidth }), top);
+    const grid = value => typeof snapToGrid === 'function' ? snapToGrid(value) : value;
+
+    // Axes without a smart snap fall back to the grid
+    const finalLeft = snapX ? snapX.position : left + grid(x) - x;
+    const finalTop = snapY ? snapY.position : top + grid(y) - y;
+    const final = { left: finalLeft, top: finalTop, width, height, right: finalLeft + width, bottom: finalTop + height };
+
+    const guides = [];
+    [snapX, snapY].filter(Boolean).forEach(snap => {
+        snap.matches.forEach(candidate => guides.push(...candidate.guides(final)));
+    });
+    drawSnapGuides(guides);
+
+    return { x: x + finalLeft - left, y: y + finalTop - top };
+}
+
+// ─── GUIDES ──────────────────────────────────────────────────────────────────
+
+function drawSnapGuides(guides) {
+    const svg = document.getElementById('snapGuidesSVG');
+    if (!svg) return;
+    svg.innerHTML = guides.map(guide =>
+        `<line x1="${guide.x1}" y1="${guide.y1}" x2="${guide.x2}" y2="${guide.y2}"` +
+        `${guide.gap ? ' class="snap-gap"' : ''}></line>`).join('');
+}
+
+function clearSnapGuides() {
+    drawSnapGuides([]);
+}
@@ -8,10 +8,13 @@
  *
  * State categories:
  * - Artwork tracking: artworkCounter, selectedArtwork, artworkAspectRatios
- * - Interaction state: isDragging, isResizing, dragOffset, isPreviewMode
- * - Persistence: savedLayouts
+ * - Interaction state: isDragging, isResizing, dragOffset, isPreviewMode, isShareView, dragStartStates
+ * - History: undoStack, redoStack
+ * - Persistence: savedLayouts, currentLayoutId, assetUrls
  * - Units/scale: currentUnits, currentArtworkUnits, wallScale
- * - Wall appearance: wallBackgroundImage
+ * - Wall appearance: wallBackgroundImage, wallBackgroundAssetId, wallShape, wallHanging, templateSlots
+ * - Walls: projectWalls, activeWallId
+ * - Pan/zoom: viewZoom, viewPanX, viewPanY, isPanning, touchPointers, pinchGesture
  */
 
 // Artwork tracking
@@ -24,9 +27,17 @@ let isDragging = false;           // True when artwork is being dragged
 let isResizing = false;           // True when artwork is being resized
 let dragOffset = { x: 0, y: 0 };  // Offset from mouse to artwork corner during drag
 let isPreviewMode = false;        // True when in room preview/zoom-out mode
+let isShareView = false;          // True while showing a layout from a share link (read-only)
+let dragStartStates = null;       // Artwork snapshots taken when a drag starts (for undo)
+
+// History
+let undoStack = [];               // Applied commands, most recent last
+let redoStack = [];               // Undone commands, next redo last
 
 // Persistence
 let savedLayouts = [];            // Array of saved layout configurations
+let currentLayoutId = null;       // Named layout the working wall came from (null = unsaved session)
+let assetUrls = new Map();        // Object URLs for images in the asset store, keyed by hash
 
 // Units and scale
 let currentUnits = 'inches';      // Current wall measurement units ('inches' or 'cm')
@@ -34,7 +45,15 @@ let currentArtworkUnits = 'inches'; // Current artwork measurement units ('inche
 let wallScale = 20;               // Pixels per inch — fixed base scale, visual zoom handled by pan/zoom transform
 
 // Wall appearance
-let wallBackgroundImage = null;   // Data URL of uploaded wall background image
+let wallBackgroundImage = null;   // Displayable URL of the wall background image
+let wallBackgroundAssetId = null; // Asset store hash of the wall background image
+let wallShape = null;             // Outline of a non-rectangular wall, { preset, points } (see wall-shape.js)
+let wallHanging = null;           // Floor and target hanging height, null for the defaults (see hanging.js)
+let templateSlots = [];           // Empty layout template slots on the wall on screen, in wall mm (see templates.js)
+
+// Walls
+let projectWalls = [];            // Array of {id, name, settings, artworks, obstacles}; settings/artworks are null for the wall on screen
+let activeWallId = null;          // Id of the wall on screen
 
 // Pan/zoom view state
 let viewZoom = 1.0;               // CSS scale factor applied to panZoomWrapper
@@ -43,11 +62,14 @@ let viewPanY = 0;                 // CSS translateY on panZoomWrapper (px)
 let isPanning = false;            // True when user is panning the canvas
 let panStartX = 0;                // Mouse X at pan start minus viewPanX
 let panStartY = 0;                // Mouse Y at pan start minus viewPanY
+let touchPointers = new Map();    // Fingers on the workspace by pointerId, { x, y } in screen px
+let pinchGesture = null;          // Two-finger pan/zoom in progress, see startPinchGesture()
 
 // Collection
-let collectionItems = [];         // Array of {id, src, name, dateAdded}
+let collectionItems = [];         // Array of {id, assetId, src, name, dateAdded}
 let collectionCounter = 0;        // Counter for generating unique collection IDs
 
 // Catalog
 let catalogItems = [];            // Array of {id, name, widthMm, heightMm, hasFrame, isArt, src}
 let catalogCounter = 0;           // Counter for generating unique catalog IDs
+let selectedCatalogIds = new Set(); // Catalog items ticked for arranging (see arrangement.js)
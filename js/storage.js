@@ -1,55 +1,48 @@
 /**
  * storage.js - Save/load functionality for Wallspace
  *
- * Dependencies: state.js, wall.js, artwork.js
+ * Dependencies: state.js, wall.js, artwork.js, asset-store.js, layout-schema.js,
+ *               validation.js, layout-manager.js, session.js, history.js, keyboard.js
  *
  * This file handles all data persistence operations:
- * - Save/load layouts to/from localStorage
- * - Export/import layouts as JSON files
+ * - Save/load layouts to/from localStorage (the list itself is drawn by layout-manager.js)
+ * - Export/import layouts as JSON files (whole-project .zip bundles are in project-bundle.js)
  * - Clear wall functionality
  *
+ * Images are never written to localStorage: layouts, the catalog and wall
+ * settings keep an `assetId` hash that points into the IndexedDB asset store.
+ * Layouts use the versioned format documented in layout-schema.js; older
+ * entries are migrated when they are loaded.
+ *
  * Key functions:
  * - loadSavedLayouts() - Load and display saved layouts from localStorage
  * - saveLayoutsToStorage() - Persist layouts array to localStorage
  * - saveLayout() - Save current wall configuration as a new layout
- * - loadLayout(index) - Restore a saved layout to the wall
- * - deleteLayout(index) - Remove a saved layout
+ * - loadLayout(id) - Restore a saved layout to the wall
+ * - deleteLayout(id) - Remove a saved layout
  * - clearWall() - Remove all artwork from the wall
- * - exportLayouts() - Download layouts as JSON file
- * - importLayouts(event) - Load layouts from JSON file
+ * - exportLayouts() - Download layouts as JSON file (images inlined)
+ * - importLayouts(event) - Load layouts from JSON file (validated per entry)
+ * - storeLayoutImages(layout) - Move a layout's inline images into the asset store
+ * - pruneUnusedAssets() - Drop stored images nothing references any more
  */
 
 // Load saved layouts from localStorage and render the list
 function loadSavedLayouts() {
     try {
         const stored = localStorage.getItem('wallArtLayouts');
-        savedLayouts = stored ? JSON.parse(stored) : [];
+        const layouts = stored ? JSON.parse(stored) : [];
+        savedLayouts = layouts.map(migrateLayout);
+        // Persist upgraded entries so the migration only runs once
+        if (savedLayouts.some((layout, i) => layout !== layouts[i])) {
+            saveLayoutsToStorage();
+        }
     } catch (error) {
         console.error('Error loading layouts:', error);
         savedLayouts = [];
     }
 
-    const container = document.getElementById('savedLayouts');
-    container.innerHTML = '';
-
-    if (savedLayouts.length === 0) {
-        container.innerHTML = '<p style="color: #666; text-align: center; grid-column: 1/-1;">No saved layouts yet. Create your first gallery layout!</p>';
-        return;
-    }
-
-    savedLayouts.forEach((layout, index) => {
-        const layoutDiv = document.createElement('div');
-        layoutDiv.className = 'layout-item';
-        layoutDiv.innerHTML = `
-            <div class="layout-preview">Gallery ${index + 1}</div>
-            <p><span>${layout.name}</span></p>
-            <p style="font-size: 12px; color: #666;">${layout.artworks.length} artworks</p>
-            <p style="font-size: 11px; color: #999;">${layout.date}</p>
-            <button onclick="loadLayout(${index})" style="margin: 5px 5px 0 0;">Load</button>
-            <button onclick="deleteLayout(${index})" style="background: #e74c3c;">Delete</button>
-        `;
-        container.appendChild(layoutDiv);
-    });
+    renderLayoutList();
 }
 
 // Save layouts array to localStorage
@@ -67,51 +60,15 @@ function saveLayoutsToStorage() {
 // Save current wall configuration as a new layout
 function saveLayout() {
     const name = `Gallery ${savedLayouts.length + 1}`;
-    const wallSettings = {
-        width: document.getElementById('wallWidth').value,
-        height: document.getElementById('wallHeight').value,
-        color: document.getElementById('wallColor').value,
-        units: document.getElementById('wallUnits').value,
-        backgroundImage: wallBackgroundImage
-    };
-
-    const artworks = [];
-    document.querySelectorAll('.artwork').forEach(artwork => {
-        const style = window.getComputedStyle(artwork);
-        const img = artwork.querySelector('img');
-        const frame = artwork.querySelector('.frame');
-        const matte = artwork.querySelector('.matte');
-
-        // Get frame and matte settings
-        const hasFrame = frame.style.display !== 'none' && frame.style.backgroundColor !== 'transparent';
-        const hasMatte = matte.style.display !== 'none' && matte.style.backgroundColor !== 'transparent';
-
-        artworks.push({
-            src: img.src,
-            left: style.left,
-            top: style.top,
-            width: style.width,
-            height: style.height,
-            hasFrame: hasFrame,
-            hasMatte: hasMatte,
-            frameColor: frame.style.backgroundColor,
-            matteColor: matte.style.backgroundColor,
-            aspectRatio: artworkAspectRatios.get(artwork.id) || 1
-        });
-    });
-
-    const newLayout = {
-        name: name,
-        wallSettings: wallSettings,
-        artworks: artworks,
-        date: new Date().toLocaleDateString(),
-        id: Date.now() // Unique ID
-    };
+    const newLayout = serializeLayout({ id: uniqueLayoutId(), name: name });
 
     savedLayouts.push(newLayout);
 
     if (saveLayoutsToStorage()) {
-        loadSavedLayouts();
+        // The working session now corresponds to this named layout
+        currentLayoutId = newLayout.id;
+        renderLayoutList();
+        saveSession();
 
         // Show success message
         const button = event.target;
@@ -125,68 +82,21 @@ function saveLayout() {
     }
 }
 
-// Load a saved layout by index
-function loadLayout(index) {
-    const layout = savedLayouts[index];
-
-    // Set wall settings
-    document.getElementById('wallWidth').value = layout.wallSettings.width;
-    document.getElementById('wallHeight').value = layout.wallSettings.height;
-    document.getElementById('wallColor').value = layout.wallSettings.color;
-
-    // Set wall units if saved
-    if (layout.wallSettings.units) {
-        document.getElementById('wallUnits').value = layout.wallSettings.units;
-        updateWallUnits();
-    }
-
-    // Set wall background image if saved
-    if (layout.wallSettings.backgroundImage) {
-        wallBackgroundImage = layout.wallSettings.backgroundImage;
-    } else {
-        wallBackgroundImage = null;
-    }
-
-    updateWall();
-
-    // Clear existing artworks (without confirmation)
-    clearArtworks();
-
-    // Add artworks
-    layout.artworks.forEach(artworkData => {
-        const wallContainer = document.getElementById('wallContainer');
-        const artwork = document.createElement('div');
-        artwork.className = 'artwork';
-        artwork.id = 'artwork-' + (++artworkCounter);
-
-        // Store aspect ratio if available
-        if (artworkData.aspectRatio) {
-            artworkAspectRatios.set(artwork.id, artworkData.aspectRatio);
-        }
-
-        artwork.innerHTML = `
-            <div class="frame" style="display: ${artworkData.hasFrame ? 'flex' : 'none'}; background-color: ${artworkData.frameColor || 'transparent'};">
-                <div class="matte" style="display: ${artworkData.hasMatte ? 'flex' : 'none'}; background-color: ${artworkData.matteColor || 'transparent'};">
-                    <div class="image-container">
-                        <img src="${artworkData.src}" alt="Artwork">
-                    </div>
-                </div>
-            </div>
-            <img src="${artworkData.src}" alt="Artwork" class="direct-img" style="display: ${artworkData.hasFrame || artworkData.hasMatte ? 'none' : 'block'};">
-            <div class="resize-handle"></div>
-        `;
-
-        artwork.style.left = artworkData.left;
-        artwork.style.top = artworkData.top;
-        artwork.style.width = artworkData.width;
-        artwork.style.height = artworkData.height;
-
-        wallContainer.appendChild(artwork);
-        setupArtworkEvents(artwork);
-    });
-
-    // Show success message
-    const button = event.target;
+// Load a saved layout by id
+function loadLayout(id) {
+    const layout = findLayout(id);
+    if (!layout) return;
+
+    deserializeLayout(layout);
+    currentLayoutId = layout.id;
+    saveSession();
+    renderLayoutList();
+
+    // Show success message (the list was re-rendered, so find the new button)
+    const item = Array.from(document.querySelectorAll('.layout-item'))
+        .find(el => el.dataset.layoutId === String(layout.id));
+    if (!item) return;
+    const button = item.querySelector('.layout-item-actions button');
     const originalText = button.textContent;
     button.textContent = '✅ Loaded!';
     button.style.background = '#27ae60';
@@ -196,17 +106,24 @@ function loadLayout(index) {
     }, 1500);
 }
 
-// Delete a saved layout by index
-function deleteLayout(index) {
-    if (confirm(`Are you sure you want to delete "${savedLayouts[index].name}"?`)) {
-        savedLayouts.splice(index, 1);
+// Delete a saved layout by id
+function deleteLayout(id) {
+    const layout = findLayout(id);
+    if (!layout) return;
+
+    if (confirm(`Are you sure you want to delete "${layout.name}"?`)) {
+        // The wall stays as it is, but is now an unsaved session
+        if (layout.id === currentLayoutId) currentLayoutId = null;
+        savedLayouts.splice(savedLayouts.indexOf(layout), 1);
         saveLayoutsToStorage();
-        loadSavedLayouts();
+        renderLayoutList();
+        pruneUnusedAssets();
+        renderSessionStatus();
 
         // Show success message briefly
         const container = document.getElementById('savedLayouts');
         const message = document.createElement('div');
-        message.style.cssText = 'grid-column: 1/-1; text-align: center; color: #e74c3c; font-weight: normal; padding: 10px;';
+        message.style.cssText = 'text-align: center; color: #e74c3c; font-weight: normal; padding: 10px; font-size: 12px;';
         message.textContent = '🗑️ Layout deleted successfully';
         container.prepend(message);
         setTimeout(() => message.remove(), 2000);
@@ -217,9 +134,13 @@ function deleteLayout(index) {
 function clearWall() {
     if (document.querySelectorAll('.artwork').length > 0) {
         if (confirm('Are you sure you want to clear all artwork from the wall?')) {
-            document.querySelectorAll('.artwork').forEach(artwork => artwork.remove());
+            const artworks = Array.from(document.querySelectorAll('.artwork'));
+            const before = captureArtworkStates(artworks);
+            artworks.forEach(artwork => artwork.remove());
+            recordArtworkChange('Clear wall', before, absentArtworkStates(before));
             selectedArtwork = null;
             _resetArtworkUI();
+            updateDistanceGuides();
         }
     }
 }
@@ -238,10 +159,41 @@ function _resetArtworkUI() {
     if (artworkDialog) artworkDialog.classList.remove('active');
 }
 
+// Convert a Blob back into a data URL so it can travel inside a JSON file
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
 // Export all layouts as a JSON file
-function exportLayouts() {
+// Asset references are replaced by inline data URLs so the file is portable
+async function exportLayouts() {
     try {
-        const dataStr = JSON.stringify(savedLayouts, null, 2);
+        const portable = JSON.parse(JSON.stringify(savedLayouts));
+        for (const layout of portable) {
+            // Thumbnails are re-rendered on import
+            layout.thumbnailAssetId = null;
+            for (const wall of layout.walls) {
+                for (const artwork of wall.artworks) {
+                    if (artwork.assetId) {
+                        const blob = await loadAsset(artwork.assetId);
+                        if (blob) artwork.src = await blobToDataUrl(blob);
+                        artwork.assetId = null;
+                    }
+                }
+                if (wall.backgroundAssetId) {
+                    const blob = await loadAsset(wall.backgroundAssetId);
+                    if (blob) wall.backgroundImage = await blobToDataUrl(blob);
+                    wall.backgroundAssetId = null;
+                }
+            }
+        }
+
+        const dataStr = JSON.stringify(portable, null, 2);
         const dataBlob = new Blob([dataStr], {type: 'application/json'});
         const url = URL.createObjectURL(dataBlob);
         const link = document.createElement('a');
@@ -256,30 +208,77 @@ function exportLayouts() {
     }
 }
 
-// Import layouts from a JSON file
+// Move a layout's inline (data URL) images into the asset store
+async function storeLayoutImages(layout) {
+    for (const wall of layout.walls) {
+        for (const artwork of wall.artworks) {
+            if (isDataUrl(artwork.src)) {
+                artwork.assetId = await storeAsset(artwork.src);
+                artwork.src = null;
+            }
+        }
+        if (isDataUrl(wall.backgroundImage)) {
+            wall.backgroundAssetId = await storeAsset(wall.backgroundImage);
+            wall.backgroundImage = null;
+        }
+    }
+}
+
+// Import layouts from a JSON file. Entries are validated one by one (see
+// validation.js); invalid entries are reported and left out, and layouts that
+// are already saved here unchanged are skipped.
 function importLayouts(event) {
     const file = event.target.files[0];
     if (!file) return;
 
     const reader = new FileReader();
-    reader.onload = function(e) {
+    reader.onload = async function(e) {
+        let parsed;
         try {
-            const importedLayouts = JSON.parse(e.target.result);
+            parsed = JSON.parse(e.target.result);
+        } catch (error) {
+            alert('❌ Error importing file: it is not valid JSON');
+            return;
+        }
 
-            if (!Array.isArray(importedLayouts)) {
-                throw new Error('Invalid file format');
-            }
+        const { valid, rejected } = validateLayoutList(parsed);
+        const duplicates = valid.filter(layout => {
+            const existing = layout.id != null && findLayout(layout.id);
+            return existing && layout.name === existing.name && layoutContent(layout) === layoutContent(existing);
+        });
+        const importedLayouts = valid.filter(layout => !duplicates.includes(layout));
+        const report = rejected.length
+            ? `\n\n${rejected.length} entr${rejected.length !== 1 ? 'ies were' : 'y was'} rejected:\n${formatValidationReport(rejected)}`
+            : '';
+        const skipped = duplicates.length
+            ? `\n${duplicates.length} layout${duplicates.length !== 1 ? 's are' : ' is'} already saved and will be skipped.`
+            : '';
+
+        if (!importedLayouts.length) {
+            alert(`❌ Nothing to import.${skipped}${report}`);
+            return;
+        }
+
+        const confirmMsg = `Import ${importedLayouts.length} layouts? This will add to your existing layouts (won't replace them).${skipped}${report}`;
+        if (!confirm(confirmMsg)) return;
 
-            const confirmMsg = `Import ${importedLayouts.length} layouts? This will add to your existing layouts (won't replace them).`;
-            if (confirm(confirmMsg)) {
+        try {
+            for (const layout of importedLayouts) {
+                // Keep ids unique; every layout action is keyed by id
+                if (layout.id == null || findLayout(layout.id)) {
+                    layout.id = uniqueLayoutId();
+                }
+                await storeLayoutImages(layout);
                 // Add imported layouts to existing ones
-                savedLayouts.push(...importedLayouts);
-                saveLayoutsToStorage();
-                loadSavedLayouts();
-                alert(`✅ Successfully imported ${importedLayouts.length} layouts!`);
+                savedLayouts.push(layout);
             }
+            saveLayoutsToStorage();
+            renderLayoutList();
+            alert(`✅ Successfully imported ${importedLayouts.length} layouts!`);
         } catch (error) {
-            alert('❌ Error importing file: Invalid format or corrupted file');
+            saveLayoutsToStorage();
+            renderLayoutList();
+            alert('❌ Error importing file: ' + error.message);
         }
     };
     reader.readAsText(file);
@@ -290,12 +289,17 @@ function importLayouts(event) {
 
 // Auto-save wall settings to localStorage
 function saveWallSettings() {
+    // A shared layout being viewed must not replace the user's own wall
+    if (isShareView) return;
     try {
         localStorage.setItem('wallspace_wall_settings', JSON.stringify({
             width:  document.getElementById('wallWidth').value,
             height: document.getElementById('wallHeight').value,
             color:  document.getElementById('wallColor').value,
             units:  document.getElementById('wallUnits').value,
+            backgroundAssetId: wallBackgroundAssetId,
+            shape:  wallShape,
+            hanging: wallHanging,
         }));
     } catch (e) { console.warn('saveWallSettings failed:', e); }
 }
@@ -313,5 +317,50 @@ function restoreWallSettings() {
             document.getElementById('wallUnits').value = s.units;
             currentUnits = s.units; // sync state var so updateWallUnits() doesn't double-convert
         }
+        if (s.shape) wallShape = s.shape;
+        if (s.hanging) wallHanging = s.hanging;
+        if (s.backgroundAssetId) {
+            // Resolved asynchronously — updateWall() runs again once the image is ready
+            wallBackgroundAssetId = s.backgroundAssetId;
+            getAssetUrl(s.backgroundAssetId).then(url => {
+                if (url && wallBackgroundAssetId === s.backgroundAssetId) {
+                    wallBackgroundImage = url;
+                    updateWall();
+                }
+            }).catch(e => console.warn('Wall background image unavailable:', e));
+        }
     } catch (e) { console.warn('restoreWallSettings failed:', e); }
 }
+
+// Collect every asset hash still referenced by layouts, the autosaved session,
+// the catalog and collection, the backgrounds and artworks of the project's
+// walls, the undo and redo steps or the clipboard, and delete the rest
+function pruneUnusedAssets() {
+    const keep = new Set();
+    const keepLayout = layout => {
+        layout.walls.forEach(wall => {
+            wall.artworks.forEach(a => { if (a.assetId) keep.add(a.assetId); });
+            if (wall.backgroundAssetId) keep.add(wall.backgroundAssetId);
+        });
+        if (layout.thumbnailAssetId) keep.add(layout.thumbnailAssetId);
+    };
+    savedLayouts.forEach(keepLayout);
+    if (typeof readStoredSession === 'function') {
+        [readStoredSession(), pendingSession].forEach(session => {
+            if (session) keepLayout(session.layout);
+        });
+    }
+    catalogItems.forEach(item => { if (item.assetId) keep.add(item.assetId); });
+    collectionItems.forEach(item => { if (item.assetId) keep.add(item.assetId); });
+    if (wallBackgroundAssetId) keep.add(wallBackgroundAssetId);
+    projectWalls.forEach(wall => {
+        if (wall.settings && wall.settings.backgroundAssetId) keep.add(wall.settings.backgroundAssetId);
+        getWallArtworkElements(wall).forEach(artwork => {
+            if (artwork.dataset.assetId) keep.add(artwork.dataset.assetId);
+        });
+    });
+    // Undo, redo and paste can bring back pieces that are on no wall
+    if (typeof historyAssetIds === 'function') historyAssetIds().forEach(id => keep.add(id));
+    if (typeof clipboardAssetIds === 'function') clipboardAssetIds().forEach(id => keep.add(id));
+    return deleteUnusedAssets(keep).catch(e => console.warn('pruneUnusedAssets failed:', e));
+}
@@ -0,0 +1,309 @@
+/**
+ * templates.js - Gallery layout templates with drop-in slots for Wallspace
+ *
+ * Dependencies: utils.js, state.js, framing.js, selection.js, history.js,
+ *               layout-schema.js, catalog.js, hanging.js
+ *
+ * A template is a named set of sized slots placed around a center:
+ *   { id, name, slots: [{ xMm, yMm, widthMm, heightMm }] }
+ * where xMm/yMm is the slot's middle relative to the template's center
+ * (y pointing down, like the wall). The built-in ones are below; templates
+ * the user saves are kept in localStorage.
+ *
+ * Showing a template draws its slots as empty outlines on the wall on screen,
+ * centered across the wall and at its hanging height (see hanging.js). The
+ * slots are a planning aid, not part of the layout: they are cleared when
+ * another wall or layout is shown. A catalog item dropped onto an empty slot
+ * is sized to fit inside it, keeping its proportions, and centered in it; a
+ * slot counts as filled once an artwork's middle is inside it. A piece
+ * dropped anywhere else is placed as usual.
+ *
+ * "Save as template" turns the selected artworks (or every artwork on the
+ * wall when none is selected) into slots the size of the box each covers.
+ *
+ * Key functions:
+ * - applySelectedTemplate() - Draw the chosen template's slots on the wall
+ * - clearTemplateSlots() - Remove the slots
+ * - findTemplateSlotAt(x, y) - Empty slot under a wall point, or null
+ * - placeCatalogItemInSlot(item, slot) - Add a catalog item fitted to a slot
+ * - saveSelectionAsTemplate() / deleteSelectedTemplate() - Manage user templates
+ */
+
+const TEMPLATES_KEY = 'wallspace_layout_templates';
+const MAX_TEMPLATE_NAME_LENGTH = 60;
+
+// Slot in inches: middle (x, y) from the template's center, then size
+function inchSlot(x, y, width, height) {
+    return {
+        xMm:      roundMm(unitsToMm(x, 'inches')),
+        yMm:      roundMm(unitsToMm(y, 'inches')),
+        widthMm:  roundMm(unitsToMm(width, 'inches')),
+        heightMm: roundMm(unitsToMm(height, 'inches')),
+    };
+}
+
+// All built-ins leave 2" between neighbouring slots
+const BUILT_IN_TEMPLATES = [
+    {
+        id:   'grid-3x3',
+        name: '3×3 grid',
+        slots: [-1, 0, 1].reduce((slots, row) =>
+            slots.concat([-1, 0, 1].map(column => inchSlot(column * 14, row * 18, 12, 16))), []),
+    },
+    {
+        id:   'two-over-three',
+        name: '2-over-3',
+        slots: [
+            inchSlot(-11, -9, 20, 16), inchSlot(11, -9, 20, 16),
+            inchSlot(-14, 9, 12, 16), inchSlot(0, 9, 12, 16), inchSlot(14, 9, 12, 16),
+        ],
+    },
+    {
+        id:   'cross',
+        name: 'Cross',
+        slots: [
+            inchSlot(0, 0, 16, 20),
+            inchSlot(0, -19, 14, 11), inchSlot(0, 19, 14, 11),
+            inchSlot(-15.5, 0, 11, 14), inchSlot(15.5, 0, 11, 14),
+        ],
+    },
+    {
+        id:   'salon-7',
+        name: '7-piece salon',
+        slots: [
+            inchSlot(0, 0, 20, 24),
+            inchSlot(0, -20, 16, 12), inchSlot(0, 18, 14, 8),
+            inchSlot(-17.5, -5, 11, 14), inchSlot(-16, 9, 8, 10),
+            inchSlot(16, -7, 8, 10), inchSlot(17.5, 7, 11, 14),
+        ],
+    },
+];
+
+let userTemplates = [];           // Templates saved by the user, same shape as the built-ins
+
+// ─── LIBRARY ─────────────────────────────────────────────────────────────────
+
+function allTemplates() {
+    return BUILT_IN_TEMPLATES.concat(userTemplates);
+}
+
+function isTemplateSlot(slot) {
+    return slot && ['xMm', 'yMm', 'widthMm', 'heightMm'].every(key => typeof slot[key] === 'number' && isFinite(slot[key])) &&
+        slot.widthMm > 0 && slot.heightMm > 0;
+}
+
+function loadUserTemplates() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TEMPLATES_KEY) || '[]');
+        userTemplates = Array.isArray(saved)
+            ? saved.filter(t => t && typeof t.id === 'string' && typeof t.name === 'string' &&
+                Array.isArray(t.slots) && t.slots.length > 0 && t.slots.every(isTemplateSlot))
+            : [];
+    } catch (e) { console.warn('Loading layout templates failed:', e); }
+}
+
+function saveUserTemplates() {
+    try {
+        localStorage.setItem(TEMPLATES_KEY, JSON.stringify(userTemplates));
+        return true;
+    } catch (e) {
+        console.warn('Saving layout templates failed:', e);
+        return false;
+    }
+}
+
+function renderTemplateList(selectId) {
+    const select = document.getElementById('templateSelect');
+    const chosen = selectId || select.value;
+    select.innerHTML = '';
+    allTemplates().forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = `${template.name} (${template.slots.length})`;
+        select.appendChild(option);
+    });
+    if (allTemplates().some(template => template.id === chosen)) select.value = chosen;
+    updateTemplateButtons();
+}
+
+// Only the user's own templates can be deleted
+function updateTemplateButtons() {
+    const id = document.getElementById('templateSelect').value;
+    document.getElementById('deleteTemplateButton').disabled = !userTemplates.some(template => template.id === id);
+}
+
+// ─── SLOTS ───────────────────────────────────────────────────────────────────
+
+// Place a template's slots on the wall on screen, in wall mm
+function applyTemplate(template) {
+    const wallContainer = document.getElementById('wallContainer');
+    const left = Math.min(...template.slots.map(slot => slot.xMm - slot.widthMm / 2));
+    const right = Math.max(...template.slots.map(slot => slot.xMm + slot.widthMm / 2));
+    const top = Math.min(...template.slots.map(slot => slot.yMm - slot.heightMm / 2));
+    const bottom = Math.max(...template.slots.map(slot => slot.yMm + slot.heightMm / 2));
+
+    // Centered across the wall, at the wall's hanging height
+    const shiftX = pixelsToMm(wallContainer.offsetWidth) / 2 - (left + right) / 2;
+    const shiftY = pixelsToMm(hangingTargetTop(mmToPixels(bottom - top))) - top;
+    templateSlots = template.slots.map(slot => ({
+        xMm:      roundMm(slot.xMm - slot.widthMm / 2 + shiftX),
+        yMm:      roundMm(slot.yMm - slot.heightMm / 2 + shiftY),
+        widthMm:  slot.widthMm,
+        heightMm: slot.heightMm,
+    }));
+    renderTemplateSlots();
+}
+
+function applySelectedTemplate() {
+    const template = allTemplates().find(t => t.id === document.getElementById('templateSelect').value);
+    if (template) applyTemplate(template);
+}
+
+function clearTemplateSlots() {
+    templateSlots = [];
+    renderTemplateSlots();
+}
+
+function renderTemplateSlots() {
+    const layer = document.getElementById('templateSlotLayer');
+    if (!layer) return;
+    layer.innerHTML = '';
+    const format = mm => Number(mmToUnits(mm, currentUnits).toFixed(1));
+    templateSlots.forEach(slot => {
+        const el = document.createElement('div');
+        el.className = 'template-slot';
+        el.style.left = mmToPixels(slot.xMm) + 'px';
+        el.style.top = mmToPixels(slot.yMm) + 'px';
+        el.style.width = mmToPixels(slot.widthMm) + 'px';
+        el.style.height = mmToPixels(slot.heightMm) + 'px';
+        el.textContent = `${format(slot.widthMm)} × ${format(slot.heightMm)}`;
+        layer.appendChild(el);
+    });
+    document.getElementById('clearSlotsButton').disabled = templateSlots.length === 0;
+}
+
+function slotContains(slot, xMm, yMm) {
+    return xMm >= slot.xMm && xMm <= slot.xMm + slot.widthMm && yMm >= slot.yMm && yMm <= slot.yMm + slot.heightMm;
+}
+
+// A slot is filled once an artwork's middle lies inside it
+function isTemplateSlotFilled(slot) {
+    return Array.from(document.querySelectorAll('#wallContainer .artwork')).some(artwork => {
+        const box = getArtworkBounds(artwork);
+        return slotContains(slot, pixelsToMm(box.left + box.width / 2), pixelsToMm(box.top + box.height / 2));
+    });
+}
+
+// Empty slot containing a wall point (px); the smallest where slots overlap
+function findTemplateSlotAt(x, y) {
+    const hits = templateSlots.filter(slot => slotContains(slot, pixelsToMm(x), pixelsToMm(y)) && !isTemplateSlotFilled(slot));
+    hits.sort((a, b) => a.widthMm * a.heightMm - b.widthMm * b.heightMm);
+    return hits[0] || null;
+}
+
+// ─── FILLING SLOTS ───────────────────────────────────────────────────────────
+
+// Largest size with the given proportions that fits the slot, centered in it
+function fitToSlot(slot, aspectRatio) {
+    const widthMm = Math.min(slot.widthMm, slot.heightMm * aspectRatio);
+    const heightMm = widthMm / aspectRatio;
+    return {
+        widthMm:  widthMm,
+        heightMm: heightMm,
+        xMm:      slot.xMm + (slot.widthMm - widthMm) / 2,
+        yMm:      slot.yMm + (slot.heightMm - heightMm) / 2,
+    };
+}
+
+// Add a catalog item fitted into a slot, as one undo step. An item without a
+// size takes its image's proportions, so the image is read before placing it.
+function placeCatalogItemInSlot(item, slot) {
+    if ((item.widthMm && item.heightMm) || !item.src) {
+        addArtworkToSlot(item, slot, item.widthMm && item.heightMm ? item.widthMm / item.heightMm : null);
+        return;
+    }
+    const image = new Image();
+    image.onload = () => addArtworkToSlot(item, slot, image.naturalWidth / image.naturalHeight);
+    image.onerror = () => addArtworkToSlot(item, slot, null);
+    image.src = item.src;
+}
+
+function addArtworkToSlot(item, slot, aspectRatio) {
+    // The slots may have been cleared, or filled, while the image loaded
+    if (!templateSlots.includes(slot) || isTemplateSlotFilled(slot)) return;
+
+    const fit = fitToSlot(slot, aspectRatio || 1);
+    const artwork = deserializeArtwork({
+        assetId:       item.assetId || null,
+        src:           item.assetId ? null : item.src || buildPlaceholderSrc(item.name),
+        catalogId:     item.id,
+        xMm:           roundMm(fit.xMm),
+        yMm:           roundMm(fit.yMm),
+        imageWidthMm:  roundMm(fit.widthMm),
+        imageHeightMm: roundMm(fit.heightMm),
+        frame: { enabled: false, color: DEFAULT_FRAME_COLOR, widthMm: DEFAULT_FRAMING_WIDTH_MM },
+        matte: { enabled: false, color: DEFAULT_MATTE_COLOR, widthMm: DEFAULT_FRAMING_WIDTH_MM },
+        rotation:      0,
+        units:         currentArtworkUnits,
+        aspectRatio:   aspectRatio,
+    });
+    recordArtworkAdded(artwork, `Add "${item.name}" to slot`);
+
+    if (item.src && typeof analyzeArtworkForFraming === 'function') {
+        analyzeArtworkForFraming(artwork, item.src);
+    }
+}
+
+// ─── SAVING ──────────────────────────────────────────────────────────────────
+
+function saveSelectionAsTemplate() {
+    const selection = getSelectedArtworks();
+    const artworks = selection.length ? selection : Array.from(document.querySelectorAll('.artwork'));
+    if (artworks.length === 0) {
+        alert('Place some artworks on the wall first, then save them as a template.');
+        return;
+    }
+    const name = prompt('Name for the template:', `My template ${userTemplates.length + 1}`);
+    if (name === null) return;
+
+    const boxes = artworks.map(artwork => getArtworkBounds(artwork));
+    const centerX = (Math.min(...boxes.map(box => box.left)) + Math.max(...boxes.map(box => box.right))) / 2;
+    const centerY = (Math.min(...boxes.map(box => box.top)) + Math.max(...boxes.map(box => box.bottom))) / 2;
+    const template = {
+        id:   'user-' + Date.now(),
+        name: name.trim().slice(0, MAX_TEMPLATE_NAME_LENGTH) || `My template ${userTemplates.length + 1}`,
+        slots: boxes.map(box => ({
+            xMm:      roundMm(pixelsToMm(box.left + box.width / 2 - centerX)),
+            yMm:      roundMm(pixelsToMm(box.top + box.height / 2 - centerY)),
+            widthMm:  roundMm(pixelsToMm(box.width)),
+            heightMm: roundMm(pixelsToMm(box.height)),
+        })),
+    };
+
+    userTemplates.push(template);
+    if (!saveUserTemplates()) {
+        userTemplates.pop();
+        alert('❌ Unable to save the template. Your browser storage might be full.');
+        return;
+    }
+    renderTemplateList(template.id);
+    alert(`✅ Saved "${template.name}" with ${template.slots.length} slot${template.slots.length !== 1 ? 's' : ''}.`);
+}
+
+function deleteSelectedTemplate() {
+    const id = document.getElementById('templateSelect').value;
+    const template = userTemplates.find(t => t.id === id);
+    if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
+    userTemplates = userTemplates.filter(t => t.id !== id);
+    saveUserTemplates();
+    renderTemplateList();
+}
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+
+function initTemplates() {
+    loadUserTemplates();
+    renderTemplateList();
+    renderTemplateSlots();
+    document.getElementById('templateSelect').addEventListener('change', updateTemplateButtons);
+}
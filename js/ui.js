@@ -1,12 +1,16 @@
 /**
  * ui.js - UI interactions and dialog management for Wallspace
  *
- * Dependencies: state.js, wall.js, artwork.js, distance-guides.js
+ * Dependencies: state.js, wall.js, artwork.js, distance-guides.js, history.js,
+ *               obstacles.js, wall-shape.js, grid.js, artwork-resize.js,
+ *               selection.js, smart-snap.js, position.js
  *
  * This file handles all UI interactions:
  * - Dialog positioning and management
  * - Collapsible section toggles
- * - Global mouse event handlers for drag/resize
+ * - Global pointer event handlers for drag/resize, so a mouse, a finger and
+ *   a pen all drag artworks and pan the wall the same way
+ * - Two-finger pan and pinch zoom on touch screens
  * - Click outside dialog handling
  * - Window resize handling
  *
@@ -14,15 +18,34 @@
  * - toggleSection(sectionId) - Toggle collapsible section visibility
  * - positionDialog(artwork, dialog) - Position dialog next to selected artwork
  * - initUIEventHandlers() - Set up all global event listeners
+ * - endPointerGesture() - Finish a drag, resize or pan
  */
 
 // ─── PAN / ZOOM ──────────────────────────────────────────────────────────────
 
+const VIEW_ZOOM_MIN = 0.05;
+const VIEW_ZOOM_MAX = 5;
+
+// Screen size of the resize handles; larger where the pointer is a finger
+function resizeHandleScreenSize() {
+    const coarse = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+    return coarse ? 20 : 10;
+}
+
 function applyViewTransform() {
     const wrapper = document.getElementById('panZoomWrapper');
     if (wrapper) {
         wrapper.style.transform = `translate(${viewPanX}px, ${viewPanY}px) scale(${viewZoom})`;
+        // Resize handles stay the same size on screen
+        wrapper.style.setProperty('--handle-size', (resizeHandleScreenSize() / viewZoom) + 'px');
     }
+    // Rulers live outside the transform and grid lines stay 1 screen px wide
+    if (typeof renderRulers === 'function') {
+        renderGrid();
+        renderRulers();
+    }
+    // Centerline labels too keep their size on screen
+    if (typeof renderCenterline === 'function') renderCenterline();
 }
 
 function initViewTransform() {
@@ -63,7 +86,7 @@ function initPanZoom() {
     workspace.addEventListener('wheel', function(e) {
         e.preventDefault();
         const factor = e.deltaY < 0 ? 1.08 : 1 / 1.08;
-        const newZoom = Math.max(0.05, Math.min(5, viewZoom * factor));
+        const newZoom = Math.max(VIEW_ZOOM_MIN, Math.min(VIEW_ZOOM_MAX, viewZoom * factor));
         const rect = workspace.getBoundingClientRect();
         const mx = e.clientX - rect.left;
         const my = e.clientY - rect.top;
@@ -73,10 +96,19 @@ function initPanZoom() {
         applyViewTransform();
     }, { passive: false });
 
-    // Mousedown on wall background — start pan
-    wallContainer.addEventListener('mousedown', function(e) {
+    // Fingers are tracked before anything else sees them, so a second finger
+    // turns whatever the first one started into a pinch
+    workspace.addEventListener('pointerdown', trackTouchPointer, true);
+    document.addEventListener('pointermove', trackTouchPointer);
+    document.addEventListener('pointerup', releaseTouchPointer);
+    document.addEventListener('pointercancel', releaseTouchPointer);
+
+    // Pointer down on wall background — start pan
+    wallContainer.addEventListener('pointerdown', function(e) {
         if (e.target.closest('.artwork')) return;
-        if (isPreviewMode) return;
+        if (isPreviewMode || pinchGesture) return;
+        // Shift/ctrl/cmd-drag draws a selection rectangle (see selection.js)
+        if (e.shiftKey || e.ctrlKey || e.metaKey) return;
         isPanning = true;
         panStartX = e.clientX - viewPanX;
         panStartY = e.clientY - viewPanY;
@@ -85,6 +117,62 @@ function initPanZoom() {
     });
 }
 
+// ─── TOUCH GESTURES ──────────────────────────────────────────────────────────
+
+// Two fingers pan and pinch-zoom together: the wall point that was under the
+// fingers' midpoint when they touched down stays under the midpoint
+
+function touchMidpoint() {
+    const rect = document.querySelector('.workspace').getBoundingClientRect();
+    const [a, b] = Array.from(touchPointers.values());
+    return {
+        x:        (a.x + b.x) / 2 - rect.left,
+        y:        (a.y + b.y) / 2 - rect.top,
+        distance: Math.hypot(b.x - a.x, b.y - a.y),
+    };
+}
+
+function trackTouchPointer(e) {
+    if (e.pointerType !== 'touch') return;
+    if (e.type === 'pointerdown') {
+        touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (touchPointers.size === 2) startPinchGesture();
+    } else if (touchPointers.has(e.pointerId)) {
+        touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (pinchGesture) movePinchGesture();
+    }
+}
+
+function releaseTouchPointer(e) {
+    if (!touchPointers.delete(e.pointerId)) return;
+    if (touchPointers.size < 2) pinchGesture = null;
+}
+
+function startPinchGesture() {
+    // A one-finger drag, resize or pan that was under way gives way to the pinch
+    endPointerGesture();
+    if (typeof endObstacleDrag === 'function') endObstacleDrag();
+    const start = touchMidpoint();
+    pinchGesture = {
+        x:        start.x,
+        y:        start.y,
+        distance: start.distance || 1,
+        zoom:     viewZoom,
+        panX:     viewPanX,
+        panY:     viewPanY,
+    };
+}
+
+function movePinchGesture() {
+    const now = touchMidpoint();
+    const zoom = Math.max(VIEW_ZOOM_MIN, Math.min(VIEW_ZOOM_MAX,
+        pinchGesture.zoom * now.distance / pinchGesture.distance));
+    viewPanX = now.x - (pinchGesture.x - pinchGesture.panX) * (zoom / pinchGesture.zoom);
+    viewPanY = now.y - (pinchGesture.y - pinchGesture.panY) * (zoom / pinchGesture.zoom);
+    viewZoom = zoom;
+    applyViewTransform();
+}
+
 // ─── SIDEBAR ─────────────────────────────────────────────────────────────────
 
 // Toggle sidebar open/closed
@@ -141,8 +229,11 @@ function positionDialog(artwork, dialog) {
 
 // Initialize all UI event handlers
 function initUIEventHandlers() {
-    // Global mouse events for dragging and resizing
-    document.addEventListener('mousemove', function(e) {
+    // Global pointer events for dragging and resizing
+    document.addEventListener('pointermove', function(e) {
+        // Fingers on the workspace are handled by the pinch gesture
+        if (pinchGesture) return;
+
         // Handle panning
         if (isPanning) {
             viewPanX = e.clientX - panStartX;
@@ -158,8 +249,16 @@ function initUIEventHandlers() {
             return;
         }
 
-        if (isDragging && selectedArtwork) {
-            // Move custom animated cursor with the mouse
+        if (isDragging && selectedArtwork && getSelectedArtworks().length > 1) {
+            const wallRect = document.getElementById('wallContainer').getBoundingClientRect();
+            moveArtworkGroup(getSelectedArtworks(),
+                (e.clientX - wallRect.left) / viewZoom - dragOffset.x,
+                (e.clientY - wallRect.top) / viewZoom - dragOffset.y, e.altKey);
+            updateDistanceGuides();
+            updateObstacleWarnings();
+            updatePositionFields();
+        } else if (isDragging && selectedArtwork) {
+            // Move custom animated cursor with the pointer
             const cursor = document.getElementById('custom-drag-cursor');
             if (cursor) {
                 cursor.style.left = e.clientX + 'px';
@@ -173,58 +272,41 @@ function initUIEventHandlers() {
             let newX = (e.clientX - wallRect.left) / viewZoom - dragOffset.x;
             let newY = (e.clientY - wallRect.top) / viewZoom - dragOffset.y;
 
-            // Keep within bounds
-            newX = Math.max(0, Math.min(newX, wallContainer.offsetWidth - selectedArtwork.offsetWidth));
-            newY = Math.max(0, Math.min(newY, wallContainer.offsetHeight - selectedArtwork.offsetHeight));
-
-            selectedArtwork.style.left = newX + 'px';
-            selectedArtwork.style.top = newY + 'px';
-
-            // Update distance guides while dragging
+            // Keep within bounds, by the box the (possibly rotated) piece covers
+            const bounds = getArtworkBounds(selectedArtwork);
+            const clampX = x => Math.max(-bounds.offsetX, Math.min(x, wallContainer.offsetWidth - bounds.width - bounds.offsetX));
+            const clampY = y => Math.max(-bounds.offsetY, Math.min(y, wallContainer.offsetHeight - bounds.height - bounds.offsetY));
+            newX = clampX(newX);
+            newY = clampY(newY);
+
+            // Snap to other pieces, the centerlines, equal gaps or the grid
+            // (Alt turns snapping off), then back within bounds when the
+            // snap would push the piece off the wall
+            const snapped = snapArtworkMove([selectedArtwork], newX, newY, e.altKey);
+            newX = clampX(snapped.x);
+            newY = clampY(snapped.y);
+
+            // Stay inside a sloped or stepped wall, and off windows, outlets
+            // etc. when that is switched on
+            const onWall = constrainToWallOutline(selectedArtwork, newX, newY);
+            const allowed = constrainArtworkMove(selectedArtwork, onWall.x, onWall.y);
+
+            selectedArtwork.style.left = allowed.x + 'px';
+            selectedArtwork.style.top = allowed.y + 'px';
+
+            // Update distance guides, overlap warnings and the position fields while dragging
             updateDistanceGuides();
+            updateObstacleWarnings();
+            updatePositionFields();
         } else if (isResizing && selectedArtwork) {
-            // Resize functionality disabled - use sidebar dimension inputs instead
-            // const wallContainer = document.getElementById('wallContainer');
-            // const wallRect = wallContainer.getBoundingClientRect();
-            // const artworkRect = selectedArtwork.getBoundingClientRect();
-
-            // let newWidth = e.clientX - artworkRect.left;
-            // let newHeight = e.clientY - artworkRect.top;
-
-            // // Maintain aspect ratio
-            // const aspectRatio = selectedArtwork.offsetWidth / selectedArtwork.offsetHeight;
-            // if (newWidth / newHeight > aspectRatio) {
-            //     newWidth = newHeight * aspectRatio;
-            // } else {
-            //     newHeight = newWidth / aspectRatio;
-            // }
-
-            // // Minimum size
-            // newWidth = Math.max(50, newWidth);
-            // newHeight = Math.max(50, newHeight);
-
-            // selectedArtwork.style.width = newWidth + 'px';
-            // selectedArtwork.style.height = newHeight + 'px';
-
-            // // Update distance guides while resizing
-            // updateDistanceGuides();
+            // Handles keep frame and matte widths; see artwork-resize.js
+            moveArtworkResize(e);
         }
     });
 
-    // Mouse up - end drag/resize/pan operations
-    document.addEventListener('mouseup', function() {
-        if (isPanning) {
-            isPanning = false;
-            document.body.style.cursor = '';
-        }
-        if (!isPreviewMode) {
-            isDragging = false;
-            isResizing = false;
-            const cursor = document.getElementById('custom-drag-cursor');
-            if (cursor) cursor.classList.remove('active');
-            document.body.classList.remove('dragging-artwork');
-        }
-    });
+    // Pointer up - end drag/resize/pan operations
+    document.addEventListener('pointerup', endPointerGesture);
+    document.addEventListener('pointercancel', endPointerGesture);
 
     // Deselect artwork when clicking outside (on the wall or workspace)
     document.addEventListener('click', function(e) {
@@ -232,23 +314,45 @@ function initUIEventHandlers() {
         if (isPreviewMode) return;
 
         const artworkPanel = document.getElementById('artworkPanel');
-        const artwork = selectedArtwork;
         const wallContainer = document.getElementById('wallContainer');
 
-        // Check if click is on the wall container but not on any artwork or sidebar
-        if (artwork &&
+        // Check if click is on the wall container but not on any artwork or
+        // sidebar; with shift/ctrl/cmd held it ends a selection rectangle instead
+        if (selectedArtwork &&
             wallContainer.contains(e.target) &&
             !e.target.closest('.artwork') &&
-            !artworkPanel.contains(e.target)) {
-            // Hide sidebar artwork panel
-            artworkPanel.style.display = 'none';
-            artwork.classList.remove('selected');
-            selectedArtwork = null;
-
-            // Clear distance guides when deselecting
-            updateDistanceGuides();
+            !artworkPanel.contains(e.target) &&
+            !(e.shiftKey || e.ctrlKey || e.metaKey)) {
+            // Hides the sidebar artwork panel and clears distance guides
+            clearArtworkSelection();
         }
     });
 
     initPanZoom();
 }
+
+// End a drag, resize or pan, recording a moved or resized artwork for undo
+function endPointerGesture() {
+    if (isPanning) {
+        isPanning = false;
+        document.body.style.cursor = '';
+    }
+    // A whole drag gesture is one undo step
+    if (isDragging && dragStartStates) {
+        const moved = dragStartStates.map(state => document.getElementById(state.id)).filter(Boolean);
+        const after = captureArtworkStates(moved);
+        recordArtworkChange(moved.length > 1 ? 'Move artworks' : 'Move artwork', dragStartStates, after);
+        // A click without moving on a piece of a group selects just that piece
+        if (moved.length > 1 && statesEqual(dragStartStates, after)) selectArtwork(selectedArtwork);
+    }
+    dragStartStates = null;
+    clearSnapGuides();
+    endArtworkResize();
+    if (!isPreviewMode) {
+        isDragging = false;
+        isResizing = false;
+        const cursor = document.getElementById('custom-drag-cursor');
+        if (cursor) cursor.classList.remove('active');
+        document.body.classList.remove('dragging-artwork');
+    }
+}
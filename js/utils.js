@@ -12,6 +12,10 @@
  * - cmToInches(cm) - Convert centimeters to inches
  * - unitsToPixels(value, units) - Convert physical units to screen pixels
  * - pixelsToUnits(pixels, units) - Convert screen pixels to physical units
+ * - mmToPixels(mm) / pixelsToMm(pixels) - Millimetres <-> screen pixels
+ * - unitsToMm(value, units) / mmToUnits(mm, units) - Physical units <-> millimetres
+ * - roundMm(mm) - Round to the micrometre precision used in saved layouts
+ * - escapeHtml(text) - Escape user text for use inside innerHTML templates
  */
 
 // Convert inches to centimeters
@@ -41,3 +45,39 @@ function pixelsToUnits(pixels, units) {
     // Convert to target units
     return units === 'cm' ? inchesToCm(inches) : inches;
 }
+
+// Convert millimetres to screen pixels
+function mmToPixels(mm) {
+    return unitsToPixels(mm / 25.4, 'inches');
+}
+
+// Convert screen pixels to millimetres
+function pixelsToMm(pixels) {
+    return pixelsToUnits(pixels, 'inches') * 25.4;
+}
+
+// Convert physical units (inches or cm) to millimetres
+function unitsToMm(value, units) {
+    return units === 'cm' ? value * 10 : value * 25.4;
+}
+
+// Convert millimetres to physical units (inches or cm)
+function mmToUnits(mm, units) {
+    return units === 'cm' ? mm / 10 : mm / 25.4;
+}
+
+// Round millimetres to 3 decimals (1 µm). Saved layouts store rounded values so
+// a pixel -> mm -> pixel -> mm round trip always lands on the same number.
+function roundMm(mm) {
+    return Math.round(mm * 1000) / 1000;
+}
+
+// Escape user-entered text (layout names, notes) for innerHTML templates
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
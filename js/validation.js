@@ -0,0 +1,501 @@
+/**
+ * validation.js - Checks for imported layouts and catalog data in Wallspace
+ *
+ * Dependencies: utils.js, layout-schema.js, walls.js, obstacles.js, wall-shape.js,
+ *               catalog.js
+ *
+ * Everything that arrives from outside the app (layout JSON files, project
+ * bundles, catalog CSV files) passes through here before it reaches
+ * savedLayouts or catalogItems. Validators build a fresh object from the
+ * known fields only, so unexpected properties are dropped, and they collect
+ * readable problems instead of throwing. An entry with any problem is
+ * rejected as a whole; callers import the rest and report what was left out.
+ *
+ * Values that end up in the DOM are limited to safe forms: colours must be
+ * #rrggbb, images must be raster data:image/ URLs (or the app's own
+ * placeholder SVG), ids and asset hashes use a fixed character set, and text
+ * has control characters removed and a maximum length. Text is still escaped
+ * wherever it is rendered. blob: URLs are only trusted within the session that
+ * created them, so isSafeImageUrl() accepts them but imports do not.
+ *
+ * Key functions:
+ * - validateLayout(raw) - { layout, errors } for one layout of any schema version
+ * - validateLayoutList(list) - Validate every entry and drop duplicate ids
+ * - validateWallSettings(raw) - { wall, errors } for the settings of one wall
+ * - validateCatalogItem(raw) / validateCatalogList(list) - Same for catalog items
+ * - formatValidationReport(rejected) - Readable list of rejected entries
+ * - isSafeImageUrl(url) - Whether an image URL made in this session may be rendered
+ * - isImportableImageUrl(url), isHexColor(value), cleanText(value, maxLength)
+ */
+
+const MAX_NAME_LENGTH = 120;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_LENGTH_MM = 100000;     // 100 m; anything larger is a units mistake
+const MAX_ARTWORKS_PER_LAYOUT = 1000; // Across all walls
+const MAX_WALLS_PER_LAYOUT = 50;
+const MAX_OBSTACLES_PER_WALL = 200;
+const MAX_INLINE_IMAGE_LENGTH = 20 * 1024 * 1024;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const ASSET_HASH_PATTERN = /^(?:[0-9a-f]{64}|fnv-[0-9a-f]{16})$/;
+const LAYOUT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const WALL_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const OBSTACLE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const CATALOG_ID_PATTERN = /^catalog-[A-Za-z0-9_-]{1,64}$/; // The drop zone only accepts 'catalog-' ids
+// Raster images only: an SVG can carry markup, and a remote URL would make a
+// shared layout contact other hosts. Placeholder SVGs are checked separately.
+const SAFE_IMAGE_URL_PATTERN = /^data:image\/(?:png|jpe?g|gif|webp|bmp)[;,]/i;
+const BLOB_URL_PATTERN = /^blob:/i;
+
+// ─── PRIMITIVES ──────────────────────────────────────────────────────────────
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isHexColor(value) {
+    return typeof value === 'string' && HEX_COLOR_PATTERN.test(value);
+}
+
+// Image URLs that may come from a file or link
+function isImportableImageUrl(url) {
+    return typeof url === 'string' && url.length <= MAX_INLINE_IMAGE_LENGTH &&
+        (SAFE_IMAGE_URL_PATTERN.test(url) || isPlaceholderImageUrl(url));
+}
+
+// Image URLs the app itself produced this session, object URLs of stored
+// assets included
+function isSafeImageUrl(url) {
+    return isImportableImageUrl(url) || (typeof url === 'string' && BLOB_URL_PATTERN.test(url));
+}
+
+// Trim text, strip control characters and cap its length ('' for non-strings)
+function cleanText(value, maxLength) {
+    if (typeof value !== 'string') return '';
+    return value.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '').trim().slice(0, maxLength);
+}
+
+// The readers below return the cleaned value and push a message to errors
+// when the input is unusable
+
+function readText(value, label, errors, maxLength, required) {
+    if (value == null || value === '') {
+        if (required) errors.push(`${label} is missing`);
+        return '';
+    }
+    if (typeof value !== 'string') {
+        errors.push(`${label} is not text`);
+        return '';
+    }
+    const text = cleanText(value, maxLength);
+    if (required && !text) errors.push(`${label} is empty`);
+    return text;
+}
+
+// options: { min, max, positive, optional }
+function readNumber(value, label, errors, options = {}) {
+    if (value == null && options.optional) return null;
+    if (typeof value !== 'number' || !isFinite(value)) {
+        errors.push(`${label} is not a number`);
+        return 0;
+    }
+    if (options.positive && value <= 0) errors.push(`${label} must be greater than 0`);
+    if (options.min != null && value < options.min) errors.push(`${label} must be at least ${options.min}`);
+    if (options.max != null && value > options.max) errors.push(`${label} must be at most ${options.max}`);
+    return value;
+}
+
+function readBoolean(value, label, errors, fallback) {
+    if (value == null) return fallback;
+    if (typeof value !== 'boolean') errors.push(`${label} must be true or false`);
+    return value === true;
+}
+
+function readColor(value, label, errors) {
+    if (!isHexColor(value)) {
+        errors.push(`${label} is not a #rrggbb colour`);
+        return null;
+    }
+    return value.toLowerCase();
+}
+
+function readUnits(value, label, errors) {
+    if (value == null) return 'inches';
+    if (value !== 'inches' && value !== 'cm') errors.push(`${label} must be "inches" or "cm"`);
+    return value === 'cm' ? 'cm' : 'inches';
+}
+
+function readAssetId(value, label, errors) {
+    if (value == null) return null;
+    if (typeof value !== 'string' || !ASSET_HASH_PATTERN.test(value)) {
+        errors.push(`${label} is not a valid image reference`);
+        return null;
+    }
+    return value;
+}
+
+function readImageUrl(value, label, errors) {
+    if (value == null || value === '') return null;
+    // An object URL from a file points at another session's memory, or at nothing
+    if (typeof value === 'string' && BLOB_URL_PATTERN.test(value)) {
+        errors.push(`${label} is a temporary blob: link that only worked where it was made`);
+        return null;
+    }
+    if (!isImportableImageUrl(value)) {
+        errors.push(`${label} is not an image URL`);
+        return null;
+    }
+    return value;
+}
+
+function readLength(value, label, errors, options = {}) {
+    const mm = readNumber(value, label, errors, { max: MAX_LENGTH_MM, min: -MAX_LENGTH_MM, ...options });
+    return mm == null ? null : roundMm(mm);
+}
+
+// ─── LAYOUTS ─────────────────────────────────────────────────────────────────
+
+function validateWallSettings(raw) {
+    const errors = [];
+    if (!isPlainObject(raw)) return { wall: null, errors: ['wall settings are missing'] };
+
+    const wall = {
+        widthMm:           readLength(raw.widthMm, 'wall width', errors, { positive: true }),
+        heightMm:          readLength(raw.heightMm, 'wall height', errors, { positive: true }),
+        units:             readUnits(raw.units, 'wall units', errors),
+        color:             raw.color == null ? '#ffffff' : readColor(raw.color, 'wall colour', errors),
+        backgroundAssetId: readAssetId(raw.backgroundAssetId, 'wall image', errors),
+        backgroundImage:   readImageUrl(raw.backgroundImage, 'wall image', errors),
+        shape:             readWallShape(raw.shape, errors),
+        hanging:           readWallHanging(raw.hanging, errors),
+    };
+    return { wall: errors.length ? null : wall, errors: errors };
+}
+
+// Hanging-height settings; missing fields take the defaults
+function readWallHanging(raw, errors) {
+    if (raw == null) return null;
+    if (!isPlainObject(raw)) {
+        errors.push('hanging height is not valid');
+        return null;
+    }
+    const hanging = {
+        floorMm:        readLength(raw.floorMm, 'floor below the wall', errors, { min: 0, optional: true }),
+        centerHeightMm: readLength(raw.centerHeightMm, 'center height', errors, { min: 0, optional: true }),
+        aboveFurniture: readBoolean(raw.aboveFurniture, 'above furniture', errors, false),
+        furnitureTopMm: readLength(raw.furnitureTopMm, 'furniture top', errors, { min: 0, optional: true }),
+        clearanceMm:    readLength(raw.clearanceMm, 'furniture clearance', errors, { min: 0, optional: true }),
+        showCenterline: readBoolean(raw.showCenterline, 'show centerline', errors, true),
+    };
+    // Leave missing lengths out so the defaults fill them in
+    Object.keys(hanging).forEach(key => { if (hanging[key] == null) delete hanging[key]; });
+    return hanging;
+}
+
+// A wall outline: a known preset, or custom points. Preset points are
+// recomputed from the wall size, so only custom ones need to be usable.
+function readWallShape(raw, errors) {
+    if (raw == null) return null;
+    if (!isPlainObject(raw)) {
+        errors.push('wall shape is not valid');
+        return null;
+    }
+    const custom = raw.preset === 'custom';
+    if (!custom && !Object.prototype.hasOwnProperty.call(WALL_SHAPE_PRESETS, raw.preset)) {
+        errors.push('wall shape is not known');
+        return null;
+    }
+    const list = Array.isArray(raw.points) ? raw.points : [];
+    if (custom && (list.length < MIN_WALL_SHAPE_POINTS || list.length > MAX_WALL_SHAPE_POINTS)) {
+        errors.push(`wall shape needs ${MIN_WALL_SHAPE_POINTS} to ${MAX_WALL_SHAPE_POINTS} points`);
+        return null;
+    }
+    const points = custom ? list.map((point, i) => ({
+        xMm: readLength(isPlainObject(point) ? point.xMm : null, `wall shape point ${i + 1}`, errors, { min: 0 }),
+        yMm: readLength(isPlainObject(point) ? point.yMm : null, `wall shape point ${i + 1}`, errors, { min: 0 }),
+    })) : [];
+    return { preset: raw.preset, points: points };
+}
+
+function readFraming(raw, label, errors) {
+    if (!isPlainObject(raw)) {
+        errors.push(`${label} settings are missing`);
+        return { enabled: false, color: null, widthMm: 0 };
+    }
+    return {
+        enabled: readBoolean(raw.enabled, `${label} on/off`, errors, false),
+        color:   readColor(raw.color, `${label} colour`, errors),
+        widthMm: readLength(raw.widthMm, `${label} width`, errors, { min: 0 }),
+    };
+}
+
+function validateArtworkData(raw) {
+    const errors = [];
+    if (!isPlainObject(raw)) return { artwork: null, errors: ['is not an object'] };
+
+    const catalogId = raw.catalogId == null ? null : String(raw.catalogId);
+    if (catalogId != null && !CATALOG_ID_PATTERN.test(catalogId)) errors.push('catalog id is not valid');
+
+    const artwork = {
+        assetId:       readAssetId(raw.assetId, 'image reference', errors),
+        src:           readImageUrl(raw.src, 'image', errors),
+        catalogId:     catalogId,
+        xMm:           readLength(raw.xMm, 'x position', errors),
+        yMm:           readLength(raw.yMm, 'y position', errors),
+        imageWidthMm:  readLength(raw.imageWidthMm, 'width', errors, { positive: true }),
+        imageHeightMm: readLength(raw.imageHeightMm, 'height', errors, { positive: true }),
+        frame:         readFraming(raw.frame, 'frame', errors),
+        matte:         readFraming(raw.matte, 'matte', errors),
+        rotation:      readNumber(raw.rotation == null ? 0 : raw.rotation, 'rotation', errors, { min: -360, max: 360 }),
+        hangerDropMm:  readLength(raw.hangerDropMm == null ? 0 : raw.hangerDropMm, 'hanger drop', errors, { min: 0 }),
+        locked:        readBoolean(raw.locked, 'lock', errors, false),
+        units:         readUnits(raw.units, 'units', errors),
+        aspectRatio:   readNumber(raw.aspectRatio, 'aspect ratio', errors, { positive: true, optional: true }),
+    };
+    return { artwork: errors.length ? null : artwork, errors: errors };
+}
+
+function validateObstacleData(raw) {
+    const errors = [];
+    if (!isPlainObject(raw)) return { obstacle: null, errors: ['is not an object'] };
+
+    const id = typeof raw.id === 'string' && OBSTACLE_ID_PATTERN.test(raw.id) ? raw.id : null;
+    if (!id) errors.push('id is not valid');
+    const type = Object.prototype.hasOwnProperty.call(OBSTACLE_TYPES, raw.type) ? raw.type : null;
+    if (!type) errors.push('type is not known');
+
+    const obstacle = {
+        id:       id,
+        type:     type,
+        label:    readText(raw.label, 'label', errors, MAX_OBSTACLE_LABEL_LENGTH),
+        xMm:      readLength(raw.xMm, 'x position', errors),
+        yMm:      readLength(raw.yMm, 'y position', errors),
+        widthMm:  readLength(raw.widthMm, 'width', errors, { positive: true }),
+        heightMm: readLength(raw.heightMm, 'height', errors, { positive: true }),
+    };
+    return { obstacle: errors.length ? null : obstacle, errors: errors };
+}
+
+// Validate one entry of a layout's `walls`. Problems are added to errors,
+// prefixed with the wall's position.
+function validateLayoutWall(raw, index, errors) {
+    const prefix = `wall ${index + 1}: `;
+    if (!isPlainObject(raw)) {
+        errors.push(prefix + 'is not an object');
+        return null;
+    }
+
+    const wallErrors = [];
+    const id = typeof raw.id === 'string' && WALL_ID_PATTERN.test(raw.id) ? raw.id : null;
+    if (!id) wallErrors.push('id is not valid');
+    const name = readText(raw.name, 'name', wallErrors, MAX_WALL_NAME_LENGTH) || `Wall ${index + 1}`;
+    const settings = validateWallSettings(raw);
+    settings.errors.forEach(error => wallErrors.push(error));
+
+    const artworks = [];
+    if (!Array.isArray(raw.artworks)) {
+        wallErrors.push('artworks are missing');
+    } else {
+        raw.artworks.forEach((data, i) => {
+            const result = validateArtworkData(data);
+            result.errors.forEach(error => wallErrors.push(`artwork ${i + 1}: ${error}`));
+            if (result.artwork) artworks.push(result.artwork);
+        });
+    }
+
+    // Obstacles are optional; walls saved before they existed have none
+    const obstacles = [];
+    if (raw.obstacles != null && !Array.isArray(raw.obstacles)) {
+        wallErrors.push('obstacles are not a list');
+    } else if (raw.obstacles && raw.obstacles.length > MAX_OBSTACLES_PER_WALL) {
+        wallErrors.push(`has more than ${MAX_OBSTACLES_PER_WALL} obstacles`);
+    } else {
+        (raw.obstacles || []).forEach((data, i) => {
+            const result = validateObstacleData(data);
+            result.errors.forEach(error => wallErrors.push(`obstacle ${i + 1}: ${error}`));
+            if (!result.obstacle) return;
+            if (obstacles.some(other => other.id === result.obstacle.id)) {
+                wallErrors.push(`obstacle ${i + 1}: id is used twice`);
+            } else {
+                obstacles.push(result.obstacle);
+            }
+        });
+    }
+
+    wallErrors.forEach(error => errors.push(prefix + error));
+    return wallErrors.length ? null : { id: id, name: name, ...settings.wall, obstacles: obstacles, artworks: artworks };
+}
+
+// Validate a layout of any schema version. Older versions are migrated first.
+// Returns { layout, errors }; layout is null when anything is wrong. A
+// missing id is allowed (layout.id is null) and left for the caller to assign.
+function validateLayout(raw) {
+    if (!isPlainObject(raw)) return { layout: null, errors: ['is not a layout object'] };
+
+    const version = raw.version == null ? 1 : raw.version;
+    if (!Number.isInteger(version) || version < 1) {
+        return { layout: null, errors: ['has an unknown format version'] };
+    }
+    if (version > LAYOUT_SCHEMA_VERSION) {
+        return { layout: null, errors: ['was saved by a newer version of Wallspace'] };
+    }
+
+    let source;
+    try {
+        source = migrateLayout(raw);
+    } catch (e) {
+        return { layout: null, errors: ['could not be read as a layout'] };
+    }
+
+    const errors = [];
+    let id = null;
+    if (source.id != null) {
+        if ((typeof source.id === 'number' && Number.isSafeInteger(source.id)) ||
+            (typeof source.id === 'string' && LAYOUT_ID_PATTERN.test(source.id))) {
+            id = source.id;
+        } else {
+            errors.push('id is not valid');
+        }
+    }
+
+    const walls = [];
+    if (!Array.isArray(source.walls) || !source.walls.length) {
+        errors.push('walls are missing');
+    } else if (source.walls.length > MAX_WALLS_PER_LAYOUT) {
+        errors.push(`has more than ${MAX_WALLS_PER_LAYOUT} walls`);
+    } else if (source.walls.reduce((sum, wall) => sum + (isPlainObject(wall) && Array.isArray(wall.artworks) ? wall.artworks.length : 0), 0) > MAX_ARTWORKS_PER_LAYOUT) {
+        errors.push(`has more than ${MAX_ARTWORKS_PER_LAYOUT} artworks`);
+    } else {
+        source.walls.forEach((raw, i) => {
+            const wall = validateLayoutWall(raw, i, errors);
+            if (!wall) return;
+            if (walls.some(other => other.id === wall.id)) {
+                errors.push(`wall ${i + 1}: id is used twice`);
+            } else {
+                walls.push(wall);
+            }
+        });
+    }
+    const activeWallId = walls.some(wall => wall.id === source.activeWallId)
+        ? source.activeWallId
+        : (walls.length ? walls[0].id : null);
+
+    const createdAt = typeof source.createdAt === 'number' && isFinite(source.createdAt) && source.createdAt > 0
+        ? source.createdAt
+        : Date.now();
+    const layout = {
+        version:      LAYOUT_SCHEMA_VERSION,
+        id:           id,
+        name:         readText(source.name, 'name', errors, MAX_NAME_LENGTH) || 'Untitled',
+        date:         cleanText(source.date, 40) || new Date(createdAt).toLocaleDateString(),
+        createdAt:    createdAt,
+        activeWallId: activeWallId,
+        walls:        walls,
+        notes:        readText(source.notes, 'notes', errors, MAX_NOTES_LENGTH),
+        // Thumbnails are always re-rendered locally
+        thumbnailAssetId: null,
+    };
+    return { layout: errors.length ? null : layout, errors: errors };
+}
+
+// Human label for an entry in reports: 'Layout 3 "Hallway"'
+function describeEntry(kind, raw, index) {
+    const name = isPlainObject(raw) && typeof raw.name === 'string' ? cleanText(raw.name, 40) : '';
+    return `${kind} ${index + 1}${name ? ` "${name}"` : ''}`;
+}
+
+// Validate a list of layouts. Returns { valid, rejected } where rejected is
+// [{ entry, errors }]; later entries repeating an earlier id are rejected.
+function validateLayoutList(list) {
+    if (!Array.isArray(list)) {
+        return { valid: [], rejected: [{ entry: 'File', errors: ['does not contain a list of layouts'] }] };
+    }
+    const valid = [];
+    const rejected = [];
+    const seen = new Map(); // String(id) -> index of first entry with it
+    list.forEach((raw, index) => {
+        const entry = describeEntry('Layout', raw, index);
+        const { layout, errors } = validateLayout(raw);
+        if (!layout) {
+            rejected.push({ entry: entry, errors: errors });
+            return;
+        }
+        if (layout.id != null) {
+            const key = String(layout.id);
+            if (seen.has(key)) {
+                rejected.push({ entry: entry, errors: [`has the same id as layout ${seen.get(key) + 1}`] });
+                return;
+            }
+            seen.set(key, index);
+        }
+        valid.push(layout);
+    });
+    return { valid: valid, rejected: rejected };
+}
+
+// ─── CATALOG ─────────────────────────────────────────────────────────────────
+
+// A missing id is allowed (item.id is null) and left for the caller to assign
+function validateCatalogItem(raw) {
+    const errors = [];
+    if (!isPlainObject(raw)) return { item: null, errors: ['is not a catalog item'] };
+
+    let id = null;
+    if (raw.id != null) {
+        if (typeof raw.id === 'string' && CATALOG_ID_PATTERN.test(raw.id)) {
+            id = raw.id;
+        } else {
+            errors.push('id is not valid');
+        }
+    }
+
+    // Pieces added by image upload have no size until it is entered
+    const sized = raw.widthMm != null || raw.heightMm != null;
+    const item = {
+        id:       id,
+        name:     readText(raw.name, 'name', errors, MAX_NAME_LENGTH, true),
+        widthMm:  sized ? readLength(raw.widthMm, 'width', errors, { positive: true }) : null,
+        heightMm: sized ? readLength(raw.heightMm, 'height', errors, { positive: true }) : null,
+        hasFrame: readBoolean(raw.hasFrame, 'has frame', errors, false),
+        isArt:    readBoolean(raw.isArt, 'is art', errors, true),
+        assetId:  readAssetId(raw.assetId, 'image reference', errors),
+        src:      raw.assetId ? null : readImageUrl(raw.src, 'image', errors),
+    };
+    return { item: errors.length ? null : item, errors: errors };
+}
+
+// Same contract as validateLayoutList, for catalog items
+function validateCatalogList(list) {
+    if (!Array.isArray(list)) {
+        return { valid: [], rejected: [{ entry: 'File', errors: ['does not contain a list of catalog items'] }] };
+    }
+    const valid = [];
+    const rejected = [];
+    const seen = new Map();
+    list.forEach((raw, index) => {
+        const entry = describeEntry('Catalog item', raw, index);
+        const { item, errors } = validateCatalogItem(raw);
+        if (!item) {
+            rejected.push({ entry: entry, errors: errors });
+            return;
+        }
+        if (item.id != null) {
+            if (seen.has(item.id)) {
+                rejected.push({ entry: entry, errors: [`has the same id as catalog item ${seen.get(item.id) + 1}`] });
+                return;
+            }
+            seen.set(item.id, index);
+        }
+        valid.push(item);
+    });
+    return { valid: valid, rejected: rejected };
+}
+
+// ─── REPORTS ─────────────────────────────────────────────────────────────────
+
+// One line per rejected entry, capped so an alert stays readable
+function formatValidationReport(rejected, limit = 10) {
+    const lines = rejected.slice(0, limit).map(({ entry, errors }) => `• ${entry}: ${errors.join('; ')}`);
+    if (rejected.length > limit) lines.push(`…and ${rejected.length - limit} more`);
+    return lines.join('\n');
+}
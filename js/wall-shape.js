@@ -0,0 +1,347 @@
+/**
+ * wall-shape.js - Non-rectangular walls for Wallspace
+ *
+ * Dependencies: utils.js, state.js, wall.js, layout-schema.js, history.js
+ *
+ * A wall can be any simple polygon inside its width × height box: an attic
+ * wall under a sloped ceiling, a gable end, the wall along a staircase. The
+ * shape is kept in wallShape as { preset, points } with points in mm from the
+ * box's top-left corner. Presets ('sloped', 'gable', 'stairs') are stored as
+ * proportions and follow the wall size; editing any point turns the shape into
+ * 'custom', whose points stay where they were typed. null means a rectangle.
+ *
+ * The wall colour and background are painted on #wallSurface, clipped to the
+ * outline, so the corners outside the wall show the room behind it while the
+ * wall's own controls stay usable. Dragging, dropping and the distance guides
+ * use the outline through the helpers below.
+ *
+ * Picking a preset and editing points are undo steps, made on the wall that
+ * was active at the time, like obstacle edits.
+ *
+ * Key functions:
+ * - wallShapePoints(shape, widthMm, heightMm) - Resolved vertices of a stored shape
+ * - getWallOutline() - The active wall's outline in wall pixels (its box when rectangular)
+ * - isRectInsideWallOutline(left, top, width, height) - Whether a rectangle fits on the wall
+ * - constrainToWallOutline(artwork, x, y) - Keep a dragged artwork on the wall, sliding along its edge
+ * - fitInsideWallOutline(x, y, width, height) - Nearest position on the wall for a drop
+ * - distanceToWallOutline(x, y, dx, dy) - Distance from a point to the wall edge in a direction
+ * - setWallShapePreset(preset) - Pick a preset, or 'custom' to edit the points
+ * - renderWallShape() - Clip the wall surface and refresh the point editor
+ */
+
+const WALL_SHAPE_PRESETS = {
+    sloped: { label: 'Sloped ceiling', points: [[0, 0.45], [0.4, 0], [1, 0], [1, 1], [0, 1]] },
+    gable:  { label: 'Gable',          points: [[0, 0.4], [0.5, 0], [1, 0.4], [1, 1], [0, 1]] },
+    stairs: { label: 'Staircase',      points: [[0, 0], [1, 0], [1, 0.45], [0, 1]] },
+};
+const MIN_WALL_SHAPE_POINTS = 3;
+const MAX_WALL_SHAPE_POINTS = 64;
+const WALL_FIT_STEP = 10;        // px, search step when moving a dropped piece onto the wall
+
+// ─── SHAPE DATA ──────────────────────────────────────────────────────────────
+
+// Vertices (mm) of a stored shape for a wall of the given size, or null for a rectangle
+function wallShapePoints(shape, widthMm, heightMm) {
+    if (!shape) return null;
+    const preset = WALL_SHAPE_PRESETS[shape.preset];
+    if (preset) {
+        return preset.points.map(([x, y]) => ({ xMm: roundMm(x * widthMm), yMm: roundMm(y * heightMm) }));
+    }
+    return shape.points.map(point => ({
+        xMm: Math.max(0, Math.min(point.xMm, widthMm)),
+        yMm: Math.max(0, Math.min(point.yMm, heightMm)),
+    }));
+}
+
+function copyWallShape(shape) {
+    return shape ? { preset: shape.preset, points: shape.points.map(point => ({ ...point })) } : null;
+}
+
+// The active wall's vertices in mm; a rectangle gives its four corners
+function getWallOutlineMm() {
+    const { widthMm, heightMm } = serializeWallSettings();
+    return wallShapePoints(wallShape, widthMm, heightMm) || [
+        { xMm: 0, yMm: 0 }, { xMm: widthMm, yMm: 0 }, { xMm: widthMm, yMm: heightMm }, { xMm: 0, yMm: heightMm },
+    ];
+}
+
+// The active wall's outline in wall pixels
+function getWallOutline() {
+    return getWallOutlineMm().map(point => ({ x: mmToPixels(point.xMm), y: mmToPixels(point.yMm) }));
+}
+
+// ─── GEOMETRY ────────────────────────────────────────────────────────────────
+
+function pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i], b = polygon[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+}
+
+// True when segments p1-p2 and q1-q2 cross at a point inside both
+function segmentsCross(p1, p2, q1, q2) {
+    const side = (a, b, c) => Math.sign((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+    return side(p1, p2, q1) * side(p1, p2, q2) < 0 && side(q1, q2, p1) * side(q1, q2, p2) < 0;
+}
+
+// Whether a rectangle (wall pixels) lies on the wall. Touching the edge is
+// fine, so the rectangle is shrunk by half a pixel first. Callers testing many
+// positions pass the outline in.
+function isRectInsideWallOutline(left, top, width, height, outline) {
+    if (!wallShape) return true;
+    outline = outline || getWallOutline();
+    const inset = Math.min(0.5, width / 2, height / 2);
+    const corners = [
+        { x: left + inset,         y: top + inset },
+        { x: left + width - inset, y: top + inset },
+        { x: left + width - inset, y: top + height - inset },
+        { x: left + inset,         y: top + height - inset },
+    ];
+    if (!corners.every(corner => pointInPolygon(corner.x, corner.y, outline))) return false;
+    // A corner of the wall poking into the rectangle (e.g. a stair step)
+    for (let i = 0; i < outline.length; i++) {
+        const a = outline[i], b = outline[(i + 1) % outline.length];
+        for (let k = 0; k < 4; k++) {
+            if (segmentsCross(a, b, corners[k], corners[(k + 1) % 4])) return false;
+        }
+    }
+    return true;
+}
+
+// Position (wall pixels) a dragged artwork may move to on a shaped wall: as
+// far towards (x, y) as the outline allows, then sliding along the edge on
+// whichever axis is still free
+function constrainToWallOutline(artwork, x, y) {
+    if (!wallShape) return { x: x, y: y };
+    const outline = getWallOutline();
+    const fits = p => {
+        const bounds = getArtworkBounds(artwork, p.x, p.y);
+        return isRectInsideWallOutline(bounds.left, bounds.top, bounds.width, bounds.height, outline);
+    };
+    const current = { x: parseFloat(artwork.style.left) || 0, y: parseFloat(artwork.style.top) || 0 };
+
+    // Already off the wall (e.g. the shape changed): let it move back freely
+    if (fits({ x: x, y: y }) || !fits(current)) return { x: x, y: y };
+
+    // Furthest fitting point on the way from a fitting point to a target
+    const reach = (from, to) => {
+        if (fits(to)) return to;
+        let lo = 0, hi = 1;
+        for (let i = 0; i < 12; i++) {
+            const mid = (lo + hi) / 2;
+            if (fits({ x: from.x + (to.x - from.x) * mid, y: from.y + (to.y - from.y) * mid })) lo = mid;
+            else hi = mid;
+        }
+        return { x: from.x + (to.x - from.x) * lo, y: from.y + (to.y - from.y) * lo };
+    };
+    let position = reach(current, { x: x, y: y });
+    position = reach(position, { x: x, y: position.y });
+    return reach(position, { x: position.x, y: y });
+}
+
+// Nearest position to (x, y) where a width × height piece fits on the wall,
+// searched in growing square rings until no closer one can turn up; (x, y)
+// itself when nothing fits
+function fitInsideWallOutline(x, y, width, height) {
+    if (!wallShape || isRectInsideWallOutline(x, y, width, height)) return { x: x, y: y };
+    const outline = getWallOutline();
+    const maxX = Math.max(...outline.map(p => p.x)) - width;
+    const maxY = Math.max(...outline.map(p => p.y)) - height;
+    const maxRing = Math.ceil(Math.max(maxX, maxY, x, y) / WALL_FIT_STEP) + 1;
+
+    let best = null;
+    let bestDist = Infinity;
+    for (let ring = 1; ring <= maxRing && ring * ring < bestDist; ring++) {
+        for (let i = -ring; i <= ring; i++) {
+            for (let j = -ring; j <= ring; j++) {
+                if (Math.abs(i) !== ring && Math.abs(j) !== ring) continue;
+                const left = x + i * WALL_FIT_STEP;
+                const top = y + j * WALL_FIT_STEP;
+                if (left < 0 || top < 0 || left > maxX || top > maxY) continue;
+                const dist = i * i + j * j;
+                if (dist < bestDist && isRectInsideWallOutline(left, top, width, height, outline)) {
+                    best = { x: left, y: top };
+                    bestDist = dist;
+                }
+            }
+        }
+    }
+    return best || { x: x, y: y };
+}
+
+// Distance (wall pixels) from (x, y) to the wall's edge along the unit
+// direction (dx, dy); Infinity when the ray leaves without meeting an edge
+function distanceToWallOutline(x, y, dx, dy) {
+    const outline = getWallOutline();
+    let nearest = Infinity;
+    for (let i = 0; i < outline.length; i++) {
+        const a = outline[i], b = outline[(i + 1) % outline.length];
+        const ex = b.x - a.x, ey = b.y - a.y;
+        const denom = dx * ey - dy * ex;
+        if (Math.abs(denom) < 1e-9) continue;
+        const t = ((a.x - x) * ey - (a.y - y) * ex) / denom;   // along the ray
+        const s = ((a.x - x) * dy - (a.y - y) * dx) / denom;   // along the edge
+        if (t >= 0 && s >= 0 && s <= 1) nearest = Math.min(nearest, t);
+    }
+    return nearest;
+}
+
+// ─── HISTORY ─────────────────────────────────────────────────────────────────
+
+function setWallShape(shape) {
+    wallShape = copyWallShape(shape);
+    updateWall();
+}
+
+// Record a change to the active wall's shape from before/after copies
+function recordWallShapeChange(label, before, after) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    pushHistory({
+        label: label,
+        before: before,
+        after: after,
+        undo() { setWallShape(this.before); },
+        redo() { setWallShape(this.after); },
+    });
+}
+
+// Run fn() on the active wall's shape and record what it changed
+function withWallShapeHistory(label, fn) {
+    const before = copyWallShape(wallShape);
+    fn();
+    recordWallShapeChange(label, before, copyWallShape(wallShape));
+    updateWall();
+}
+
+// ─── EDITING ─────────────────────────────────────────────────────────────────
+
+function setWallShapePreset(preset) {
+    withWallShapeHistory('Change wall shape', () => {
+        if (preset === 'custom') {
+            // Start from whatever the wall looks like now
+            wallShape = { preset: 'custom', points: getWallOutlineMm() };
+        } else {
+            wallShape = WALL_SHAPE_PRESETS[preset] ? { preset: preset, points: [] } : null;
+        }
+    });
+}
+
+// Edits always work on the resolved points, so a preset becomes 'custom'
+function editWallShapePoints(edit) {
+    withWallShapeHistory('Edit wall shape', () => {
+        const points = getWallOutlineMm();
+        edit(points);
+        wallShape = { preset: 'custom', points: points };
+    });
+}
+
+// axis is 'x' (from the left) or 'floor' (from the bottom of the wall)
+function updateWallShapePoint(index, axis, value) {
+    const length = parseFloat(value);
+    if (!isFinite(length)) {
+        renderWallShapeEditor();
+        return;
+    }
+    const { heightMm } = serializeWallSettings();
+    const mm = roundMm(unitsToMm(length, currentUnits));
+    editWallShapePoints(points => {
+        if (axis === 'x') points[index].xMm = mm;
+        else points[index].yMm = roundMm(heightMm - mm);
+    });
+}
+
+// Insert a point halfway along the edge after the given point
+function addWallShapePoint(index) {
+    editWallShapePoints(points => {
+        if (points.length >= MAX_WALL_SHAPE_POINTS) return;
+        const a = points[index], b = points[(index + 1) % points.length];
+        points.splice(index + 1, 0, { xMm: roundMm((a.xMm + b.xMm) / 2), yMm: roundMm((a.yMm + b.yMm) / 2) });
+    });
+}
+
+function removeWallShapePoint(index) {
+    editWallShapePoints(points => {
+        if (points.length > MIN_WALL_SHAPE_POINTS) points.splice(index, 1);
+    });
+}
+
+// ─── RENDER ──────────────────────────────────────────────────────────────────
+
+function renderWallShape() {
+    const surface = document.getElementById('wallSurface');
+    if (surface) {
+        surface.style.clipPath = wallShape
+            ? `polygon(${getWallOutline().map(p => `${p.x}px ${p.y}px`).join(', ')})`
+            : 'none';
+    }
+    renderWallShapeEditor();
+}
+
+// Shape picker and one row per point, in the wall's units measured from the
+// left and from the floor like the obstacle fields
+function renderWallShapeEditor() {
+    const select = document.getElementById('wallShapePreset');
+    const list = document.getElementById('wallShapePoints');
+    if (!select || !list) return;
+    select.value = wallShape ? wallShape.preset : 'rectangle';
+    list.innerHTML = '';
+    list.style.display = wallShape ? '' : 'none';
+    if (!wallShape) return;
+
+    const { heightMm } = serializeWallSettings();
+    const format = mm => String(Number(mmToUnits(mm, currentUnits).toFixed(1)));
+    const points = getWallOutlineMm();
+    points.forEach((point, index) => {
+        const row = document.createElement('div');
+        row.className = 'wall-shape-point';
+
+        const number = document.createElement('span');
+        number.textContent = index + 1;
+        row.appendChild(number);
+
+        [['x', point.xMm, 'From left'], ['floor', heightMm - point.yMm, 'From floor']].forEach(([axis, mm, title]) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = '0.1';
+            input.min = '0';
+            input.title = `${title} (${currentUnits})`;
+            input.value = format(mm);
+            input.onchange = () => updateWallShapePoint(index, axis, input.value);
+            row.appendChild(input);
+        });
+
+        const add = document.createElement('button');
+        add.textContent = '+';
+        add.title = 'Add a point after this one';
+        add.disabled = points.length >= MAX_WALL_SHAPE_POINTS;
+        add.onclick = () => addWallShapePoint(index);
+        row.appendChild(add);
+
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove this point';
+        remove.disabled = points.length <= MIN_WALL_SHAPE_POINTS;
+        remove.onclick = () => removeWallShapePoint(index);
+        row.appendChild(remove);
+
+        list.appendChild(row);
+    });
+}
+
+function initWallShape() {
+    const select = document.getElementById('wallShapePreset');
+    if (!select) return;
+    const options = [['rectangle', 'Rectangle']]
+        .concat(Object.entries(WALL_SHAPE_PRESETS).map(([preset, info]) => [preset, info.label]))
+        .concat([['custom', 'Custom']]);
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    renderWallShapeEditor();
+}
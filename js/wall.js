@@ -1,17 +1,19 @@
 /**
  * wall.js - Wall configuration for Wallspace
  *
- * Dependencies: utils.js, state.js
+ * Dependencies: utils.js, state.js, asset-store.js, photo-calibration.js, wall-shape.js,
+ *               grid.js
  *
  * This file handles all wall-related functionality including:
  * - Wall dimension updates and scaling
  * - Wall unit conversions (inches/cm)
  * - Wall background image management
+ * - Clipping the wall surface to a non-rectangular outline
  *
  * Key functions:
  * - updateWall() - Recalculate and apply wall dimensions and appearance
  * - updateWallUnits() - Handle unit conversion for wall measurements
- * - handleWallImageUpload(event) - Process uploaded background image
+ * - handleWallImageUpload(event) - Process uploaded background image, then offer calibration
  * - removeWallImage() - Clear the wall background image
  */
 
@@ -34,19 +36,27 @@ function updateWall() {
     // Size the pan/zoom wrapper to match so percentage children resolve correctly
     const wrapper = document.getElementById('panZoomWrapper');
     if (wrapper) { wrapper.style.width = wallW; wrapper.style.height = wallH; }
-    wallContainer.style.backgroundColor = color;
+
+    // Colour and photo go on the surface layer, which a shaped wall clips
+    const surface = document.getElementById('wallSurface');
+    surface.style.backgroundColor = color;
 
     if (wallBackgroundImage) {
-        wallContainer.style.backgroundImage = `url(${wallBackgroundImage})`;
-        wallContainer.style.backgroundSize = 'cover';
-        wallContainer.style.backgroundPosition = 'center';
-        wallContainer.style.backgroundRepeat = 'no-repeat';
+        surface.style.backgroundImage = `url(${wallBackgroundImage})`;
+        surface.style.backgroundSize = 'cover';
+        surface.style.backgroundPosition = 'center';
+        surface.style.backgroundRepeat = 'no-repeat';
     } else {
-        wallContainer.style.backgroundImage = 'none';
+        surface.style.backgroundImage = 'none';
     }
+    if (typeof renderWallShape === 'function') renderWallShape();
+    if (typeof renderRulers === 'function') renderRulers();
+    if (typeof renderCenterline === 'function') renderCenterline();
 
     if (typeof saveWallSettings === 'function') saveWallSettings();
     if (typeof updateDistanceGuides === 'function') updateDistanceGuides();
+    if (typeof updatePositionFields === 'function') updatePositionFields();
+    if (typeof scheduleSessionSave === 'function') scheduleSessionSave();
 }
 
 // Handle wall unit conversion (inches <-> cm)
@@ -70,25 +80,56 @@ function updateWallUnits() {
     // Update unit labels
     document.getElementById('wallWidthUnit').textContent = newUnits;
     document.getElementById('wallHeightUnit').textContent = newUnits;
+    if (typeof renderObstacleList === 'function') {
+        renderObstacleList();
+        updateObstacleEditor();
+    }
+    if (typeof renderRulers === 'function') renderRulers();
+    if (typeof writeNudgeControls === 'function') writeNudgeControls();
+    if (typeof writeHangingControls === 'function') {
+        writeHangingControls();
+        renderCenterline();
+    }
+    if (typeof renderTemplateSlots === 'function') renderTemplateSlots();
+    if (typeof updatePositionFields === 'function') updatePositionFields();
     if (typeof saveWallSettings === 'function') saveWallSettings();
 }
 
-// Handle wall background image upload
+// Handle wall background image upload. The photo is shown right away and
+// the calibration dialog opens so it can be straightened and measured.
 function handleWallImageUpload(event) {
     const file = event.target.files[0];
+    const calibrate = () => {
+        if (typeof openWallCalibration === 'function') openWallCalibration();
+    };
     if (file) {
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            wallBackgroundImage = e.target.result;
-            updateWall();
-        };
-        reader.readAsDataURL(file);
+        storeAsset(file)
+            .then(hash => getAssetUrl(hash).then(url => {
+                wallBackgroundAssetId = hash;
+                wallBackgroundImage = url;
+                updateWall();
+                calibrate();
+            }))
+            .catch(e => {
+                // No asset store (e.g. private browsing) — show the image for this session only
+                console.warn('Storing wall image failed:', e);
+                const reader = new FileReader();
+                reader.onload = function(e) {
+                    wallBackgroundAssetId = null;
+                    wallBackgroundImage = e.target.result;
+                    updateWall();
+                    calibrate();
+                };
+                reader.readAsDataURL(file);
+            });
     }
 }
 
 // Remove wall background image
 function removeWallImage() {
     wallBackgroundImage = null;
+    wallBackgroundAssetId = null;
     document.getElementById('wallImageUpload').value = '';
     updateWall();
+    if (typeof pruneUnusedAssets === 'function') pruneUnusedAssets();
 }
@@ -0,0 +1,271 @@
+/**
+ * walls.js - Multiple walls per project for Wallspace
+ *
+ * Dependencies: state.js, wall.js, artwork.js, layout-schema.js, history.js,
+ *               storage.js, catalog.js, obstacles.js, selection.js
+ *
+ * A project holds several named walls, each with its own dimensions, color,
+ * background, obstacles and artworks. Only the active wall is on screen: its
+ * settings live in the wall inputs and its artworks in #wallContainer. The
+ * other walls keep their settings object and their artwork elements detached
+ * from the page, so element ids (and the undo history that refers to them)
+ * survive switching back and forth. Obstacles are plain data on every wall
+ * (see obstacles.js).
+ *
+ * Key functions:
+ * - initWalls() - Start with a single wall built from the current wall inputs
+ * - switchWall(id) - Put another wall on screen
+ * - addWall() / renameWall() / deleteWall() - Manage the project's walls
+ * - moveArtworksToWall(artworks, wallId) - Move pieces to another wall (undoable)
+ * - getWallArtworkElements(wall) - Artwork elements of any wall
+ * - renderWallSwitcher() - Fill the wall picker and the "Move to wall" select
+ * - updateCatalogPlacements() - Show in the catalog which wall each piece is on
+ */
+
+const MAX_WALL_NAME_LENGTH = 60;
+
+// ─── LOOKUP ──────────────────────────────────────────────────────────────────
+
+function findWall(id) {
+    return projectWalls.find(wall => wall.id === id) || null;
+}
+
+function getActiveWall() {
+    return findWall(activeWallId);
+}
+
+// Artwork elements of a wall, on screen or stashed
+function getWallArtworkElements(wall) {
+    if (wall.id === activeWallId) return Array.from(document.querySelectorAll('.artwork'));
+    return wall.artworks || [];
+}
+
+// The wall an artwork element belongs to
+function findArtworkWall(artwork) {
+    if (artwork.isConnected) return getActiveWall();
+    return projectWalls.find(wall => wall.artworks && wall.artworks.includes(artwork)) || null;
+}
+
+// Settings of any wall, whether on screen or not
+function getWallSettings(wall) {
+    return wall.id === activeWallId ? serializeWallSettings() : wall.settings;
+}
+
+function uniqueWallId() {
+    const used = projectWalls.map(wall => parseInt(String(wall.id).replace('wall-', ''), 10) || 0);
+    return 'wall-' + (Math.max(0, ...used) + 1);
+}
+
+// ─── SWITCHING ───────────────────────────────────────────────────────────────
+
+// Move the on-screen wall into projectWalls and show another one
+function switchWall(id) {
+    const target = findWall(id);
+    const current = getActiveWall();
+    if (!target || target === current) {
+        renderWallSwitcher();
+        return;
+    }
+
+    // Deselect first so the artwork panel does not point at a hidden piece
+    clearArtworkSelection();
+    selectedObstacleId = null;
+
+    current.settings = serializeWallSettings();
+    current.artworks = Array.from(document.querySelectorAll('.artwork'));
+    current.artworks.forEach(artwork => artwork.remove());
+
+    activeWallId = target.id;
+    const wallContainer = document.getElementById('wallContainer');
+    target.artworks.forEach(artwork => wallContainer.appendChild(artwork));
+    deserializeWallSettings(target.settings);
+    target.settings = null;
+    target.artworks = null;
+
+    renderObstacles();
+    updateDistanceGuides();
+    renderWallSwitcher();
+    scheduleSessionSave();
+}
+
+// ─── ADD / RENAME / DELETE ───────────────────────────────────────────────────
+
+function readWallName(message, fallback) {
+    const name = prompt(message, fallback);
+    if (name === null) return null;
+    return name.trim().slice(0, MAX_WALL_NAME_LENGTH) || fallback;
+}
+
+// Add an empty rectangular wall with the current wall's size and color, and show it
+function addWall() {
+    const name = readWallName('Name for the new wall:', `Wall ${projectWalls.length + 1}`);
+    if (name === null) return;
+
+    const settings = serializeWallSettings();
+    projectWalls.push({
+        id:        uniqueWallId(),
+        name:      name,
+        settings:  { ...settings, backgroundAssetId: null, backgroundImage: null, shape: null },
+        artworks:  [],
+        obstacles: [],
+    });
+    switchWall(projectWalls[projectWalls.length - 1].id);
+}
+
+function renameWall() {
+    const wall = getActiveWall();
+    const name = readWallName('Rename wall:', wall.name);
+    if (name === null || name === wall.name) return;
+    wall.name = name;
+    renderWallSwitcher();
+    updateCatalogPlacements();
+    scheduleSessionSave();
+}
+
+// Delete the active wall and its artworks. Not undoable, so history is cleared.
+function deleteWall() {
+    if (projectWalls.length < 2) {
+        alert('A project needs at least one wall.');
+        return;
+    }
+    const wall = getActiveWall();
+    const count = getWallArtworkElements(wall).length;
+    const contents = count ? ` and its ${count} artwork${count !== 1 ? 's' : ''}` : '';
+    if (!confirm(`Delete "${wall.name}"${contents}? This cannot be undone.`)) return;
+
+    const index = projectWalls.indexOf(wall);
+    switchWall(projectWalls[index > 0 ? index - 1 : 1].id);
+    wall.artworks.forEach(artwork => artworkAspectRatios.delete(artwork.id));
+    projectWalls.splice(index, 1);
+
+    clearHistory();
+    renderWallSwitcher();
+    updateCatalogPlacements();
+    pruneUnusedAssets();
+    scheduleSessionSave();
+}
+
+// ─── MOVING ARTWORK BETWEEN WALLS ────────────────────────────────────────────
+
+// Keep a piece inside a wall of the given size, as close to where it was as possible
+function clampToWall(artwork, settings) {
+    const bounds = getArtworkBounds(artwork);
+    const maxX = mmToPixels(settings.widthMm) - bounds.width - bounds.offsetX;
+    const maxY = mmToPixels(settings.heightMm) - bounds.height - bounds.offsetY;
+    artwork.style.left = Math.max(-bounds.offsetX, Math.min(parseFloat(artwork.style.left) || 0, maxX)) + 'px';
+    artwork.style.top = Math.max(-bounds.offsetY, Math.min(parseFloat(artwork.style.top) || 0, maxY)) + 'px';
+}
+
+// Move artworks from the active wall to another wall, as one undo step.
+// The command belongs to the source wall, so undo switches back to it first.
+function moveArtworksToWall(artworks, wallId) {
+    const target = findWall(wallId);
+    artworks = artworks.filter(artwork => artwork.isConnected);
+    if (!target || target.id === activeWallId || artworks.length === 0) return;
+
+    const before = captureArtworkStates(artworks);
+    const targetId = target.id;
+
+    const command = {
+        label: artworks.length === 1 ? `Move artwork to ${target.name}` : `Move ${artworks.length} artworks to ${target.name}`,
+        wallId: activeWallId,
+        before: before,
+        undo() {
+            const wall = findWall(targetId);
+            wall.artworks = wall.artworks.filter(a => !artworks.includes(a));
+            // Lowest stacking position first, so each lands back in order
+            before.slice().sort((a, b) => a.index - b.index).forEach(state => {
+                const artwork = artworks.find(a => a.id === state.id);
+                document.getElementById('wallContainer').appendChild(artwork);
+                restoreArtworkState(state);
+            });
+        },
+        redo() {
+            const wall = findWall(targetId);
+            artworks.forEach(artwork => {
+                if (artwork.classList.contains('selected')) deselectArtwork(artwork);
+                artwork.remove();
+                clampToWall(artwork, wall.settings);
+                wall.artworks.push(artwork);
+            });
+        },
+    };
+    command.redo();
+    pushHistory(command);
+    updateDistanceGuides();
+    renderWallSwitcher();
+}
+
+// "Move to wall" select in the artwork panel: moves the whole selection
+function moveSelectedToWall(wallId) {
+    if (wallId) moveArtworksToWall(getSelectedArtworks(), wallId);
+    renderWallSwitcher();
+}
+
+// ─── RENDER ──────────────────────────────────────────────────────────────────
+
+function renderWallSwitcher() {
+    const select = document.getElementById('wallSelect');
+    if (select) {
+        select.innerHTML = '';
+        projectWalls.forEach(wall => {
+            const option = document.createElement('option');
+            const count = getWallArtworkElements(wall).length;
+            option.value = wall.id;
+            option.textContent = `${wall.name} (${count})`;
+            select.appendChild(option);
+        });
+        select.value = activeWallId;
+        document.getElementById('deleteWallButton').disabled = projectWalls.length < 2;
+    }
+
+    const moveSelect = document.getElementById('sidebarArtworkWall');
+    if (moveSelect) {
+        moveSelect.innerHTML = '<option value="">Choose a wall…</option>';
+        projectWalls.filter(wall => wall.id !== activeWallId).forEach(wall => {
+            const option = document.createElement('option');
+            option.value = wall.id;
+            option.textContent = wall.name;
+            moveSelect.appendChild(option);
+        });
+        document.getElementById('artworkWallGroup').style.display = projectWalls.length > 1 ? '' : 'none';
+    }
+}
+
+// Names of the walls each catalog item is hung on, keyed by catalog id
+function getCatalogPlacements() {
+    const placements = new Map();
+    projectWalls.forEach(wall => {
+        getWallArtworkElements(wall).forEach(artwork => {
+            const catalogId = artwork.dataset.catalogId;
+            if (!catalogId) return;
+            const names = placements.get(catalogId) || [];
+            if (!names.includes(wall.name)) names.push(wall.name);
+            placements.set(catalogId, names);
+        });
+    });
+    return placements;
+}
+
+function updateCatalogPlacements() {
+    const placements = getCatalogPlacements();
+    document.querySelectorAll('.catalog-item').forEach(el => {
+        const label = el.querySelector('.catalog-item-walls');
+        if (!label) return;
+        const names = placements.get(el.dataset.catalogId);
+        label.textContent = names ? 'On ' + names.join(', ') : '';
+        el.classList.toggle('placed', !!names);
+    });
+}
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+
+// Call after the wall inputs are restored; a loaded layout or restored session
+// replaces this single wall
+function initWalls() {
+    if (!projectWalls.length) {
+        projectWalls = [{ id: 'wall-1', name: 'Wall 1', settings: null, artworks: null, obstacles: [] }];
+        activeWallId = 'wall-1';
+    }
+    renderWallSwitcher();
+}
@@ -0,0 +1,177 @@
+/**
+ * zip.js - Minimal ZIP archive reader/writer for Wallspace
+ *
+ * Dependencies: asset-store.js (blobToArrayBuffer)
+ *
+ * Writes uncompressed ("stored") archives, which is all the project bundle
+ * needs: the images inside are already compressed. Reads both stored and
+ * deflated entries, so a bundle that was unzipped and re-zipped with another
+ * tool still imports (deflate relies on DecompressionStream). ZIP64 archives
+ * are not supported.
+ *
+ * Key functions:
+ * - createZip(files) - Build a ZIP Blob from [{ name, data }] (string, Blob or Uint8Array)
+ * - readZip(blob) - Read a ZIP Blob into a Map of entry name -> Uint8Array
+ * - zipEntryText(bytes) - Decode an entry as UTF-8 text
+ */
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIR = 0x06054b50;
+const ZIP_UTF8_FLAG = 0x0800;
+
+let crc32Table = null;
+
+// ─── HELPERS ─────────────────────────────────────────────────────────────────
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields used by ZIP headers
+function zipDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+async function zipEntryBytes(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof Uint8Array) return data;
+    return new Uint8Array(await blobToArrayBuffer(data));
+}
+
+function zipEntryText(bytes) {
+    return new TextDecoder().decode(bytes);
+}
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed ZIP files');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ─── WRITE ───────────────────────────────────────────────────────────────────
+
+async function createZip(files) {
+    const encoder = new TextEncoder();
+    const stamp = zipDosDateTime(new Date());
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = await zipEntryBytes(file.data);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, ZIP_LOCAL_HEADER, true);
+        local.setUint16(4, 20, true);              // version needed to extract
+        local.setUint16(6, ZIP_UTF8_FLAG, true);
+        local.setUint16(8, 0, true);               // stored, no compression
+        local.setUint16(10, stamp.time, true);
+        local.setUint16(12, stamp.date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);    // compressed size
+        local.setUint32(22, data.length, true);    // uncompressed size
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, ZIP_CENTRAL_HEADER, true);
+        central.setUint16(4, 20, true);            // version made by
+        central.setUint16(6, 20, true);            // version needed to extract
+        central.setUint16(8, ZIP_UTF8_FLAG, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, stamp.time, true);
+        central.setUint16(14, stamp.date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);       // local header offset
+        directory.push(central, name);
+
+        offset += local.byteLength + name.length + data.length;
+    }
+
+    const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, ZIP_END_OF_CENTRAL_DIR, true);
+    end.setUint16(8, files.length, true);          // entries on this disk
+    end.setUint16(10, files.length, true);         // entries in total
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);               // central directory offset
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+// ─── READ ────────────────────────────────────────────────────────────────────
+
+async function readZip(blob) {
+    const bytes = new Uint8Array(await blobToArrayBuffer(blob));
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end record is the last 22 bytes, followed by a comment of up to 64 KB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIR) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not a ZIP file');
+
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+    if (count === 0xffff || pos === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (pos + 46 > bytes.length || view.getUint32(pos, true) !== ZIP_CENTRAL_HEADER) {
+            throw new Error('The ZIP file is damaged');
+        }
+        const method = view.getUint16(pos + 10, true);
+        const crc = view.getUint32(pos + 16, true);
+        const compressedSize = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const localOffset = view.getUint32(pos + 42, true);
+        const name = zipEntryText(bytes.subarray(pos + 46, pos + 46 + nameLength));
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue; // Folder entry
+
+        const dataStart = localOffset + 30 +
+            view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+        let data;
+        if (method === 0) {
+            data = raw;
+        } else if (method === 8) {
+            data = await inflateRaw(raw);
+        } else {
+            throw new Error(`Unsupported compression method in ${name}`);
+        }
+        if (crc32(data) !== crc) throw new Error(`The ZIP file is damaged (${name})`);
+        entries.set(name, data);
+    }
+    return entries;
+}